@@ -4,19 +4,28 @@ var path = require("path");
 var cookieParser = require("cookie-parser");
 var logger = require("morgan");
 var cors = require("cors");
+var bodyParser = require("body-parser");
 require("dotenv").config();
 
 var indexRouter = require("./routes/index");
 var ontologyRouter = require("./routes/ontology");
 var unifiedRouter = require("./routes/unified");
+var gamesRouter = require("./routes/games");
 const ontologyService = require("./services/ontologyService");
 const unifiedSearchService = require("./services/unifiedSearchService");
+const gameKnowledgeService = require("./services/gameKnowledgeService");
+const intentClassifierService = require("./services/intentClassifierService");
 const Logger = require("./utils/logger");
 
 var app = express();
 
 // Cargar la ontología e inicializar servicios al iniciar la aplicación
-Promise.all([ontologyService.loadOntology(), unifiedSearchService.init()])
+Promise.all([
+  gameKnowledgeService.init(),
+  intentClassifierService.init(),
+  ontologyService.loadOntology(),
+  unifiedSearchService.init(),
+])
   .then(() => {
     Logger.info("Aplicación iniciada con todos los servicios cargados");
   })
@@ -32,12 +41,14 @@ app.use(logger("dev"));
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
+app.use(bodyParser.text({ type: "application/sparql-query" }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
 
 app.use("/", indexRouter);
 app.use("/api/ontology", ontologyRouter);
 app.use("/api/unified", unifiedRouter);
+app.use("/api/games", gamesRouter);
 
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
@@ -1,7 +1,47 @@
 require('dotenv').config();
 
+const OWL_FILE_PATH = process.env.OWL_FILE_PATH || './public/ontologia_35preguntas.owl';
+
 module.exports = {
   PORT: process.env.PORT || 3000,
-  OWL_FILE_PATH: process.env.OWL_FILE_PATH || './public/ontologia_35preguntas.owl',
-  ONTOLOGY_NAMESPACE: process.env.ONTOLOGY_NAMESPACE || 'http://www.semanticweb.org/dzeba/ontologies/2025/8/untitled-ontology-2#'
+  OWL_FILE_PATH,
+  // Lista separada por comas de ficheros de ontología a fusionar en el store
+  ONTOLOGY_SOURCES: (process.env.ONTOLOGY_SOURCES || `${OWL_FILE_PATH},./public/Onto1.rdf`)
+    .split(',')
+    .map((source) => source.trim())
+    .filter(Boolean),
+  // Materializar inferencias RDFS/OWL RL al cargar la ontología
+  ENABLE_REASONER: process.env.ENABLE_REASONER !== 'false',
+  ONTOLOGY_NAMESPACE: process.env.ONTOLOGY_NAMESPACE || 'http://www.semanticweb.org/dzeba/ontologies/2025/8/untitled-ontology-2#',
+  // Fuentes de conocimiento externas, en el orden en que se consultan
+  KNOWLEDGE_SOURCES: (process.env.KNOWLEDGE_SOURCES || 'local-dataset,file-cache,dbpedia-sparql,wikidata')
+    .split(',')
+    .map((source) => source.trim())
+    .filter(Boolean),
+  DBPEDIA_ENDPOINTS: {
+    en: process.env.DBPEDIA_ENDPOINT_EN || 'https://dbpedia.org/sparql',
+    es: process.env.DBPEDIA_ENDPOINT_ES || 'http://es.dbpedia.org/sparql'
+  },
+  WIKIDATA_ENDPOINT: process.env.WIKIDATA_ENDPOINT || 'https://query.wikidata.org/sparql',
+  // Enlaces owl:sameAs entre la ontología y recursos externos
+  ENTITY_LINKS_FILE: process.env.ENTITY_LINKS_FILE || './data/entity_links.json',
+  // Caché de las fuentes remotas: LRU en memoria y almacén en disco
+  CACHE_DIRECTORY: process.env.CACHE_DIRECTORY || './data/dbpedia_cache',
+  CACHE_TTL: parseInt(process.env.CACHE_TTL, 10) || 7 * 24 * 60 * 60 * 1000,
+  CACHE_MEMORY_MAX_BYTES: parseInt(process.env.CACHE_MEMORY_MAX_BYTES, 10) || 5 * 1024 * 1024,
+  CACHE_DISK_MAX_BYTES: parseInt(process.env.CACHE_DISK_MAX_BYTES, 10) || 50 * 1024 * 1024,
+  // Fichero donde se guarda el modo offline entre reinicios
+  SERVICE_STATE_FILE: process.env.SERVICE_STATE_FILE || './data/service_state.json',
+  // Base de conocimiento de los juegos (schema.json y games/<clave>.json)
+  GAME_KNOWLEDGE_DIRECTORY: process.env.GAME_KNOWLEDGE_DIRECTORY || './data/game_knowledge',
+  // Recargar los juegos cuando cambian sus ficheros
+  GAME_KNOWLEDGE_WATCH: process.env.GAME_KNOWLEDGE_WATCH !== 'false',
+  // Frases etiquetadas con las que se entrena el clasificador de intenciones
+  INTENT_UTTERANCES_FILE: process.env.INTENT_UTTERANCES_FILE || './data/intents/utterances.json',
+  // Por debajo de esta confianza la consulta se trata como búsqueda genérica
+  INTENT_MIN_CONFIDENCE: parseFloat(process.env.INTENT_MIN_CONFIDENCE) || 0.3,
+  // Consultas con resultados que se sugieren al escribir en el buscador
+  QUERY_HISTORY_FILE: process.env.QUERY_HISTORY_FILE || './data/query_history.json',
+  // Tras detectar que no hay conexión, tiempo (ms) antes de volver a comprobarla
+  HEALTH_CHECK_INTERVAL: parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 60000
 };
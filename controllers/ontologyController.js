@@ -1,6 +1,12 @@
 const ontologyService = require("../services/ontologyService");
-const dbpediaService = require("../services/dbpediaService");
 const unifiedSearchService = require("../services/unifiedSearchService");
+const sparqlService = require("../services/sparqlService");
+const propertyFilterService = require("../services/propertyFilterService");
+const facetService = require("../services/facetService");
+const entityLinkService = require("../services/entityLinkService");
+const gameKnowledgeService = require("../services/gameKnowledgeService");
+const comparisonService = require("../services/comparisonService");
+const betCalculatorService = require("../services/betCalculatorService");
 const ResponseHandler = require("../utils/responseHandler");
 const Logger = require("../utils/logger");
 
@@ -26,6 +32,63 @@ class OntologyController {
     }
   }
 
+  async getClassHierarchy(req, res) {
+    try {
+      if (!ontologyService.loaded) {
+        Logger.warn("Ontología no cargada, intentando cargar...");
+        await ontologyService.loadOntology();
+      }
+
+      Logger.info("Obteniendo jerarquía de clases");
+      const hierarchy = ontologyService.getClassHierarchy();
+      return ResponseHandler.success(
+        res,
+        hierarchy,
+        "Jerarquía de clases obtenida exitosamente",
+      );
+    } catch (error) {
+      Logger.error("Error al obtener la jerarquía de clases:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  async getNeighborhood(req, res) {
+    try {
+      const { uri } = req.query;
+
+      if (!uri) {
+        return ResponseHandler.badRequest(res, 'Parámetro "uri" es requerido');
+      }
+
+      if (!ontologyService.loaded) {
+        Logger.warn("Ontología no cargada, intentando cargar...");
+        await ontologyService.loadOntology();
+      }
+
+      const depth = Math.min(Math.max(parseInt(req.query.depth) || 1, 1), 3);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+      Logger.info(`Obteniendo vecindario de ${uri} (profundidad ${depth})`);
+      const neighborhood = ontologyService.getNeighborhood(uri, depth, limit);
+
+      if (!neighborhood) {
+        return ResponseHandler.notFound(
+          res,
+          `El recurso ${uri} no existe en la ontología`,
+        );
+      }
+
+      return ResponseHandler.success(
+        res,
+        neighborhood,
+        `Vecindario con ${neighborhood.nodes.length} nodos y ${neighborhood.edges.length} relaciones`,
+      );
+    } catch (error) {
+      Logger.error("Error al obtener el vecindario:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
   async getInstancesOfClass(req, res) {
     try {
       const { className } = req.params;
@@ -46,6 +109,11 @@ class OntologyController {
   async searchByText(req, res) {
     try {
       const { query, includeDbpedia } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const pageSize = Math.min(
+        Math.max(parseInt(req.query.pageSize) || 10, 1),
+        100,
+      );
 
       if (!query) {
         return ResponseHandler.badRequest(
@@ -61,15 +129,20 @@ class OntologyController {
 
       Logger.info(`Buscando: ${query}`);
 
-      const localResults = ontologyService.searchByText(query);
+      const allLocalResults = ontologyService.searchByText(query);
+      const localResults = allLocalResults.slice(
+        (page - 1) * pageSize,
+        page * pageSize,
+      );
       Logger.info(
-        `Se encontraron ${localResults.length} resultados locales para: ${query}`,
+        `Se encontraron ${allLocalResults.length} resultados locales para: ${query}`,
       );
 
       let dbpediaResults = null;
       if (includeDbpedia === "true") {
         Logger.info(`Buscando en DBpedia: ${query}`);
-        dbpediaResults = await dbpediaService.searchDBpedia(query);
+        dbpediaResults =
+          await unifiedSearchService.searchKnowledgeSources(query);
         Logger.info(
           `DBpedia - EN: ${dbpediaResults.english.length}, ES: ${dbpediaResults.spanish.length}`,
         );
@@ -80,10 +153,19 @@ class OntologyController {
         {
           local: localResults,
           dbpedia: dbpediaResults,
-          totalLocal: localResults.length,
+          totalLocal: allLocalResults.length,
           totalDbpedia: dbpediaResults ? dbpediaResults.total : 0,
+          pagination: {
+            page,
+            pageSize,
+            total: allLocalResults.length,
+            totalPages: Math.max(
+              Math.ceil(allLocalResults.length / pageSize),
+              1,
+            ),
+          },
         },
-        `Se encontraron ${localResults.length} resultados locales${dbpediaResults ? ` y ${dbpediaResults.total} en DBpedia` : ""}`,
+        `Se encontraron ${allLocalResults.length} resultados locales${dbpediaResults ? ` y ${dbpediaResults.total} en DBpedia` : ""}`,
       );
     } catch (error) {
       Logger.error("Error en la búsqueda:", error);
@@ -132,10 +214,104 @@ class OntologyController {
       );
     } catch (error) {
       Logger.error("Error al recargar ontología:", error);
+      if (error instanceof ontologyService.OntologyParseError) {
+        const { file, format, line, column } = error;
+        return ResponseHandler.error(res, error.message, 500, [
+          { file, format, line, column },
+        ]);
+      }
       return ResponseHandler.error(res, error.message, 500);
     }
   }
 
+  async sparqlQuery(req, res) {
+    try {
+      const query =
+        typeof req.body === "string"
+          ? req.body
+          : req.body?.query || req.query.query;
+
+      if (!query || (typeof query === "string" && !query.trim())) {
+        return ResponseHandler.badRequest(
+          res,
+          'Parámetro "query" es requerido',
+        );
+      }
+      if (typeof query !== "string") {
+        return ResponseHandler.badRequest(
+          res,
+          'El parámetro "query" debe ser un texto',
+        );
+      }
+
+      if (!ontologyService.loaded) {
+        Logger.warn("Ontología no cargada, intentando cargar...");
+        await ontologyService.loadOntology();
+      }
+
+      const result = sparqlService.execute(query, ontologyService.store);
+      const format = this.negotiateSparqlFormat(req, result.type);
+
+      if (result.type === "graph") {
+        return res
+          .type(format)
+          .send(sparqlService.serializeGraph(result, format));
+      }
+
+      if (format === "application/sparql-results+xml") {
+        return res.type(format).send(sparqlService.toXML(result));
+      }
+
+      return res
+        .type(format)
+        .send(JSON.stringify(sparqlService.toJSON(result)));
+    } catch (error) {
+      if (error instanceof sparqlService.SparqlQueryError) {
+        Logger.warn(`Consulta SPARQL rechazada: ${error.message}`);
+        return ResponseHandler.badRequest(res, error.message);
+      }
+      Logger.error("Error al ejecutar consulta SPARQL:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  negotiateSparqlFormat(req, resultType) {
+    const requested = (req.query.format || "").toLowerCase();
+
+    if (resultType === "graph") {
+      const graphFormats = {
+        turtle: "text/turtle",
+        ttl: "text/turtle",
+        xml: "application/rdf+xml",
+        rdfxml: "application/rdf+xml",
+        ntriples: "application/n-triples",
+        nt: "application/n-triples",
+        jsonld: "application/ld+json",
+      };
+      if (graphFormats[requested]) return graphFormats[requested];
+      return (
+        req.accepts([
+          "text/turtle",
+          "application/rdf+xml",
+          "application/n-triples",
+          "application/ld+json",
+        ]) || "text/turtle"
+      );
+    }
+
+    if (requested === "xml") return "application/sparql-results+xml";
+    if (requested === "json") return "application/sparql-results+json";
+
+    const accepted = req.accepts([
+      "application/sparql-results+json",
+      "application/sparql-results+xml",
+      "application/json",
+    ]);
+    return accepted === "application/sparql-results+xml"
+      ? accepted
+      : "application/sparql-results+json";
+  }
+
   async searchDbpedia(req, res) {
     try {
       const { query } = req.query;
@@ -148,7 +324,7 @@ class OntologyController {
       }
 
       Logger.info(`Buscando en DBpedia: ${query}`);
-      const results = await dbpediaService.searchDBpedia(query);
+      const results = await unifiedSearchService.searchKnowledgeSources(query);
 
       return ResponseHandler.success(
         res,
@@ -170,7 +346,10 @@ class OntologyController {
       }
 
       Logger.info(`Buscando juego en DBpedia: ${game}`);
-      const results = await dbpediaService.searchCasinoGame(game);
+      const results = await unifiedSearchService.searchKnowledgeSources(game, {
+        topic: "casino-game",
+      });
+      results.found = results.total > 0;
 
       return ResponseHandler.success(
         res,
@@ -194,13 +373,19 @@ class OntologyController {
         language,
         preferOffline,
         mode,
+        filters,
+        page,
+        autoCorrect,
       } = req.query;
 
       Logger.info(
         `[CONTROLLER] Received unified search request - Query: ${query}, IncludeDbpedia: ${includeDbpedia}, Mode: ${mode}, PreferOffline: ${preferOffline}`,
       );
 
-      if (!query) {
+      const facets = facetService.parseSelection(req.query);
+      const hasFacets = Object.keys(facets).length > 0;
+
+      if (!query && !filters && !hasFacets) {
         Logger.warn(`[CONTROLLER] Missing query parameter`);
         return ResponseHandler.badRequest(
           res,
@@ -210,17 +395,26 @@ class OntologyController {
 
       Logger.info(`[CONTROLLER] Unified search for: ${query}`);
 
+      const { text, filters: propertyFilters } = propertyFilterService.extract(
+        query || "",
+        filters,
+      );
+
       const options = {
         includeDbpedia: includeDbpedia === "true",
-        maxResults: parseInt(maxResults) || 20,
+        maxResults: Math.min(Math.max(parseInt(maxResults) || 20, 1), 100),
+        page: parseInt(page) || 1,
         language: language || "auto",
         preferOffline: preferOffline === "true",
         mode: mode || "hybrid", // "local", "dbpedia", "hybrid"
+        filters: propertyFilters,
+        facets,
+        autoCorrect: autoCorrect !== "false",
       };
 
       Logger.info(`[CONTROLLER] Search options:`, options);
 
-      const results = await unifiedSearchService.search(query, options);
+      const results = await unifiedSearchService.search(text, options);
       Logger.info(
         `[CONTROLLER] Search completed. Success: ${results.success}, Results count: ${results.results?.length || 0}, Source: ${results.stats?.source}`,
       );
@@ -237,14 +431,24 @@ class OntologyController {
         res,
         {
           results: results.results || [],
+          answer: results.answer || null,
+          spelling: results.spelling || null,
           stats: results.stats || { total: 0, local: 0, dbpedia: 0 },
+          pagination: results.pagination || null,
           sources: results.sources || [],
-          query: query,
+          query: query || "",
           mode: options.mode,
+          filters: propertyFilters.map((filter) => filter.expression),
+          facets: results.facets || [],
+          selectedFacets: facets,
         },
-        `Búsqueda unificada completada para: "${query}"`,
+        `Búsqueda unificada completada para: "${query || filters || JSON.stringify(facets)}"`,
       );
     } catch (error) {
+      if (error instanceof propertyFilterService.PropertyFilterError) {
+        Logger.warn(`[CONTROLLER] Invalid filter: ${error.message}`);
+        return ResponseHandler.badRequest(res, error.message);
+      }
       Logger.error("[CONTROLLER] Error in unified search:", error);
       return ResponseHandler.error(res, error.message, 500);
     }
@@ -301,8 +505,24 @@ class OntologyController {
 
   async cleanCache(req, res) {
     try {
-      await unifiedSearchService.cleanup();
-      return ResponseHandler.success(res, null, "Cache limpiado exitosamente");
+      const { key, prefix } = { ...req.query, ...req.body };
+      if (
+        (key !== undefined && (typeof key !== "string" || !key)) ||
+        (prefix !== undefined && (typeof prefix !== "string" || !prefix))
+      ) {
+        return ResponseHandler.badRequest(
+          res,
+          '"key" y "prefix" deben ser cadenas no vacías',
+        );
+      }
+
+      const selector = key !== undefined ? { key } : prefix ? { prefix } : {};
+      const removed = await unifiedSearchService.cleanup(selector);
+      return ResponseHandler.success(
+        res,
+        { removed, ...selector },
+        "Cache limpiado exitosamente",
+      );
     } catch (error) {
       Logger.error("Error cleaning cache:", error);
       return ResponseHandler.error(res, error.message, 500);
@@ -339,19 +559,288 @@ class OntologyController {
 
   async setOfflineMode(req, res) {
     try {
-      const { offline } = req.body;
-      Logger.info(`[CONTROLLER] Setting offline mode: ${offline}`);
+      const { offline } = req.body || {};
+      if (![true, false, "true", "false"].includes(offline)) {
+        return ResponseHandler.badRequest(
+          res,
+          'El campo "offline" debe ser true o false',
+        );
+      }
+
+      const enabled = offline === true || offline === "true";
+      Logger.info(`[CONTROLLER] Setting offline mode: ${enabled}`);
+      const state = await unifiedSearchService.setOfflineMode(enabled);
 
       return ResponseHandler.success(
         res,
-        { offline: offline === true },
-        `Modo ${offline ? "offline" : "online"} activado`,
+        state,
+        `Modo ${enabled ? "offline" : "online"} activado`,
       );
     } catch (error) {
       Logger.error("Error setting offline mode:", error);
       return ResponseHandler.error(res, error.message, 500);
     }
   }
+
+  async getEntityLinks(req, res) {
+    try {
+      const links = entityLinkService.getLinks();
+      return ResponseHandler.success(
+        res,
+        { links, total: links.length },
+        "Enlaces entre entidades obtenidos",
+      );
+    } catch (error) {
+      Logger.error("Error getting entity links:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  async askQuestion(req, res) {
+    try {
+      const { question } = req.query;
+      if (typeof question !== "string" || !question.trim()) {
+        return ResponseHandler.badRequest(
+          res,
+          'Parámetro "question" es requerido',
+        );
+      }
+
+      const result = unifiedSearchService.answerQuestion(question.trim());
+      return ResponseHandler.success(
+        res,
+        result,
+        result.grounded
+          ? `Respuesta basada en ${result.citations.length} hechos`
+          : result.answer === null
+            ? "No se encontró respuesta a la pregunta"
+            : "Sin hechos en la ontología, respuesta del conocimiento integrado",
+      );
+    } catch (error) {
+      Logger.error("Error answering question:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  async suggest(req, res) {
+    try {
+      const { prefix } = req.query;
+      if (typeof prefix !== "string" || !prefix.trim()) {
+        return ResponseHandler.badRequest(
+          res,
+          'Parámetro "prefix" es requerido',
+        );
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+      const suggestions = unifiedSearchService.suggest(prefix, { limit });
+      return ResponseHandler.success(
+        res,
+        { prefix, suggestions },
+        `${suggestions.length} sugerencias para "${prefix}"`,
+      );
+    } catch (error) {
+      Logger.error("Error getting suggestions:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  async compareGames(req, res) {
+    try {
+      const comparison = await unifiedSearchService.compare(req.query.ids);
+      return ResponseHandler.success(
+        res,
+        comparison,
+        `Comparación de ${comparison.games.length} juegos`,
+      );
+    } catch (error) {
+      if (error instanceof comparisonService.ComparisonError) {
+        Logger.warn(`Comparación rechazada: ${error.message}`);
+        return ResponseHandler.error(res, error.message, error.statusCode);
+      }
+      Logger.error("Error comparing games:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  async suggestEntityLinks(req, res) {
+    try {
+      const minScore = parseFloat(req.query.minScore);
+      const suggestions = unifiedSearchService.suggestEntityLinks(
+        Number.isFinite(minScore) ? { minScore } : {},
+      );
+      return ResponseHandler.success(
+        res,
+        { suggestions, total: suggestions.length },
+        `${suggestions.length} enlaces sugeridos`,
+      );
+    } catch (error) {
+      Logger.error("Error suggesting entity links:", error);
+      return ResponseHandler.error(res, error.message, 500);
+    }
+  }
+
+  async addEntityLink(req, res) {
+    try {
+      const { from, to } = req.body || {};
+      const link = await entityLinkService.addLink(from, to);
+      return ResponseHandler.success(
+        res,
+        link,
+        "Enlace owl:sameAs creado",
+        201,
+      );
+    } catch (error) {
+      return this.handleEntityLinkError(res, error);
+    }
+  }
+
+  async removeEntityLink(req, res) {
+    try {
+      const { from, to } = { ...req.query, ...req.body };
+      const link = await entityLinkService.removeLink(from, to);
+      return ResponseHandler.success(res, link, "Enlace owl:sameAs eliminado");
+    } catch (error) {
+      return this.handleEntityLinkError(res, error);
+    }
+  }
+
+  handleEntityLinkError(res, error) {
+    if (error instanceof entityLinkService.EntityLinkError) {
+      Logger.warn(`Petición de enlace rechazada: ${error.message}`);
+      return ResponseHandler.error(res, error.message, error.statusCode);
+    }
+    Logger.error("Error updating entity links:", error);
+    return ResponseHandler.error(res, error.message, 500);
+  }
+
+  async listGames(req, res) {
+    try {
+      const games = gameKnowledgeService.list();
+      return ResponseHandler.success(
+        res,
+        { games, ...gameKnowledgeService.getStats() },
+        `${games.length} juegos en la base de conocimiento`,
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async getGame(req, res) {
+    try {
+      const game = gameKnowledgeService.get(req.params.game);
+      return ResponseHandler.success(res, { key: req.params.game, ...game });
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async createGame(req, res) {
+    try {
+      const { key, ...data } = req.body || {};
+      const game = await gameKnowledgeService.create(key, data);
+      return ResponseHandler.success(
+        res,
+        { key, ...game },
+        `Juego ${key} añadido`,
+        201,
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async updateGame(req, res) {
+    try {
+      const { key, ...data } = req.body || {};
+      const game = await gameKnowledgeService.update(req.params.game, data);
+      return ResponseHandler.success(
+        res,
+        { key: req.params.game, ...game },
+        `Juego ${req.params.game} actualizado (v${game.version})`,
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async deleteGame(req, res) {
+    try {
+      const game = await gameKnowledgeService.remove(req.params.game);
+      return ResponseHandler.success(
+        res,
+        { key: req.params.game, ...game },
+        `Juego ${req.params.game} eliminado`,
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async reloadGameKnowledge(req, res) {
+    try {
+      await gameKnowledgeService.reload();
+      return ResponseHandler.success(
+        res,
+        gameKnowledgeService.getStats(),
+        "Base de conocimiento recargada",
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async listBets(req, res) {
+    try {
+      const bets = betCalculatorService.listBets(req.params.game);
+      return ResponseHandler.success(
+        res,
+        { game: req.params.game, bets },
+        `${bets.length} apuestas calculables`,
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  async getBetExpectedValue(req, res) {
+    try {
+      const { stake, variant } = req.query;
+      const result = betCalculatorService.calculate(
+        req.params.game,
+        req.params.bet,
+        {
+          stake: stake === undefined ? 1 : Number(stake),
+          variant,
+        },
+      );
+      return ResponseHandler.success(
+        res,
+        result,
+        `Valor esperado de ${result.bet} en ${result.game}`,
+      );
+    } catch (error) {
+      return this.handleGameKnowledgeError(res, error);
+    }
+  }
+
+  handleGameKnowledgeError(res, error) {
+    if (
+      error instanceof gameKnowledgeService.GameKnowledgeError ||
+      error instanceof betCalculatorService.BetCalculatorError
+    ) {
+      Logger.warn(`Petición sobre juegos rechazada: ${error.message}`);
+      return ResponseHandler.error(
+        res,
+        error.message,
+        error.statusCode,
+        error.errors,
+      );
+    }
+    Logger.error("Error in game knowledge base:", error);
+    return ResponseHandler.error(res, error.message, 500);
+  }
 }
 
 module.exports = new OntologyController();
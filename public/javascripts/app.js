@@ -4,12 +4,23 @@ const API_BASE_URL = "/api/unified";
 let currentResults = [];
 let currentQuery = "";
 let searchInProgress = false;
+let classHierarchy = [];
+let selectedClass = null;
+let selectedFacets = {}; // { param: [values] }, p.ej. { class: ["ruleta"] }
+let currentPage = 1;
+let autoCorrect = true; // false tras "Buscar en cambio" para no corregir
+let suggestions = []; // sugerencias de autocompletado mostradas
+let activeSuggestion = -1;
+let suggestRequest = 0; // descarta respuestas de prefijos anteriores
+const compareSelection = new Map(); // uri -> título de los resultados a comparar
+const MAX_COMPARE = 6;
 
 // Initialize app
 document.addEventListener("DOMContentLoaded", function () {
   console.log("Semantic Search App Initialized");
   initializeEventListeners();
   initializeWelcomeState();
+  loadClassHierarchy();
 });
 
 /**
@@ -31,11 +42,28 @@ function initializeEventListeners() {
     });
 
     searchInput.addEventListener("input", debounce(handleInputChange, 300));
+    searchInput.addEventListener("keydown", handleSuggestionKeys);
+    // Con retraso para que el clic en una sugerencia llegue antes
+    searchInput.addEventListener("blur", () =>
+      setTimeout(hideSuggestions, 150),
+    );
   }
 
   window.filterResults = filterResults;
   window.showStats = showStats;
+  window.setOfflineMode = setOfflineMode;
   window.showResultDetail = showResultDetail;
+  window.selectClassBranch = selectClassBranch;
+  window.toggleClassNode = toggleClassNode;
+  window.clearClassFilter = clearClassFilter;
+  window.toggleFacet = toggleFacet;
+  window.clearFacets = clearFacets;
+  window.goToPage = goToPage;
+  window.searchSuggestion = searchSuggestion;
+  window.selectSuggestion = selectSuggestion;
+  window.toggleCompare = toggleCompare;
+  window.openComparison = openComparison;
+  window.clearComparison = clearComparison;
 }
 
 /**
@@ -68,8 +96,15 @@ async function handleSearch() {
     return;
   }
 
+  // Las facetas elegidas solo se conservan mientras no cambie la consulta
+  if (query !== currentQuery) {
+    selectedFacets = {};
+    currentPage = 1;
+  }
+
   currentQuery = query;
   searchInProgress = true;
+  hideSuggestions();
 
   try {
     showLoadingState();
@@ -77,7 +112,7 @@ async function handleSearch() {
 
     // Búsqueda automática con detección de conexión
     // Siempre incluye DBpedia para búsqueda completa (local + online/offline)
-    const url = `/api/unified/search?query=${encodeURIComponent(query)}&includeDbpedia=true`;
+    const url = `/api/unified/search?query=${encodeURIComponent(query)}&includeDbpedia=true&page=${currentPage}${buildFacetParams()}${autoCorrect ? "" : "&autoCorrect=false"}`;
     console.log("[FRONTEND] Making request to:", url);
 
     const response = await fetch(url, {
@@ -109,6 +144,7 @@ async function handleSearch() {
       currentResults = data.data.results || [];
       console.log("[FRONTEND] Current results count:", currentResults.length);
       displayGoogleStyleResults(data.data);
+      if (selectedClass) applyClassFilter();
     } else {
       console.error("[FRONTEND] API returned error:", data.error);
       showErrorState(data.error || "Error en la búsqueda");
@@ -118,15 +154,145 @@ async function handleSearch() {
     showErrorState("Error de conexión: " + error.message);
   } finally {
     searchInProgress = false;
+    autoCorrect = true;
   }
 }
 
+/**
+ * Busca una consulta sugerida por el corrector. Con exact=true se busca
+ * tal cual, sin volver a corregirla
+ */
+function searchSuggestion(query, exact = false) {
+  const searchInput = document.getElementById("searchInput");
+  if (!searchInput) return;
+
+  searchInput.value = query;
+  autoCorrect = !exact;
+  handleSearch();
+}
+
 /**
  * Handle search input change for suggestions
  */
-function handleInputChange(e) {
-  const query = e.target.value.trim();
-  // Future: implement auto-suggestions
+async function handleInputChange(e) {
+  const prefix = e.target.value.trim();
+  const request = ++suggestRequest;
+
+  if (prefix.length < 2) {
+    hideSuggestions();
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/suggest?prefix=${encodeURIComponent(prefix)}&limit=8`,
+    );
+    const data = await response.json();
+    if (request !== suggestRequest) return;
+
+    suggestions = data.success ? data.data.suggestions : [];
+    renderSuggestions();
+  } catch (error) {
+    console.error("[FRONTEND] Suggest error:", error);
+    hideSuggestions();
+  }
+}
+
+/**
+ * Desplegable de sugerencias bajo el buscador
+ */
+function renderSuggestions() {
+  const container = document.getElementById("searchSuggestions");
+  const searchInput = document.getElementById("searchInput");
+  if (!container || !searchInput) return;
+
+  activeSuggestion = -1;
+  searchInput.removeAttribute("aria-activedescendant");
+
+  if (suggestions.length === 0 || document.activeElement !== searchInput) {
+    hideSuggestions();
+    return;
+  }
+
+  container.innerHTML = suggestions
+    .map(
+      (suggestion, index) => `
+        <div class="suggestion-item" id="suggestion-${index}" role="option" aria-selected="false"
+             onmousedown="selectSuggestion(${index}); return false;">
+            <i class="fas fa-${getSuggestionIcon(suggestion.type)} me-2"></i>
+            <span class="suggestion-text">${escapeHtml(suggestion.text)}</span>
+            <span class="suggestion-meta">${escapeHtml(getSuggestionTypeName(suggestion.type))} · ${escapeHtml(getFieldSourceName(suggestion.source))}</span>
+        </div>
+    `,
+    )
+    .join("");
+  container.classList.remove("d-none");
+  searchInput.setAttribute("aria-expanded", "true");
+}
+
+function hideSuggestions() {
+  const container = document.getElementById("searchSuggestions");
+  const searchInput = document.getElementById("searchInput");
+
+  suggestions = [];
+  activeSuggestion = -1;
+  if (container) {
+    container.classList.add("d-none");
+    container.innerHTML = "";
+  }
+  if (searchInput) {
+    searchInput.setAttribute("aria-expanded", "false");
+    searchInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+/**
+ * Flechas para moverse por las sugerencias, Enter para elegir y Escape
+ * para cerrarlas
+ */
+function handleSuggestionKeys(e) {
+  if (suggestions.length === 0) return;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    highlightSuggestion(
+      (activeSuggestion + step + suggestions.length) % suggestions.length,
+    );
+  } else if (e.key === "Enter" && activeSuggestion >= 0) {
+    // preventDefault evita el keypress que lanzaría la búsqueda escrita
+    e.preventDefault();
+    selectSuggestion(activeSuggestion);
+  } else if (e.key === "Escape") {
+    hideSuggestions();
+  }
+}
+
+function highlightSuggestion(index) {
+  const searchInput = document.getElementById("searchInput");
+  const items = document.querySelectorAll(
+    "#searchSuggestions .suggestion-item",
+  );
+
+  items.forEach((item, i) => {
+    item.classList.toggle("active", i === index);
+    item.setAttribute("aria-selected", i === index ? "true" : "false");
+  });
+  activeSuggestion = index;
+  if (searchInput) {
+    searchInput.setAttribute("aria-activedescendant", `suggestion-${index}`);
+  }
+}
+
+function selectSuggestion(index) {
+  const suggestion = suggestions[index];
+  const searchInput = document.getElementById("searchInput");
+  if (!suggestion || !searchInput) return;
+
+  searchInput.value = suggestion.text;
+  suggestRequest++;
+  hideSuggestions();
+  handleSearch();
 }
 
 /**
@@ -158,6 +324,8 @@ function displayGoogleStyleResults(data) {
   }
 
   googleResults.classList.remove("d-none");
+  renderFacets(data.facets || []);
+  renderPagination(data.pagination);
 
   const resultsList = googleResults.querySelector(".results-list");
   const results = data.results || [];
@@ -165,15 +333,23 @@ function displayGoogleStyleResults(data) {
   if (!resultsList) return;
 
   if (results.length === 0) {
-    resultsList.innerHTML = generateEmptyResultsHTML(currentQuery);
+    resultsList.innerHTML = generateEmptyResultsHTML(
+      currentQuery,
+      data.spelling,
+    );
     return;
   }
 
-  let resultsHTML = "";
+  let resultsHTML = generateSpellingHTML(data.spelling);
 
-  // Mostrar respuesta contextual de NLP si existe
+  // Mostrar la respuesta a la pregunta (con sus citas) o la contextual de NLP
   const firstResult = results[0];
-  if (firstResult && firstResult.contextualAnswer) {
+  if (data.answer && data.answer.answer) {
+    resultsHTML += generateNLPAnswerBox(
+      data.answer.answer,
+      data.answer.citations,
+    );
+  } else if (firstResult && firstResult.contextualAnswer) {
     resultsHTML += generateNLPAnswerBox(firstResult.contextualAnswer);
   }
 
@@ -188,7 +364,11 @@ function displayGoogleStyleResults(data) {
   resultItems.forEach((item, index) => {
     item.style.animationDelay = `${index * 0.05}s`;
     item.addEventListener("click", function (e) {
-      if (e.target.tagName !== "A" && !e.target.closest("a")) {
+      if (
+        e.target.tagName !== "A" &&
+        !e.target.closest("a") &&
+        !e.target.closest(".compare-select")
+      ) {
         const link = this.querySelector(".result-title a");
         if (link) link.click();
       }
@@ -204,8 +384,17 @@ function displayGoogleStyleResults(data) {
 /**
  * Generate NLP answer box (like Google's featured snippet)
  */
-function generateNLPAnswerBox(answer) {
+function generateNLPAnswerBox(answer, citations = []) {
   const cleanAnswer = cleanDescription(answer);
+  const footer =
+    citations.length > 0
+      ? `<i class="fas fa-quote-right me-1"></i>
+          Basado en ${citations.length} hechos:
+          <ul class="nlp-citations mb-0">
+            ${citations.map((citation) => `<li>${generateCitationHTML(citation)}</li>`).join("")}
+          </ul>`
+      : `<i class="fas fa-info-circle me-1"></i>
+          Generado por procesamiento de lenguaje natural`;
 
   return `
     <div class="nlp-answer-box">
@@ -219,14 +408,30 @@ function generateNLPAnswerBox(answer) {
       </div>
       <div class="nlp-answer-footer">
         <small class="text-muted">
-          <i class="fas fa-info-circle me-1"></i>
-          Generado por procesamiento de lenguaje natural
+          ${footer}
         </small>
       </div>
     </div>
   `;
 }
 
+/**
+ * Triple citado en una respuesta: sujeto, propiedad, valor y procedencia
+ */
+function generateCitationHTML(citation) {
+  const origin =
+    citation.sourceFiles && citation.sourceFiles.length > 0
+      ? citation.sourceFiles.join(", ")
+      : getFieldSourceName(citation.source);
+
+  return `
+    <a href="${escapeHtml(citation.subject)}" target="_blank" rel="noopener">${escapeHtml(citation.subjectLabel)}</a>
+    <code>${escapeHtml(citation.property)}</code>
+    "${escapeHtml(citation.object)}"
+    <span class="text-muted">(${escapeHtml(origin)})</span>
+  `;
+}
+
 /**
  * Generate HTML for a single Google-style result
  */
@@ -249,13 +454,33 @@ function generateGoogleResultHTML(result, index) {
   const safeType =
     result.resultType || result.searchType || result.source || "local";
   const safeUri = result.uri || "";
+  // Misma entidad en otras fuentes (owl:sameAs)
+  const linkedBadges = (result.linkedSources || [])
+    .filter((linked) => linked.uri !== result.uri)
+    .map(
+      (linked) =>
+        `<span class="source-badge badge-${getSourceBadgeClass(linked.resultType)}" title="owl:sameAs ${escapeHtml(linked.uri)}"><i class="fas fa-link me-1"></i>${escapeHtml(linked.source)}</span>`,
+    )
+    .join("");
 
   return `
         <div class="google-result-item" data-id="${escapeHtml(safeId)}" data-type="${escapeHtml(safeType)}" data-uri="${escapeHtml(safeUri)}">
             <div class="result-header">
+                ${
+                  safeUri
+                    ? `
+                <label class="compare-select" title="Añadir a la comparación">
+                    <input type="checkbox" class="form-check-input" data-uri="${escapeHtml(safeUri)}" data-title="${title}"
+                           onchange="toggleCompare(this)" ${compareSelection.has(safeUri) ? "checked" : ""}>
+                    Comparar
+                </label>
+                `
+                    : ""
+                }
                 <div class="result-url">
                     <i class="fas fa-${sourceIcon} me-1"></i>
                     <span class="source-badge badge-${sourceBadgeClass}">${escapeHtml(result.displaySource || result.source || "Desconocido")}</span>
+                    ${linkedBadges}
                 </div>
                 <h3 class="result-title">
                     <a href="#" onclick="showResultDetail('${escapeHtml(safeId)}', '${escapeHtml(safeType)}', '${escapeHtml(safeUri)}'); return false;">
@@ -291,15 +516,81 @@ function generateGoogleResultHTML(result, index) {
                 `
                     : ""
                 }
+                ${
+                  result.matchedTerms && result.matchedTerms.length > 0
+                    ? `
+                <span class="matched-terms" title="Raíces de la consulta que coinciden">
+                    <i class="fas fa-search me-1"></i>
+                    ${result.matchedTerms.map(escapeHtml).join(", ")}
+                </span>
+                `
+                    : ""
+                }
             </div>
         </div>
     `;
 }
 
+/**
+ * Añade o quita un resultado de la comparación
+ */
+function toggleCompare(checkbox) {
+  const { uri, title } = checkbox.dataset;
+
+  if (!checkbox.checked) {
+    compareSelection.delete(uri);
+  } else if (compareSelection.size >= MAX_COMPARE) {
+    checkbox.checked = false;
+    showNotification(
+      `Se pueden comparar como máximo ${MAX_COMPARE} juegos`,
+      "warning",
+    );
+  } else {
+    compareSelection.set(uri, title);
+  }
+
+  renderCompareBar();
+}
+
+function renderCompareBar() {
+  const compareBar = document.getElementById("compareBar");
+  if (!compareBar) return;
+
+  compareBar.classList.toggle("d-none", compareSelection.size === 0);
+  compareBar.innerHTML = `
+        <span class="compare-items">
+            <i class="fas fa-balance-scale me-2"></i>
+            ${Array.from(compareSelection.values()).map(escapeHtml).join(", ")}
+        </span>
+        <button class="btn btn-sm btn-warning ms-3" onclick="openComparison()" ${compareSelection.size < 2 ? "disabled" : ""}>
+            Comparar (${compareSelection.size})
+        </button>
+        <button class="btn btn-sm btn-outline-light ms-2" onclick="clearComparison()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+}
+
+function openComparison() {
+  if (compareSelection.size < 2) return;
+  const ids = Array.from(compareSelection.keys()).join(",");
+  window.location.href = `/compare?ids=${encodeURIComponent(ids)}`;
+}
+
+function clearComparison() {
+  compareSelection.clear();
+  document
+    .querySelectorAll(".compare-select input")
+    .forEach((checkbox) => (checkbox.checked = false));
+  renderCompareBar();
+}
+
 /**
  * Generate empty results HTML
  */
-function generateEmptyResultsHTML(query) {
+function generateEmptyResultsHTML(query, spelling = null) {
+  const suggestions = spelling?.suggestions || [];
+
   return `
         <div class="empty-results text-center py-5">
             <div class="empty-icon mb-4">
@@ -307,6 +598,11 @@ function generateEmptyResultsHTML(query) {
             </div>
             <h3 class="h4 mb-3">No se encontraron resultados</h3>
             <p class="text-muted mb-4">Tu búsqueda "<strong>${escapeHtml(query)}</strong>" no coincide con ningún documento.</p>
+            ${
+              suggestions.length > 0
+                ? `<p class="spelling-suggestion mb-4">¿Quisiste decir: ${suggestions.map((suggestion) => generateSuggestionLink(suggestion)).join(", ")}?</p>`
+                : ""
+            }
             <div class="suggestions">
                 <p class="fw-bold mb-2">Sugerencias:</p>
                 <ul class="list-unstyled">
@@ -320,6 +616,35 @@ function generateEmptyResultsHTML(query) {
     `;
 }
 
+/**
+ * Aviso del corrector ortográfico sobre los resultados: la consulta que se
+ * ha buscado en su lugar o las correcciones sugeridas
+ */
+function generateSpellingHTML(spelling) {
+  if (!spelling || spelling.suggestions.length === 0) return "";
+
+  if (spelling.applied) {
+    return `
+        <div class="spelling-suggestion mb-3">
+            Mostrando resultados de <strong>${escapeHtml(spelling.corrected)}</strong>.
+            Buscar en cambio ${generateSuggestionLink(spelling.original, true)}
+        </div>
+    `;
+  }
+
+  return `
+        <div class="spelling-suggestion mb-3">
+            ¿Quisiste decir: ${spelling.suggestions.map((suggestion) => generateSuggestionLink(suggestion)).join(", ")}?
+        </div>
+    `;
+}
+
+function generateSuggestionLink(query, exact = false) {
+  // Codificada para que comillas y apóstrofos no rompan el onclick
+  const encoded = encodeURIComponent(query).replace(/'/g, "%27");
+  return `<a href="#" class="fw-bold fst-italic" onclick="searchSuggestion(decodeURIComponent('${encoded}'), ${exact}); return false;">${escapeHtml(query)}</a>`;
+}
+
 /**
  * Show loading state
  */
@@ -429,6 +754,137 @@ function filterResults(filterType) {
   );
 }
 
+/**
+ * Query string with the selected facets
+ */
+function buildFacetParams() {
+  return Object.entries(selectedFacets)
+    .filter(([, values]) => values.length > 0)
+    .map(
+      ([param, values]) =>
+        `&${encodeURIComponent(param)}=${encodeURIComponent(values.join(","))}`,
+    )
+    .join("");
+}
+
+/**
+ * Render facet counts returned by the search
+ */
+function renderFacets(facets) {
+  const facetsPanel = document.getElementById("facetsPanel");
+  if (!facetsPanel) return;
+
+  const groups = facets.filter((facet) => facet.values.length > 0);
+  const hasSelection = Object.values(selectedFacets).some(
+    (values) => values.length > 0,
+  );
+
+  if (groups.length === 0 && !hasSelection) {
+    facetsPanel.classList.add("d-none");
+    facetsPanel.innerHTML = "";
+    return;
+  }
+
+  facetsPanel.classList.remove("d-none");
+  facetsPanel.innerHTML = `
+        ${groups
+          .map(
+            (facet) => `
+            <div class="facet-group">
+                <span class="facet-label">${escapeHtml(facet.label)}</span>
+                ${facet.values
+                  .map(
+                    (item) => `
+                    <button type="button" class="btn btn-sm facet-chip${item.selected ? " active" : ""}"
+                        data-param="${escapeHtml(facet.param)}" data-value="${escapeHtml(item.value)}"
+                        onclick="toggleFacet(this)">
+                        ${escapeHtml(item.label)} <span class="facet-count">${item.count}</span>
+                    </button>
+                `,
+                  )
+                  .join("")}
+            </div>
+        `,
+          )
+          .join("")}
+        ${
+          hasSelection
+            ? `<a href="#" class="facet-clear small" onclick="clearFacets(); return false;">
+                <i class="fas fa-times me-1"></i>Quitar facetas
+            </a>`
+            : ""
+        }
+    `;
+}
+
+/**
+ * Add or remove a facet value and search again
+ */
+function toggleFacet(button) {
+  const { param, value } = button.dataset;
+  const values = selectedFacets[param] || [];
+
+  selectedFacets[param] = values.includes(value)
+    ? values.filter((v) => v !== value)
+    : [...values, value];
+  currentPage = 1;
+
+  handleSearch();
+}
+
+/**
+ * Remove every selected facet and search again
+ */
+function clearFacets() {
+  selectedFacets = {};
+  currentPage = 1;
+  handleSearch();
+}
+
+/**
+ * Render previous/next page controls
+ */
+function renderPagination(pagination) {
+  const nav = document.getElementById("resultsPagination");
+  if (!nav) return;
+
+  if (!pagination || pagination.totalPages <= 1) {
+    nav.classList.add("d-none");
+    nav.innerHTML = "";
+    return;
+  }
+
+  const { page, totalPages } = pagination;
+  nav.classList.remove("d-none");
+  nav.innerHTML = `
+        <ul class="pagination justify-content-center">
+            <li class="page-item${page <= 1 ? " disabled" : ""}">
+                <a class="page-link" href="#" onclick="goToPage(${page - 1}); return false;">
+                    <i class="fas fa-chevron-left me-1"></i>Anterior
+                </a>
+            </li>
+            <li class="page-item disabled">
+                <span class="page-link">Página ${page} de ${totalPages}</span>
+            </li>
+            <li class="page-item${page >= totalPages ? " disabled" : ""}">
+                <a class="page-link" href="#" onclick="goToPage(${page + 1}); return false;">
+                    Siguiente<i class="fas fa-chevron-right ms-1"></i>
+                </a>
+            </li>
+        </ul>
+    `;
+}
+
+/**
+ * Load another page of the current search
+ */
+function goToPage(page) {
+  if (page < 1 || page === currentPage) return;
+  currentPage = page;
+  handleSearch();
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
 /**
  * Display filtered results
  */
@@ -454,7 +910,11 @@ function displayFilteredResults(results) {
   resultItems.forEach((item, index) => {
     item.style.animationDelay = `${index * 0.05}s`;
     item.addEventListener("click", function (e) {
-      if (e.target.tagName !== "A" && !e.target.closest("a")) {
+      if (
+        e.target.tagName !== "A" &&
+        !e.target.closest("a") &&
+        !e.target.closest(".compare-select")
+      ) {
         const link = this.querySelector(".result-title a");
         if (link) link.click();
       }
@@ -462,6 +922,133 @@ function displayFilteredResults(results) {
   });
 }
 
+/**
+ * Load the class hierarchy for the explorer panel
+ */
+async function loadClassHierarchy() {
+  const classTree = document.getElementById("classTree");
+  if (!classTree) return;
+
+  try {
+    const response = await fetch("/api/ontology/hierarchy");
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || "Error al cargar la jerarquía");
+    }
+
+    classHierarchy = data.data || [];
+    classTree.innerHTML = classHierarchy.length
+      ? `<ul class="class-tree-list">${classHierarchy.map(generateClassNodeHTML).join("")}</ul>`
+      : '<p class="text-muted small mb-0">No hay clases disponibles</p>';
+  } catch (error) {
+    console.error("Error loading class hierarchy:", error);
+    classTree.innerHTML = `<p class="text-warning small mb-0">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Generate a class tree node (collapsed by default)
+ */
+function generateClassNodeHTML(node) {
+  const hasChildren = node.children && node.children.length > 0;
+  const uri = escapeHtml(node.uri);
+
+  return `
+    <li class="class-tree-node collapsed" data-uri="${uri}">
+      <div class="class-tree-row">
+        ${
+          hasChildren
+            ? `<button type="button" class="class-tree-caret" onclick="toggleClassNode(this)" aria-label="Expandir"><i class="fas fa-chevron-right"></i></button>`
+            : '<span class="class-tree-caret-placeholder"></span>'
+        }
+        <a href="#" class="class-tree-label" onclick="selectClassBranch('${uri}'); return false;" title="${uri}">
+          ${escapeHtml(node.label || node.name)}
+        </a>
+        <span class="class-tree-count" title="Directas / totales">${node.directInstances}/${node.totalInstances}</span>
+      </div>
+      ${hasChildren ? `<ul class="class-tree-list">${node.children.map(generateClassNodeHTML).join("")}</ul>` : ""}
+    </li>
+  `;
+}
+
+/**
+ * Expand or collapse a class tree node
+ */
+function toggleClassNode(button) {
+  const node = button.closest(".class-tree-node");
+  if (node) node.classList.toggle("collapsed");
+}
+
+/**
+ * Filter results to the selected class and its subclasses
+ */
+function selectClassBranch(uri) {
+  selectedClass = uri;
+
+  document.querySelectorAll(".class-tree-node").forEach((node) => {
+    node.classList.toggle("selected", node.dataset.uri === uri);
+  });
+  document.getElementById("classTreeClear")?.classList.remove("d-none");
+
+  if (!currentResults || currentResults.length === 0) {
+    showNotification(
+      "Realiza una búsqueda para filtrar sus resultados por clase",
+      "info",
+    );
+    return;
+  }
+
+  applyClassFilter();
+}
+
+function applyClassFilter() {
+  const branch = collectBranchClasses(classHierarchy, selectedClass);
+  const filteredResults = currentResults.filter(
+    (result) =>
+      branch.has(result.uri) ||
+      (Array.isArray(result.classes) &&
+        result.classes.some((cls) => branch.has(cls))),
+  );
+
+  displayFilteredResults(filteredResults);
+  showNotification(
+    `Mostrando ${filteredResults.length} resultados de la clase seleccionada`,
+    "info",
+  );
+}
+
+/**
+ * Class URIs in the branch rooted at `uri` (a class may appear under
+ * several parents, so every occurrence is visited)
+ */
+function collectBranchClasses(
+  nodes,
+  uri,
+  inBranch = false,
+  branch = new Set(),
+) {
+  nodes.forEach((node) => {
+    const included = inBranch || node.uri === uri;
+    if (included) branch.add(node.uri);
+    collectBranchClasses(node.children || [], uri, included, branch);
+  });
+  return branch;
+}
+
+function clearClassFilter() {
+  selectedClass = null;
+
+  document
+    .querySelectorAll(".class-tree-node.selected")
+    .forEach((node) => node.classList.remove("selected"));
+  document.getElementById("classTreeClear")?.classList.add("d-none");
+
+  if (currentResults && currentResults.length > 0) {
+    displayFilteredResults(currentResults);
+  }
+}
+
 /**
  * Show result detail modal
  */
@@ -471,6 +1058,7 @@ async function showResultDetail(id, type, uri) {
   const modal = new bootstrap.Modal(document.getElementById("detailModal"));
   const detailTitle = document.getElementById("detailTitle");
   const detailSubtitle = document.getElementById("detailSubtitle");
+  const detailPageLink = document.getElementById("detailPageLink");
 
   const result = currentResults.find((r) => r.id === id || r.uri === uri);
 
@@ -485,6 +1073,10 @@ async function showResultDetail(id, type, uri) {
     detailSubtitle.innerHTML = `<i class="fas fa-${getSourceIcon(type)} me-1"></i>${result.displaySource || result.source || ""}`;
   }
 
+  if (detailPageLink) {
+    detailPageLink.href = `/detail?id=${encodeURIComponent(id)}&type=${encodeURIComponent(type)}&uri=${encodeURIComponent(uri)}`;
+  }
+
   modal.show();
 
   showDetailLoadingState();
@@ -612,6 +1204,8 @@ function generateOverviewHTML(detailData, result) {
                 </div>
             </div>
 
+            ${generatePropertiesHTML(detailData.properties)}
+
             ${
               detailData.externalLinks && detailData.externalLinks.length > 0
                 ? `
@@ -637,6 +1231,61 @@ function generateOverviewHTML(detailData, result) {
     `;
 }
 
+/**
+ * Generate properties HTML. Each property holds a list of typed values
+ * ({ value, lexical, isLiteral, datatype, language, label })
+ */
+function generatePropertiesHTML(properties) {
+  const entries = Object.entries(properties || {}).filter(
+    ([, values]) => Array.isArray(values) && values.length > 0,
+  );
+
+  if (entries.length === 0) return "";
+
+  const rows = entries
+    .map(([key, values]) => {
+      const formattedValues = values
+        .map((item) => {
+          const inferred = item.inferred
+            ? ' <span class="badge bg-info text-dark ms-1" title="Deducido por el razonador">inferido</span>'
+            : "";
+          const source = item.source
+            ? ` <span class="badge field-source ms-1">${escapeHtml(getFieldSourceName(item.source))}</span>`
+            : "";
+          if (!item.isLiteral) {
+            return `<span class="d-block" title="${escapeHtml(item.value)}"><i class="fas fa-link me-1"></i>${escapeHtml(item.label || item.name || item.value)}${inferred}${source}</span>`;
+          }
+          const datatype = item.datatype
+            ? item.datatype.split(/[#/]/).pop()
+            : "";
+          const tag = item.language
+            ? `@${item.language}`
+            : datatype !== "string" && datatype !== "langString"
+              ? datatype
+              : "";
+          return `<span class="d-block">${escapeHtml(item.lexical ?? String(item.value))}${tag ? ` <span class="badge bg-secondary ms-1">${escapeHtml(tag)}</span>` : ""}${inferred}${source}</span>`;
+        })
+        .join("");
+
+      return `
+                    <tr>
+                        <th scope="row" style="width: 35%">${escapeHtml(key.replace(/([A-Z])/g, " $1"))}</th>
+                        <td>${formattedValues}</td>
+                    </tr>`;
+    })
+    .join("");
+
+  return `
+            <div class="detail-properties mt-4">
+                <h5 class="mb-3"><i class="fas fa-list me-2"></i>Propiedades</h5>
+                <table class="table table-sm">
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+  `;
+}
+
 /**
  * Show detail loading state
  */
@@ -723,6 +1372,12 @@ async function showStats() {
  * Generate statistics HTML
  */
 function generateStatsHTML(data) {
+  const dbpedia = data.data?.dbpedia || {};
+  const localEntries = (dbpedia.sources || []).reduce(
+    (total, source) => total + (source.localEntries || 0),
+    0,
+  );
+
   return `
         <div class="stats-overview">
             <div class="row g-4">
@@ -736,15 +1391,80 @@ function generateStatsHTML(data) {
                 <div class="col-md-6">
                     <div class="stat-card p-3 border rounded">
                         <h6 class="text-muted mb-2"><i class="fas fa-globe me-2"></i>DBpedia Dataset</h6>
-                        <p class="h3 mb-0">${data.data?.dbpedia?.localEntries || 0}</p>
+                        <p class="h3 mb-0">${localEntries}</p>
                         <small class="text-muted">entradas locales</small>
                     </div>
                 </div>
+                <div class="col-12">
+                    ${generateModeHTML(dbpedia)}
+                </div>
             </div>
         </div>
     `;
 }
 
+/**
+ * Generate connection mode card with the offline toggle
+ */
+function generateModeHTML(dbpedia) {
+  const labels = {
+    online: ["success", "Online"],
+    offline: ["secondary", "Offline (manual)"],
+    "offline-auto": ["warning", "Offline (sin conexión)"],
+  };
+  const [color, label] = labels[dbpedia.mode] || labels.online;
+  const lastCheck = dbpedia.lastHealthCheck;
+  const checkText = lastCheck
+    ? `Última comprobación: ${new Date(lastCheck.timestamp).toLocaleString()} — ${lastCheck.sources
+        .map(
+          (source) =>
+            `${escapeHtml(source.source)} ${source.healthy ? "OK" : "caído"}`,
+        )
+        .join(", ")}`
+    : "Sin comprobaciones de conexión";
+
+  return `
+        <div class="stat-card p-3 border rounded d-flex align-items-center justify-content-between">
+            <div>
+                <h6 class="text-muted mb-2"><i class="fas fa-wifi me-2"></i>Fuentes externas</h6>
+                <span class="badge bg-${color}">${label}</span>
+                <small class="text-muted d-block mt-1">${checkText}</small>
+            </div>
+            <button class="btn btn-sm btn-outline-primary" onclick="setOfflineMode(${!dbpedia.offlineMode})">
+                ${dbpedia.offlineMode ? "Volver a online" : "Trabajar offline"}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Switch the server between offline and online mode
+ */
+async function setOfflineMode(offline) {
+  try {
+    const response = await fetch("/api/unified/offline-mode", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ offline }),
+    });
+    const data = await response.json();
+
+    if (!data.success) throw new Error(data.message);
+    showNotification(data.message, "success");
+
+    const statsResponse = await fetch("/api/unified/stats", {
+      headers: { "Cache-Control": "no-cache" },
+    });
+    const statsContent = document.getElementById("statsContent");
+    if (statsContent) {
+      statsContent.innerHTML = generateStatsHTML(await statsResponse.json());
+    }
+  } catch (error) {
+    console.error("Error setting offline mode:", error);
+    showNotification(`Error al cambiar de modo: ${error.message}`, "error");
+  }
+}
+
 /**
  * Show notification toast
  */
@@ -812,6 +1532,48 @@ function getSourceBadgeClass(source) {
   return classes[source] || "local";
 }
 
+/**
+ * Get display name of the source a detail field comes from
+ */
+function getFieldSourceName(source) {
+  const names = {
+    ontology: "Ontología Local",
+    history: "Búsquedas anteriores",
+    generated: "Generada",
+    "local-dataset": "Dataset local",
+    "file-cache": "Caché",
+    "dbpedia-sparql": "DBpedia",
+    wikidata: "Wikidata",
+    "bet-calculator": "Calculadora de apuestas",
+  };
+  return names[source] || source;
+}
+
+/**
+ * Icono y nombre de cada tipo de sugerencia
+ */
+function getSuggestionIcon(type) {
+  const icons = {
+    query: "history",
+    class: "sitemap",
+    individual: "cube",
+    label: "tag",
+    alias: "quote-right",
+  };
+  return icons[type] || "search";
+}
+
+function getSuggestionTypeName(type) {
+  const names = {
+    query: "Búsqueda",
+    class: "Clase",
+    individual: "Individuo",
+    label: "Etiqueta",
+    alias: "Alias",
+  };
+  return names[type] || type;
+}
+
 /**
  * Get filter name
  */
@@ -0,0 +1,133 @@
+/**
+ * Compare Page JavaScript
+ * Tabla con las propiedades de varios juegos lado a lado. Usa escapeHtml y
+ * getFieldSourceName de app.js, que se carga en todas las páginas
+ */
+
+let currentComparison = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const ids = new URLSearchParams(window.location.search).get('ids') || '';
+    window.removeFromComparison = removeFromComparison;
+    loadComparison(ids);
+});
+
+/**
+ * Load comparison data
+ */
+async function loadComparison(ids) {
+    try {
+        const response = await fetch(`/api/unified/compare?ids=${encodeURIComponent(ids)}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Error loading comparison');
+        }
+
+        currentComparison = data.data;
+        renderComparison();
+    } catch (error) {
+        console.error('Error loading comparison:', error);
+        showCompareAlert(error.message);
+    } finally {
+        document.getElementById('compareLoading').classList.add('d-none');
+    }
+}
+
+/**
+ * Render comparison table: una columna por juego y una fila por propiedad
+ */
+function renderComparison() {
+    const { games, properties, best, notFound } = currentComparison;
+    const table = document.getElementById('compareTable');
+
+    if (notFound.length > 0) {
+        showCompareAlert(`No se encontraron: ${notFound.join(', ')}`);
+    }
+
+    const header = games.map(game => `
+        <th scope="col">
+            ${escapeHtml(game.name)}
+            <div class="small fw-normal">
+                ${game.sources.map(source => `<span class="badge field-source me-1">${escapeHtml(getFieldSourceName(source))}</span>`).join('')}
+            </div>
+            ${games.length > 2 ? `
+            <button class="btn btn-link btn-sm p-0" onclick="removeFromComparison('${encodeURIComponent(game.id).replace(/'/g, '%27')}')">
+                <i class="fas fa-times me-1"></i>Quitar
+            </button>` : ''}
+        </th>
+    `).join('');
+
+    const rows = properties.map(property => `
+        <tr>
+            <th scope="row">
+                ${escapeHtml(property.label)}
+                ${property.better ? `<div class="small text-muted fw-normal">${property.better === 'lower' ? 'Mejor cuanto más baja' : 'Mejor cuanto más alta'}</div>` : ''}
+            </th>
+            ${games.map(game => {
+                const isBest = (best[property.key] || []).includes(game.id);
+                return `
+            <td class="${isBest ? 'best-value' : ''}">
+                ${isBest ? '<i class="fas fa-trophy me-1" title="Mejor valor"></i>' : ''}
+                ${formatCompareValues(game.properties[property.key])}
+            </td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    table.innerHTML = `
+        <table class="table compare-table align-middle">
+            <thead>
+                <tr>
+                    <th scope="col">Propiedad</th>
+                    ${header}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    table.classList.remove('d-none');
+}
+
+/**
+ * Valores de una celda con la fuente de cada uno; el texto original se
+ * muestra al pasar el ratón
+ */
+function formatCompareValues(values) {
+    if (!values || values.length === 0) {
+        return '<span class="text-muted">—</span>';
+    }
+
+    return values.map(value => `
+        <div class="compare-value" title="${escapeHtml(value.text)}">
+            ${escapeHtml(formatCompareValue(value))}
+            <span class="badge field-source ms-1">${escapeHtml(getFieldSourceName(value.source))}</span>
+            ${value.derived ? '<span class="small text-muted ms-1">(derivado)</span>' : ''}
+        </div>
+    `).join('');
+}
+
+function formatCompareValue(value) {
+    if (Array.isArray(value.value)) return value.value.join(', ');
+    if (value.value !== undefined) return value.value;
+    if (value.min === null) return value.text;
+
+    const unit = value.unit === '%' ? '%' : ` ${value.unit}`;
+    return value.min === value.max
+        ? `${value.min}${unit}`
+        : `${value.min} – ${value.max}${unit}`;
+}
+
+function removeFromComparison(encodedId) {
+    const id = decodeURIComponent(encodedId);
+    const ids = currentComparison.games
+        .map(game => game.id)
+        .filter(gameId => gameId !== id);
+    window.location.href = `/compare?ids=${encodeURIComponent(ids.join(','))}`;
+}
+
+function showCompareAlert(message) {
+    const alert = document.getElementById('compareAlert');
+    alert.textContent = message;
+    alert.classList.remove('d-none');
+}
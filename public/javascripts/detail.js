@@ -5,6 +5,7 @@
 
 let currentResult = null;
 let currentDetailData = null;
+let graphSimulation = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Detail Page Initialized');
@@ -103,6 +104,9 @@ function initializeDetailEventListeners() {
     window.shareOnFacebook = shareOnFacebook;
     window.shareOnWhatsApp = shareOnWhatsApp;
     window.retryLoad = retryLoad;
+    window.changeGraphDepth = function(depth) {
+        loadNeighborhoodGraph(currentResult.uri, parseInt(depth, 10) || 1);
+    };
 }
 
 /**
@@ -116,20 +120,20 @@ async function loadDetailContent(id, type, uri) {
         const data = await response.json();
 
         if (data.success) {
-            currentDetailData = data.detail;
+            currentDetailData = data.data;
             currentResult = {
                 id: id,
                 type: type,
                 uri: uri,
-                name: data.detail.name || 'Resultado',
-                category: data.detail.category || '',
-                ...data.detail
+                name: data.data.name || 'Resultado',
+                category: data.data.category || '',
+                ...data.data
             };
 
             renderDetailContent();
             hideDetailLoading();
         } else {
-            throw new Error(data.error || 'Error loading details');
+            throw new Error(data.message || 'Error loading details');
         }
     } catch (error) {
         console.error('Error loading detail content:', error);
@@ -149,6 +153,7 @@ function renderDetailContent() {
     // Update main content sections
     updateMainDescription();
     updatePropertiesSection();
+    updateNeighborhoodGraph();
     updateRelatedSection();
     updateExternalLinksSection();
 
@@ -199,10 +204,13 @@ function updateMainDescription() {
                        currentResult.abstract ||
                        'Sin descripción disponible';
 
+    const descriptionSource = currentDetailData.fields?.description?.source;
+
     mainDescription.innerHTML = `
         <div class="description-text">
             ${formatDescription(description)}
         </div>
+        ${descriptionSource ? `<small class="text-muted">Fuente: ${fieldSourceBadge(descriptionSource)}</small>` : ''}
     `;
 }
 
@@ -242,7 +250,6 @@ function renderPropertiesList() {
         if (key === 'type' || !value) return;
 
         const formattedKey = formatPropertyName(key);
-        const formattedValue = Array.isArray(value) ? value.join(', ') : String(value);
 
         html += `
             <div class="col-md-6">
@@ -252,7 +259,7 @@ function renderPropertiesList() {
                         ${escapeHtml(formattedKey)}
                     </h6>
                     <p class="property-value mb-0">
-                        ${escapeHtml(formattedValue)}
+                        ${formatPropertyValue(value)}
                     </p>
                 </div>
             </div>
@@ -292,12 +299,11 @@ function renderPropertiesTable() {
         if (key === 'type' || !value) return;
 
         const formattedKey = formatPropertyName(key);
-        const formattedValue = Array.isArray(value) ? value.join(', ') : String(value);
 
         html += `
             <tr>
                 <td><strong>${escapeHtml(formattedKey)}</strong></td>
-                <td>${escapeHtml(formattedValue)}</td>
+                <td>${formatPropertyValue(value)}</td>
             </tr>
         `;
     });
@@ -312,6 +318,171 @@ function renderPropertiesTable() {
     propertiesContent.setAttribute('data-view', 'table');
 }
 
+/**
+ * Update neighborhood graph (only ontology entities have one)
+ */
+function updateNeighborhoodGraph() {
+    const graphSection = document.getElementById('graphSection');
+    if (!graphSection) return;
+
+    if (currentResult.type !== 'local') {
+        graphSection.classList.add('d-none');
+        return;
+    }
+
+    graphSection.classList.remove('d-none');
+    const depthSelect = document.getElementById('graphDepth');
+    loadNeighborhoodGraph(currentResult.uri, parseInt(depthSelect?.value, 10) || 1);
+}
+
+/**
+ * Load the N-hop neighborhood of an entity
+ */
+async function loadNeighborhoodGraph(uri, depth) {
+    const container = document.getElementById('neighborhoodGraph');
+    const graphInfo = document.getElementById('graphInfo');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="text-center py-5">
+            <div class="spinner-border text-primary" role="status">
+                <span class="visually-hidden">Cargando...</span>
+            </div>
+        </div>
+    `;
+
+    try {
+        const response = await fetch(`/api/ontology/neighborhood?uri=${encodeURIComponent(uri)}&depth=${depth}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Error al cargar el grafo');
+        }
+
+        renderNeighborhoodGraph(data.data);
+
+        if (graphInfo) {
+            graphInfo.textContent = `${data.data.nodes.length} nodos, ${data.data.edges.length} relaciones` +
+                (data.data.truncated ? ' (grafo recortado)' : '') +
+                '. Haz clic en un nodo para abrir su detalle.';
+        }
+    } catch (error) {
+        console.error('Error loading neighborhood graph:', error);
+        container.innerHTML = `<p class="text-muted text-center py-4 mb-0">${escapeHtml(error.message)}</p>`;
+        if (graphInfo) graphInfo.textContent = '';
+    }
+}
+
+/**
+ * Render the neighborhood as a force-directed graph (D3)
+ */
+function renderNeighborhoodGraph(graph) {
+    const container = document.getElementById('neighborhoodGraph');
+    container.innerHTML = '';
+
+    if (typeof d3 === 'undefined') {
+        container.innerHTML = '<p class="text-muted text-center py-4 mb-0">No se pudo cargar la librería de gráficos</p>';
+        return;
+    }
+
+    if (graph.edges.length === 0) {
+        container.innerHTML = '<p class="text-muted text-center py-4 mb-0">Esta entidad no tiene relaciones con otros individuos</p>';
+        return;
+    }
+
+    if (graphSimulation) graphSimulation.stop();
+
+    const width = container.clientWidth || 600;
+    const height = 420;
+    const nodes = graph.nodes.map(node => ({ ...node }));
+    const links = graph.edges.map(edge => ({ ...edge }));
+
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('viewBox', [0, 0, width, height])
+        .attr('class', 'neighborhood-svg');
+
+    svg.append('defs').append('marker')
+        .attr('id', 'graphArrow')
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 22)
+        .attr('markerWidth', 6)
+        .attr('markerHeight', 6)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M0,-5L10,0L0,5')
+        .attr('class', 'graph-arrow');
+
+    const layer = svg.append('g');
+    svg.call(d3.zoom()
+        .scaleExtent([0.3, 4])
+        .on('zoom', event => layer.attr('transform', event.transform)));
+
+    const link = layer.append('g')
+        .selectAll('line')
+        .data(links)
+        .join('line')
+        .attr('class', d => `graph-link${d.inferred ? ' inferred' : ''}`)
+        .attr('marker-end', 'url(#graphArrow)');
+
+    const linkLabel = layer.append('g')
+        .selectAll('text')
+        .data(links)
+        .join('text')
+        .attr('class', 'graph-link-label')
+        .text(d => d.label);
+
+    const node = layer.append('g')
+        .selectAll('g')
+        .data(nodes)
+        .join('g')
+        .attr('class', d => `graph-node depth-${Math.min(d.depth, 3)}${d.depth === 0 ? ' center' : ''}`)
+        .on('click', (event, d) => {
+            if (event.defaultPrevented || d.depth === 0) return;
+            window.location.href = `/detail?id=${encodeURIComponent(d.resultId)}&type=local&uri=${encodeURIComponent(d.id)}`;
+        })
+        .call(d3.drag()
+            .on('start', (event, d) => {
+                if (!event.active) graphSimulation.alphaTarget(0.3).restart();
+                d.fx = d.x;
+                d.fy = d.y;
+            })
+            .on('drag', (event, d) => {
+                d.fx = event.x;
+                d.fy = event.y;
+            })
+            .on('end', (event, d) => {
+                if (!event.active) graphSimulation.alphaTarget(0);
+                d.fx = null;
+                d.fy = null;
+            }));
+
+    node.append('circle').attr('r', d => d.depth === 0 ? 14 : 10);
+    node.append('text')
+        .attr('dy', 24)
+        .attr('text-anchor', 'middle')
+        .text(d => d.label);
+    node.append('title')
+        .text(d => `${d.label}${d.types.length ? ` (${d.types.join(', ')})` : ''}\n${d.id}`);
+
+    graphSimulation = d3.forceSimulation(nodes)
+        .force('link', d3.forceLink(links).id(d => d.id).distance(110))
+        .force('charge', d3.forceManyBody().strength(-320))
+        .force('center', d3.forceCenter(width / 2, height / 2))
+        .force('collide', d3.forceCollide(32))
+        .on('tick', () => {
+            link
+                .attr('x1', d => d.source.x)
+                .attr('y1', d => d.source.y)
+                .attr('x2', d => d.target.x)
+                .attr('y2', d => d.target.y);
+            linkLabel
+                .attr('x', d => (d.source.x + d.target.x) / 2)
+                .attr('y', d => (d.source.y + d.target.y) / 2);
+            node.attr('transform', d => `translate(${d.x},${d.y})`);
+        });
+}
+
 /**
  * Update related section
  */
@@ -474,7 +645,7 @@ function extractQuickInfo() {
         if (properties[prop]) {
             quickInfo.push({
                 label: formatPropertyName(prop),
-                value: String(properties[prop])
+                value: propertyValueText(properties[prop])
             });
         }
     });
@@ -640,7 +811,14 @@ function generateXML(data) {
     if (data.includeProperties && data.detail.properties) {
         xml += '  <properties>\n';
         Object.entries(data.detail.properties).forEach(([key, value]) => {
-            xml += `    <property name="${escapeXml(key)}">${escapeXml(String(value))}</property>\n`;
+            toPropertyValues(value).forEach(item => {
+                const attributes = [
+                    item.language ? ` xml:lang="${escapeXml(item.language)}"` : '',
+                    item.datatype ? ` datatype="${escapeXml(item.datatype)}"` : '',
+                    item.isLiteral ? '' : ` resource="${escapeXml(item.value)}"`
+                ].join('');
+                xml += `    <property name="${escapeXml(key)}"${attributes}>${escapeXml(item.isLiteral ? (item.lexical ?? String(item.value)) : item.label || item.value)}</property>\n`;
+            });
         });
         xml += '  </properties>\n';
     }
@@ -670,7 +848,7 @@ function generateTextReport(data) {
         text += `PROPIEDADES\n`;
         text += `-----------\n`;
         Object.entries(data.detail.properties).forEach(([key, value]) => {
-            text += `${formatPropertyName(key)}: ${value}\n`;
+            text += `${formatPropertyName(key)}: ${propertyValueText(value)}\n`;
         });
         text += '\n';
     }
@@ -711,12 +889,27 @@ function shareOnWhatsApp() {
  * Utility functions
  */
 
+/**
+ * Badge with the source a field of the fused detail comes from
+ */
+function fieldSourceBadge(source) {
+    if (!source) return '';
+    return `<span class="badge field-source ms-1" title="Fuente">${escapeHtml(getSourceDisplayName(source))}</span>`;
+}
+
 function getSourceDisplayName(type) {
     const names = {
         'local': 'Ontología Local',
         'dbpedia': 'DBpedia',
         'Local Ontology': 'Ontología Local',
-        'DBpedia': 'DBpedia'
+        'DBpedia': 'DBpedia',
+        'ontology': 'Ontología Local',
+        'generated': 'Generada',
+        'local-dataset': 'Dataset local',
+        'file-cache': 'Caché',
+        'dbpedia-sparql': 'DBpedia',
+        'wikidata': 'Wikidata',
+        'uri': 'URI'
     };
     return names[type] || type || 'Desconocido';
 }
@@ -778,6 +971,55 @@ function formatPropertyName(propName) {
            propName.charAt(0).toUpperCase() + propName.slice(1).replace(/([A-Z])/g, ' $1');
 }
 
+/**
+ * Normalize a property value to the typed list returned by the API
+ * ({ value, lexical, isLiteral, datatype, language, label })
+ */
+function toPropertyValues(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(item => (item !== null && typeof item === 'object')
+        ? item
+        : { value: item, lexical: String(item), isLiteral: true, datatype: null, language: null });
+}
+
+function propertyValueText(value) {
+    return toPropertyValues(value)
+        .map(item => item.isLiteral ? (item.lexical ?? String(item.value)) : (item.label || item.name || item.value))
+        .join(', ');
+}
+
+/**
+ * Render every value of a property, marking language tags, datatypes,
+ * values that point to other resources and values inferred by the reasoner
+ */
+function formatPropertyValue(value) {
+    return toPropertyValues(value).map(item => {
+        const inferred = item.inferred
+            ? '<span class="badge bg-info text-dark ms-1" title="Deducido por el razonador">inferido</span>'
+            : '';
+
+        if (!item.isLiteral) {
+            return `<span class="d-block property-resource" title="${escapeHtml(item.value)}">
+                        <i class="fas fa-link me-1"></i>${escapeHtml(item.label || item.name || item.value)}
+                        ${inferred}
+                        ${fieldSourceBadge(item.source)}
+                    </span>`;
+        }
+
+        const datatype = item.datatype ? item.datatype.split(/[#/]/).pop() : '';
+        const tag = item.language
+            ? `@${item.language}`
+            : (datatype && datatype !== 'string' && datatype !== 'langString' ? datatype : '');
+
+        return `<span class="d-block">
+                    ${escapeHtml(item.lexical ?? String(item.value))}
+                    ${tag ? `<span class="badge bg-secondary ms-1" title="${escapeHtml(item.datatype || '')}">${escapeHtml(tag)}</span>` : ''}
+                    ${inferred}
+                    ${fieldSourceBadge(item.source)}
+                </span>`;
+    }).join('');
+}
+
 function formatDescription(text) {
     if (!text) return 'Sin descripción disponible';
 
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const ontologyController = require("../controllers/ontologyController");
+
+router.get("/", ontologyController.listGames.bind(ontologyController));
+
+router.post(
+  "/reload",
+  ontologyController.reloadGameKnowledge.bind(ontologyController),
+);
+
+router.get("/:game", ontologyController.getGame.bind(ontologyController));
+
+router.get("/:game/bets", ontologyController.listBets.bind(ontologyController));
+
+router.get(
+  "/:game/bets/:bet/ev",
+  ontologyController.getBetExpectedValue.bind(ontologyController),
+);
+
+router.post("/", ontologyController.createGame.bind(ontologyController));
+
+router.put("/:game", ontologyController.updateGame.bind(ontologyController));
+
+router.delete("/:game", ontologyController.deleteGame.bind(ontologyController));
+
+module.exports = router;
@@ -8,4 +8,16 @@ router.get("/", function (req, res, next) {
   });
 });
 
+router.get("/detail", function (req, res, next) {
+  res.render("detail", {
+    title: "Detalle - Buscador Semántico de Juegos de Casino",
+  });
+});
+
+router.get("/compare", function (req, res, next) {
+  res.render("compare", {
+    title: "Comparar juegos - Buscador Semántico de Juegos de Casino",
+  });
+});
+
 module.exports = router;
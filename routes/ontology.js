@@ -4,6 +4,16 @@ const ontologyController = require("../controllers/ontologyController");
 
 router.get("/classes", ontologyController.getClasses.bind(ontologyController));
 
+router.get(
+  "/hierarchy",
+  ontologyController.getClassHierarchy.bind(ontologyController),
+);
+
+router.get(
+  "/neighborhood",
+  ontologyController.getNeighborhood.bind(ontologyController),
+);
+
 router.get(
   "/instances/:className",
   ontologyController.getInstancesOfClass.bind(ontologyController),
@@ -23,6 +33,8 @@ router.post(
   ontologyController.reloadOntology.bind(ontologyController),
 );
 
+router.post("/sparql", ontologyController.sparqlQuery.bind(ontologyController));
+
 router.get(
   "/dbpedia/search",
   ontologyController.searchDbpedia.bind(ontologyController),
@@ -17,6 +17,15 @@ router.get(
   ontologyController.getResultDetail.bind(ontologyController),
 );
 
+router.get("/ask", ontologyController.askQuestion.bind(ontologyController));
+
+router.get("/suggest", ontologyController.suggest.bind(ontologyController));
+
+router.get(
+  "/compare",
+  ontologyController.compareGames.bind(ontologyController),
+);
+
 router.post(
   "/init",
   ontologyController.initializeUnifiedService.bind(ontologyController),
@@ -42,4 +51,24 @@ router.post(
   ontologyController.setOfflineMode.bind(ontologyController),
 );
 
+router.get(
+  "/links",
+  ontologyController.getEntityLinks.bind(ontologyController),
+);
+
+router.get(
+  "/links/suggestions",
+  ontologyController.suggestEntityLinks.bind(ontologyController),
+);
+
+router.post(
+  "/links",
+  ontologyController.addEntityLink.bind(ontologyController),
+);
+
+router.delete(
+  "/links",
+  ontologyController.removeEntityLink.bind(ontologyController),
+);
+
 module.exports = router;
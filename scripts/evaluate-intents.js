@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Entrena el clasificador de intenciones con el conjunto "train" y muestra
+ * precisión y exhaustividad por intención sobre el conjunto reservado "test"
+ *
+ *   npm run evaluate:intents [-- fichero.json]
+ */
+const intentClassifierService = require("../services/intentClassifierService");
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+
+async function main() {
+  const file = process.argv[2];
+  const { train, test } = await intentClassifierService.loadUtterances(
+    file || undefined,
+  );
+  if (test.length === 0) {
+    throw new Error("El fichero no tiene frases de test");
+  }
+
+  intentClassifierService.train(train);
+  const report = intentClassifierService.evaluate(test);
+
+  const width = Math.max(...Object.keys(report.intents).map((i) => i.length));
+  console.log(
+    `\n${"intent".padEnd(width)}  precision   recall       f1  support`,
+  );
+  Object.entries(report.intents).forEach(([intent, scores]) => {
+    console.log(
+      `${intent.padEnd(width)}    ${percent(scores.precision)}  ${percent(scores.recall)}  ${percent(scores.f1)}  ${String(scores.support).padStart(7)}`,
+    );
+  });
+  console.log(
+    `\naccuracy: ${percent(report.accuracy).trim()} (${report.total} frases, ${train.length} de entrenamiento)`,
+  );
+
+  if (report.errors.length > 0) {
+    console.log("\nErrores:");
+    report.errors.forEach(({ text, expected, predicted, confidence }) =>
+      console.log(
+        `  "${text}": ${expected} -> ${predicted} (${confidence.toFixed(2)})`,
+      ),
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,397 @@
+const gameKnowledgeService = require("./gameKnowledgeService");
+
+// Entrada de la tabla de probabilidades con la de un número en cada
+// variante de ruleta (1/37 con un cero, 1/38 con doble cero)
+const ROULETTE_NUMBER = {
+  european: "singleNumber",
+  american: "singleNumberAmerican",
+};
+
+// Puntos de los dados en los que se sigue tirando tras la salida
+const CRAPS_POINTS = [4, 5, 6, 8, 9, 10];
+
+// Probabilidad exacta de cada suma de dos dados: combinaciones entre 36. La
+// tabla del juego está redondeada y desviaría las ventajas de la casa
+const CRAPS_SUMS = Object.fromEntries(
+  Array.from({ length: 11 }, (_, i) => [i + 2, (6 - Math.abs(i - 5)) / 36]),
+);
+
+/**
+ * Error del calculador; el controlador lo traduce al statusCode
+ */
+class BetCalculatorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "BetCalculatorError";
+    this.statusCode = statusCode;
+  }
+}
+
+const win = (probability, payout, name = "win") => ({
+  name,
+  probability,
+  payout,
+});
+
+/**
+ * Apuesta de ruleta que cubre `numbers` casillas: la probabilidad es la de
+ * un número en la variante por las casillas cubiertas y el pago sale de la
+ * tabla del juego
+ */
+const rouletteBet = (names, numbers, payoutKey, variants) => ({
+  names,
+  variants,
+  outcomes: ({ probability, payout }, variant) => [
+    win(numbers * probability(ROULETTE_NUMBER[variant]), payout(payoutKey)),
+  ],
+});
+
+/**
+ * Probabilidad de que salga cada punto antes que el 7 (o el 7 antes)
+ */
+const crapsPoints = (favourable) =>
+  CRAPS_POINTS.reduce(
+    (total, point) =>
+      total +
+      (CRAPS_SUMS[point] * CRAPS_SUMS[favourable(point)]) /
+        (CRAPS_SUMS[point] + CRAPS_SUMS[7]),
+    0,
+  );
+
+/**
+ * Apuestas conocidas de cada juego (clave de gameKnowledgeService). `names`
+ * son los nombres en español e inglés, sin tildes, con que se reconocen en
+ * una consulta (el primero se usa en las respuestas) y
+ * `outcomes` devuelve los resultados ganadores o empatados con su pago neto
+ * por unidad apostada; el resto de la probabilidad es perder la apuesta
+ */
+const BETS = {
+  ruleta: {
+    variants: Object.keys(ROULETTE_NUMBER),
+    bets: {
+      straight: rouletteBet(
+        { es: ["pleno", "numero"], en: ["straight", "single number"] },
+        1,
+        "straight",
+      ),
+      split: rouletteBet({ es: ["caballo"], en: ["split"] }, 2, "split"),
+      street: rouletteBet(
+        { es: ["calle", "transversal"], en: ["street"] },
+        3,
+        "street",
+      ),
+      corner: rouletteBet(
+        { es: ["cuadro", "esquina"], en: ["corner"] },
+        4,
+        "corner",
+      ),
+      fiveNumber: rouletteBet(
+        { es: ["cinco numeros"], en: ["five number", "basket"] },
+        5,
+        "fiveNumber",
+        ["american"],
+      ),
+      sixLine: rouletteBet(
+        { es: ["seisena", "linea"], en: ["six line"] },
+        6,
+        "sixLine",
+      ),
+      dozen: rouletteBet({ es: ["docena"], en: ["dozen"] }, 12, "dozen"),
+      column: rouletteBet({ es: ["columna"], en: ["column"] }, 12, "column"),
+      red: rouletteBet({ es: ["rojo"], en: ["red"] }, 18, "redBlack"),
+      black: rouletteBet({ es: ["negro"], en: ["black"] }, 18, "redBlack"),
+      even: rouletteBet({ es: ["par"], en: ["even"] }, 18, "evenOdd"),
+      odd: rouletteBet({ es: ["impar"], en: ["odd"] }, 18, "evenOdd"),
+      low: rouletteBet({ es: ["falta", "manque"], en: ["low"] }, 18, "highLow"),
+      high: rouletteBet({ es: ["pasa", "passe"], en: ["high"] }, 18, "highLow"),
+    },
+  },
+  baccarat: {
+    bets: {
+      banker: {
+        names: { es: ["banca"], en: ["banker"] },
+        outcomes: ({ probability, payout }) => [
+          win(probability("banker"), payout("banker")),
+          win(probability("tie"), 0, "push"),
+        ],
+      },
+      player: {
+        names: { es: ["jugador", "punto"], en: ["player"] },
+        outcomes: ({ probability, payout }) => [
+          win(probability("player"), payout("player")),
+          win(probability("tie"), 0, "push"),
+        ],
+      },
+      tie: {
+        names: { es: ["empate"], en: ["tie"] },
+        outcomes: ({ probability, payout }) => [
+          win(probability("tie"), payout("tie")),
+        ],
+      },
+    },
+  },
+  dados: {
+    bets: {
+      pass: {
+        names: { es: ["linea de pase", "pase"], en: ["pass line", "pass"] },
+        outcomes: ({ payout }) => [
+          win(
+            CRAPS_SUMS[7] + CRAPS_SUMS[11] + crapsPoints((point) => point),
+            payout("pass"),
+          ),
+        ],
+      },
+      dontPass: {
+        names: { es: ["no pase"], en: ["don't pass", "dont pass"] },
+        outcomes: ({ payout }) => [
+          win(
+            CRAPS_SUMS[2] + CRAPS_SUMS[3] + crapsPoints(() => 7),
+            payout("dontPass"),
+          ),
+          win(CRAPS_SUMS[12], 0, "push"),
+        ],
+      },
+      field: {
+        names: { es: ["campo"], en: ["field"] },
+        outcomes: ({ payout }) => [
+          win(CRAPS_SUMS[2] + CRAPS_SUMS[12], payout("fieldDouble"), "double"),
+          win(
+            [3, 4, 9, 10, 11].reduce((sum, n) => sum + CRAPS_SUMS[n], 0),
+            payout("field"),
+          ),
+        ],
+      },
+      any7: {
+        names: {
+          es: ["cualquier 7", "cualquier siete"],
+          en: ["any 7", "any seven"],
+        },
+        outcomes: ({ payout }) => [win(CRAPS_SUMS[7], payout("any7"))],
+      },
+      anyCraps: {
+        names: { es: ["cualquier craps"], en: ["any craps"] },
+        outcomes: ({ payout }) => [
+          win(
+            CRAPS_SUMS[2] + CRAPS_SUMS[3] + CRAPS_SUMS[12],
+            payout("anyCraps"),
+          ),
+        ],
+      },
+    },
+  },
+  blackjack: {
+    bets: {
+      // Con un As visible: gana si la carta oculta del crupier vale 10
+      insurance: {
+        names: { es: ["seguro"], en: ["insurance"] },
+        outcomes: ({ probability, payout }) => [
+          win(probability("insurance"), payout("insurance")),
+        ],
+      },
+      // Apuesta lateral sobre las dos primeras cartas del jugador
+      perfectPairs: {
+        names: {
+          es: ["pares perfectos"],
+          en: ["perfect pairs", "perfect pair"],
+        },
+        outcomes: ({ probability, payout }) => [
+          win(probability("perfectPair"), payout("perfectPair"), "perfect"),
+          win(probability("coloredPair"), payout("coloredPair"), "colored"),
+          win(probability("mixedPair"), payout("mixedPair"), "mixed"),
+        ],
+      },
+    },
+  },
+};
+
+/**
+ * Probabilidad, pago, valor esperado y varianza de las apuestas estándar.
+ * Las probabilidades y pagos se leen de las tablas `probabilities` y
+ * `payouts` de cada juego en la base de conocimiento
+ */
+class BetCalculatorService {
+  /**
+   * @param {string} game - Clave del juego
+   * @returns {Array<Object>} { bet, names, variants, ...cálculo por unidad }
+   */
+  listBets(game) {
+    const definition = this.getDefinition(game);
+
+    return Object.entries(definition.bets).map(([bet, { names }]) => {
+      const variants = this.variantsOf(definition, bet);
+      return {
+        bet,
+        names,
+        variants,
+        ...this.calculate(game, bet, { variant: variants[0] }),
+      };
+    });
+  }
+
+  /**
+   * @param {string} game - Clave del juego
+   * @param {string} bet - Clave de la apuesta o uno de sus nombres
+   * @param {Object} options - { stake, variant }
+   * @returns {Object} { game, bet, variant, stake, probability, payout,
+   *   outcomes, expectedValue, houseEdge, rtp, variance,
+   *   standardDeviation }; expectedValue, variance y standardDeviation en
+   *   unidades de la apuesta (stake)
+   */
+  calculate(game, bet, { stake = 1, variant } = {}) {
+    const definition = this.getDefinition(game);
+    const key = this.resolveBet(definition, bet);
+    if (!key) {
+      throw new BetCalculatorError(
+        `Apuesta no encontrada en ${game}: ${bet}`,
+        404,
+      );
+    }
+
+    const variants = this.variantsOf(definition, key);
+    const chosen = variants.length > 0 ? variant || variants[0] : null;
+    if (chosen !== null && !variants.includes(chosen)) {
+      throw new BetCalculatorError(
+        `Variante no válida para ${key}: ${variant} (${variants.join(", ")})`,
+      );
+    }
+    if (!Number.isFinite(stake) || stake <= 0) {
+      throw new BetCalculatorError("La apuesta debe ser un número positivo");
+    }
+
+    const outcomes = definition.bets[key].outcomes(this.tablesOf(game), chosen);
+    const covered = outcomes.reduce((sum, o) => sum + o.probability, 0);
+    outcomes.push({
+      name: "lose",
+      probability: Math.max(0, 1 - covered),
+      payout: -1,
+    });
+
+    const expected = outcomes.reduce(
+      (sum, o) => sum + o.probability * o.payout,
+      0,
+    );
+    const variance =
+      outcomes.reduce((sum, o) => sum + o.probability * o.payout ** 2, 0) -
+      expected ** 2;
+
+    return {
+      game,
+      bet: key,
+      variant: chosen,
+      stake,
+      probability: this.round(
+        outcomes
+          .filter((o) => o.payout > 0)
+          .reduce((sum, o) => sum + o.probability, 0),
+      ),
+      payout: outcomes[0].payout,
+      outcomes: outcomes.map((o) => ({
+        name: o.name,
+        probability: this.round(o.probability),
+        payout: o.payout,
+        net: this.round(o.payout * stake),
+      })),
+      expectedValue: this.round(expected * stake),
+      houseEdge: this.round(-expected * 100, 2),
+      rtp: this.round(100 + expected * 100, 2),
+      variance: this.round(variance * stake ** 2),
+      standardDeviation: this.round(Math.sqrt(variance) * stake),
+    };
+  }
+
+  /**
+   * Apuesta del juego nombrada en una consulta; se prueban primero los
+   * nombres más largos ("no pase" antes que "pase")
+   * @param {string} game - Clave del juego
+   * @param {string} text - Consulta normalizada (minúsculas, sin tildes)
+   * @returns {string|null} Clave de la apuesta
+   */
+  findBet(game, text) {
+    if (!Object.hasOwn(BETS, game)) return null;
+    const definition = BETS[game];
+
+    const candidates = Object.entries(definition.bets)
+      .flatMap(([bet, { names }]) =>
+        [...names.es, ...names.en].map((name) => ({ bet, name })),
+      )
+      .sort((a, b) => b.name.length - a.name.length);
+
+    const found = candidates.find(({ name }) =>
+      new RegExp(`(^|[^a-z])${this.escapeRegExp(name)}($|[^a-z])`).test(text),
+    );
+    return found ? found.bet : null;
+  }
+
+  /**
+   * Nombre para mostrar de una apuesta en el idioma indicado
+   */
+  getBetName(game, bet, language = "es") {
+    const { names } = BETS[game].bets[bet];
+    return (language === "es" ? names.es : names.en)[0];
+  }
+
+  getVariants(game, bet) {
+    return this.variantsOf(BETS[game], bet);
+  }
+
+  getDefinition(game) {
+    gameKnowledgeService.get(game);
+    if (!Object.hasOwn(BETS, game)) {
+      throw new BetCalculatorError(
+        `No hay apuestas calculables para ${game}`,
+        404,
+      );
+    }
+    return BETS[game];
+  }
+
+  /**
+   * Acepta la clave de la apuesta (sin distinguir mayúsculas) o uno de
+   * sus nombres
+   */
+  resolveBet(definition, bet) {
+    const wanted = String(bet || "").toLowerCase();
+    return (
+      Object.keys(definition.bets).find(
+        (key) =>
+          key.toLowerCase() === wanted ||
+          [
+            ...definition.bets[key].names.es,
+            ...definition.bets[key].names.en,
+          ].includes(wanted),
+      ) || null
+    );
+  }
+
+  variantsOf(definition, bet) {
+    return definition.bets[bet].variants || definition.variants || [];
+  }
+
+  /**
+   * Lectores de las tablas del juego; una entrada que falta es un error
+   * de los datos, no de la petición
+   */
+  tablesOf(game) {
+    const knowledge = gameKnowledgeService.get(game);
+    const read = (table) => (key) => {
+      const values = knowledge[table] || {};
+      const value = Object.hasOwn(values, key) ? values[key] : undefined;
+      if (typeof value !== "number") {
+        throw new BetCalculatorError(`Falta ${table}.${key} en ${game}`, 500);
+      }
+      return value;
+    };
+    return { probability: read("probabilities"), payout: read("payouts") };
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  round(number, decimals = 4) {
+    return Number(number.toFixed(decimals));
+  }
+}
+
+module.exports = new BetCalculatorService();
+module.exports.BetCalculatorError = BetCalculatorError;
@@ -0,0 +1,317 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("../utils/logger");
+const {
+  CACHE_DIRECTORY,
+  CACHE_TTL,
+  CACHE_MEMORY_MAX_BYTES,
+  CACHE_DISK_MAX_BYTES,
+} = require("../config/constants");
+
+const INDEX_FILE = "index.json";
+
+/**
+ * Caché de dos niveles: LRU en memoria y almacén en disco con un fichero
+ * índice. Cada entrada caduca tras su TTL y, si se supera el tamaño máximo
+ * de un nivel, se expulsan las usadas hace más tiempo
+ */
+class TieredCache {
+  /**
+   * @param {Object} options - { directory, ttl (ms), maxMemoryBytes,
+   *   maxDiskBytes }
+   */
+  constructor({ directory, ttl, maxMemoryBytes, maxDiskBytes }) {
+    this.directory = path.resolve(__dirname, "..", directory);
+    this.ttl = ttl;
+    this.maxMemoryBytes = maxMemoryBytes;
+    this.maxDiskBytes = maxDiskBytes;
+
+    // Map conserva el orden de inserción: la primera clave es la menos usada
+    this.memory = new Map();
+    this.memoryBytes = 0;
+    this.index = new Map();
+    this.diskBytes = 0;
+    this.indexWrite = Promise.resolve();
+    this.initialized = false;
+    this.counters = {
+      memoryHits: 0,
+      diskHits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0,
+      expirations: 0,
+    };
+  }
+
+  /**
+   * Carga el índice y borra los ficheros que no aparecen en él
+   */
+  async init() {
+    if (this.initialized) return;
+    await fs.mkdir(this.directory, { recursive: true });
+
+    try {
+      const data = JSON.parse(
+        await fs.readFile(path.join(this.directory, INDEX_FILE), "utf8"),
+      );
+      (data.entries || []).forEach((entry) => this.index.set(entry.key, entry));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        Logger.warn("Cache index unreadable, starting empty:", error.message);
+      }
+    }
+
+    const files = new Set(
+      Array.from(this.index.values()).map((entry) => entry.file),
+    );
+    for (const file of await fs.readdir(this.directory)) {
+      if (file !== INDEX_FILE && !files.has(file)) {
+        await fs.unlink(path.join(this.directory, file)).catch(() => {});
+      }
+    }
+
+    this.diskBytes = Array.from(this.index.values()).reduce(
+      (total, entry) => total + entry.bytes,
+      0,
+    );
+    this.initialized = true;
+    await this.cleanExpired();
+    Logger.info(`Cache loaded with ${this.index.size} entries`);
+  }
+
+  /**
+   * @returns {Promise<*>} Valor guardado o null si no está o ha caducado
+   */
+  async get(key) {
+    const cached = this.memory.get(key);
+    if (cached) {
+      if (this.isExpired(cached)) {
+        await this.delete(key);
+        this.counters.expirations++;
+      } else {
+        this.memory.delete(key);
+        this.memory.set(key, cached);
+        this.touch(key);
+        this.counters.memoryHits++;
+        return cached.value;
+      }
+    }
+
+    const entry = this.index.get(key);
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      await this.delete(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return null;
+    }
+
+    try {
+      const value = JSON.parse(
+        await fs.readFile(path.join(this.directory, entry.file), "utf8"),
+      );
+      this.remember(key, value, entry.bytes, entry.expiry);
+      this.touch(key);
+      this.counters.diskHits++;
+      return value;
+    } catch (error) {
+      Logger.warn(`Cache entry ${key} unreadable:`, error.message);
+      await this.delete(key);
+      this.counters.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Guarda un valor serializable en los dos niveles
+   * @param {string} key - Clave (p.ej. "search:blackjack")
+   * @param {*} value - Valor
+   * @param {Object} options - { ttl, meta: datos pequeños que se guardan en
+   *   el índice para poder filtrar sin leer los ficheros }
+   */
+  async set(key, value, { ttl = this.ttl, meta = {} } = {}) {
+    const data = JSON.stringify(value);
+    const bytes = Buffer.byteLength(data);
+    const now = Date.now();
+    const entry = {
+      key,
+      file: `${crypto.createHash("sha1").update(key).digest("hex")}.json`,
+      bytes,
+      createdAt: now,
+      lastAccess: now,
+      expiry: now + ttl,
+      meta,
+    };
+
+    try {
+      await fs.writeFile(path.join(this.directory, entry.file), data);
+      const previous = this.index.get(key);
+      if (previous) this.diskBytes -= previous.bytes;
+      this.index.set(key, entry);
+      this.diskBytes += bytes;
+      this.counters.writes++;
+
+      await this.evictFromDisk();
+      if (this.index.has(key)) this.remember(key, value, bytes, entry.expiry);
+      await this.saveIndex();
+    } catch (error) {
+      Logger.warn(`Failed to write cache entry ${key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    this.forget(key);
+
+    const entry = this.index.get(key);
+    if (!entry) return false;
+
+    this.index.delete(key);
+    this.diskBytes -= entry.bytes;
+    await fs.unlink(path.join(this.directory, entry.file)).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Invalida una clave concreta o todas las que empiezan por un prefijo
+   * @param {Object} selector - { key } o { prefix }
+   * @returns {Promise<number>} Entradas eliminadas
+   */
+  async invalidate({ key, prefix }) {
+    const keys = new Set([...this.index.keys(), ...this.memory.keys()]);
+    const matches = Array.from(keys).filter((candidate) =>
+      key !== undefined ? candidate === key : candidate.startsWith(prefix),
+    );
+
+    for (const match of matches) await this.delete(match);
+    await this.saveIndex();
+
+    Logger.info(
+      `Cache invalidated ${matches.length} entries (${key !== undefined ? `key ${key}` : `prefix ${prefix}`})`,
+    );
+    return matches.length;
+  }
+
+  /**
+   * @returns {Promise<number>} Entradas caducadas eliminadas
+   */
+  async cleanExpired() {
+    const expired = Array.from(this.index.values())
+      .filter((entry) => this.isExpired(entry))
+      .map((entry) => entry.key);
+
+    for (const key of expired) await this.delete(key);
+    this.counters.expirations += expired.length;
+    if (expired.length > 0) {
+      await this.saveIndex();
+      Logger.info(`Cleaned ${expired.length} expired cache entries`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Entradas vigentes del índice que cumplen un filtro sobre sus metadatos
+   * @param {Function} predicate - (entry) => boolean
+   * @returns {Array<Object>} Entradas del índice
+   */
+  findEntries(predicate = () => true) {
+    return Array.from(this.index.values()).filter(
+      (entry) => !this.isExpired(entry) && predicate(entry),
+    );
+  }
+
+  getStats() {
+    const { memoryHits, diskHits, misses } = this.counters;
+    const lookups = memoryHits + diskHits + misses;
+
+    return {
+      directory: this.directory,
+      ttl: this.ttl,
+      memory: {
+        entries: this.memory.size,
+        bytes: this.memoryBytes,
+        maxBytes: this.maxMemoryBytes,
+      },
+      disk: {
+        entries: this.index.size,
+        bytes: this.diskBytes,
+        maxBytes: this.maxDiskBytes,
+      },
+      ...this.counters,
+      hitRate: lookups > 0 ? (memoryHits + diskHits) / lookups : 0,
+    };
+  }
+
+  remember(key, value, bytes, expiry) {
+    // Las entradas mayores que todo el nivel de memoria se quedan en disco
+    if (bytes > this.maxMemoryBytes) return;
+
+    this.forget(key);
+    this.memory.set(key, { value, bytes, expiry });
+    this.memoryBytes += bytes;
+
+    while (this.memoryBytes > this.maxMemoryBytes) {
+      const oldest = this.memory.keys().next().value;
+      this.forget(oldest);
+      this.counters.evictions++;
+    }
+  }
+
+  forget(key) {
+    const cached = this.memory.get(key);
+    if (!cached) return;
+    this.memory.delete(key);
+    this.memoryBytes -= cached.bytes;
+  }
+
+  touch(key) {
+    const entry = this.index.get(key);
+    if (entry) entry.lastAccess = Date.now();
+  }
+
+  async evictFromDisk() {
+    if (this.diskBytes <= this.maxDiskBytes) return;
+
+    const byAge = Array.from(this.index.values()).sort(
+      (a, b) => a.lastAccess - b.lastAccess,
+    );
+    for (const entry of byAge) {
+      if (this.diskBytes <= this.maxDiskBytes) break;
+      await this.delete(entry.key);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Escribe el índice; las escrituras se encadenan para no solaparse
+   */
+  saveIndex() {
+    this.indexWrite = this.indexWrite
+      .then(() =>
+        fs.writeFile(
+          path.join(this.directory, INDEX_FILE),
+          JSON.stringify({ entries: Array.from(this.index.values()) }, null, 2),
+        ),
+      )
+      .catch((error) =>
+        Logger.warn("Failed to write cache index:", error.message),
+      );
+    return this.indexWrite;
+  }
+
+  isExpired(entry) {
+    return Date.now() > entry.expiry;
+  }
+}
+
+module.exports = new TieredCache({
+  directory: CACHE_DIRECTORY,
+  ttl: CACHE_TTL,
+  maxMemoryBytes: CACHE_MEMORY_MAX_BYTES,
+  maxDiskBytes: CACHE_DISK_MAX_BYTES,
+});
+module.exports.TieredCache = TieredCache;
@@ -0,0 +1,462 @@
+const ontologyService = require("./ontologyService");
+const entityLinkService = require("./entityLinkService");
+const facetService = require("./facetService");
+
+// Juegos que se pueden comparar a la vez
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 6;
+
+/**
+ * Propiedades comparables. `ontology` y `external` son los nombres de la
+ * propiedad (sin distinguir mayúsculas) en la ontología y en las fuentes
+ * externas (dataset local, caché, DBpedia); `better` indica qué extremo es
+ * el mejor para el juego
+ */
+const PROPERTIES = [
+  {
+    key: "rtp",
+    label: "RTP",
+    unit: "%",
+    kind: "percent",
+    better: "higher",
+    ontology: ["rtp"],
+    external: ["rtp", "return_to_player"],
+  },
+  {
+    key: "houseEdge",
+    label: "Ventaja de la casa",
+    unit: "%",
+    kind: "percent",
+    better: "lower",
+    ontology: ["ventajacasa"],
+    external: ["house_edge", "houseedge"],
+  },
+  {
+    key: "probability",
+    label: "Probabilidad de ganar",
+    unit: "%",
+    kind: "percent",
+    better: "higher",
+    ontology: ["probabilidad"],
+    external: ["probability", "win_probability"],
+  },
+  {
+    key: "players",
+    label: "Jugadores",
+    unit: "jugadores",
+    kind: "count",
+    better: null,
+    ontology: ["jugadores", "numerojugadores"],
+    external: ["players", "number_of_players"],
+  },
+  {
+    key: "skillLevel",
+    label: "Nivel de habilidad",
+    unit: null,
+    kind: "level",
+    better: null,
+    ontology: ["nivelhabilidad", "skilllevel", "dificultad", "difficulty"],
+    external: ["skill_level", "skilllevel", "difficulty"],
+  },
+  {
+    key: "equipment",
+    label: "Equipamiento",
+    unit: null,
+    kind: "list",
+    better: null,
+    ontology: ["equipamiento", "equipment"],
+    external: ["equipment"],
+  },
+];
+
+// Niveles de habilidad en inglés y español, en los términos de facetService
+const SKILL_LEVELS = {
+  low: "bajo",
+  easy: "bajo",
+  beginner: "bajo",
+  bajo: "bajo",
+  medium: "medio",
+  intermediate: "medio",
+  medio: "medio",
+  high: "alto",
+  hard: "alto",
+  advanced: "alto",
+  expert: "alto",
+  alto: "alto",
+};
+
+/**
+ * Error de una comparación; el controlador lo traduce al statusCode
+ */
+class ComparisonError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ComparisonError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Comparación de varios juegos. Cada juego reúne los individuos de la
+ * ontología y los recursos externos enlazados por owl:sameAs (también a
+ * través de la clase del individuo) y sus propiedades se normalizan:
+ * porcentajes en %, rangos con min y max y niveles de habilidad en
+ * bajo/medio/alto
+ */
+class ComparisonService {
+  constructor() {
+    this.properties = PROPERTIES;
+  }
+
+  /**
+   * @param {string|Array<string>} ids - Separados por comas
+   * @returns {Array<string>} Ids sin repetir
+   */
+  parseIds(ids) {
+    const list = [
+      ...new Set(
+        (Array.isArray(ids) ? ids : [ids])
+          .flatMap((value) => String(value || "").split(","))
+          .map((value) => value.trim())
+          .filter(Boolean),
+      ),
+    ];
+
+    if (list.length < MIN_COMPARE) {
+      throw new ComparisonError(
+        `Indica al menos ${MIN_COMPARE} ids separados por comas`,
+      );
+    }
+    if (list.length > MAX_COMPARE) {
+      throw new ComparisonError(
+        `Se pueden comparar como máximo ${MAX_COMPARE} juegos`,
+      );
+    }
+    return list;
+  }
+
+  /**
+   * Un id puede ser una URI, el id de una entrada del dataset o el nombre
+   * local de un recurso de la ontología
+   * @returns {string|null} URI, o null si no se conoce
+   */
+  resolveUri(id, entries) {
+    const entry = entries.find((e) => e.id === id);
+    if (entry) return entry.uri;
+
+    const uri = /^https?:\/\//.test(id) ? id : this.ontologyUri(id);
+    const known =
+      ontologyService.hasResource(uri) ||
+      entries.some((e) => e.uri === uri) ||
+      entityLinkService.getLinkedUris(uri).length > 1;
+    return known ? uri : null;
+  }
+
+  ontologyUri(name) {
+    return ontologyService.namespace(name).value;
+  }
+
+  /**
+   * URIs de la misma entidad: las enlazadas por owl:sameAs y, para un
+   * individuo, las enlazadas a sus clases. Las clases de la ontología se
+   * sustituyen por sus individuos
+   * @returns {{ individuals: Array<string>, external: Array<string> }}
+   */
+  expandUris(uri) {
+    const clusters = entityLinkService.buildClusters();
+    const related = new Set(entityLinkService.getLinkedUris(uri, clusters));
+
+    if (ontologyService.hasResource(uri)) {
+      ontologyService
+        .getTypesOfInstance(uri)
+        .filter((type) => !type.uri.startsWith("http://www.w3.org/"))
+        .forEach((type) =>
+          entityLinkService
+            .getLinkedUris(type.uri, clusters)
+            .filter((linked) => linked !== type.uri)
+            .forEach((linked) => related.add(linked)),
+        );
+    }
+
+    const individuals = new Set();
+    const external = [];
+    related.forEach((relatedUri) => {
+      if (!ontologyService.hasResource(relatedUri)) {
+        external.push(relatedUri);
+      } else if (this.isClass(relatedUri)) {
+        ontologyService
+          .getInstancesOfClass(ontologyService.extractLocalName(relatedUri))
+          .filter((instance) => !instance.inferred)
+          .forEach((instance) => individuals.add(instance.uri));
+      } else {
+        individuals.add(relatedUri);
+      }
+    });
+
+    return { individuals: Array.from(individuals), external };
+  }
+
+  isClass(uri) {
+    return ontologyService
+      .getTypesOfInstance(uri)
+      .some((type) => type.name === "Class");
+  }
+
+  /**
+   * Ficha comparable de un juego
+   * @param {Object} game - { id, uri, individuals, external } con external
+   *   [{ source, uri, detail }] de collectKnowledgeDetails
+   * @returns {Object} { id, uri, name, sameAs, sources, properties }
+   */
+  describe({ id, uri, individuals, external }) {
+    const properties = {};
+    this.properties.forEach(({ key }) => (properties[key] = []));
+
+    individuals.forEach((individual) => {
+      const values = ontologyService.getPropertiesOfInstance({
+        value: individual,
+      });
+      this.properties.forEach((property) => {
+        Object.entries(values)
+          .filter(([predicate]) =>
+            property.ontology.includes(predicate.toLowerCase()),
+          )
+          .flatMap(([, terms]) => terms)
+          .forEach((term) => {
+            const raw = term.isLiteral ? term.lexical : term.label || term.name;
+            const value = this.normalize(property, raw, term.isLiteral);
+            if (value) {
+              properties[property.key].push({
+                ...value,
+                source: "ontology",
+                sourceUri: individual,
+              });
+            }
+          });
+      });
+
+      // Sin nivel declarado se usa el de la clase (como en las facetas)
+      if (
+        !properties.skillLevel.some((value) => value.sourceUri === individual)
+      ) {
+        facetService.skillLevelValues(individual).forEach(({ value }) =>
+          properties.skillLevel.push({
+            value,
+            text: value,
+            source: "ontology",
+            sourceUri: individual,
+            derived: true,
+          }),
+        );
+      }
+    });
+
+    external.forEach(({ source, uri: sourceUri, detail }) => {
+      const values = detail.properties || {};
+      this.properties.forEach((property) => {
+        Object.entries(values)
+          .filter(([name]) => property.external.includes(name.toLowerCase()))
+          .flatMap(([, raw]) => (Array.isArray(raw) ? [raw.join(", ")] : [raw]))
+          .forEach((raw) => {
+            const value = this.normalize(property, raw, false);
+            if (value) {
+              properties[property.key].push({ ...value, source, sourceUri });
+            }
+          });
+      });
+    });
+
+    this.deriveComplement(properties, "rtp", "houseEdge");
+    this.deriveComplement(properties, "houseEdge", "rtp");
+
+    const ontologyName = individuals.length
+      ? ontologyService.formatDisplayName(
+          ontologyService.extractLocalName(individuals[0]),
+        )
+      : null;
+    const externalName = external.find(({ detail }) => detail.label);
+    // Se pidió un recurso de la ontología: manda su nombre
+    const fromOntology = ontologyService.hasResource(uri) && ontologyName;
+
+    return {
+      id,
+      uri,
+      name:
+        fromOntology ||
+        (externalName && externalName.detail.label) ||
+        ontologyName ||
+        ontologyService.extractLocalName(uri),
+      sameAs: [...individuals, ...external.map((e) => e.uri)].filter(
+        (sameUri, index, all) =>
+          sameUri !== uri && all.indexOf(sameUri) === index,
+      ),
+      sources: [
+        ...new Set([
+          ...(individuals.length ? ["ontology"] : []),
+          ...external.map(({ source }) => source),
+        ]),
+      ],
+      properties,
+    };
+  }
+
+  /**
+   * El RTP y la ventaja de la casa suman 100 %: si falta uno se calcula
+   * con el otro y se marca como derived. Los valores sin números (textos
+   * como "varies") no se complementan
+   */
+  deriveComplement(properties, missing, known) {
+    if (properties[missing].length > 0) return;
+
+    properties[known]
+      .filter(
+        (value) => !value.derived && value.min !== null && value.max !== null,
+      )
+      .forEach((value) =>
+        properties[missing].push({
+          ...value,
+          min: this.round(100 - value.max),
+          max: this.round(100 - value.min),
+          derived: true,
+        }),
+      );
+  }
+
+  /**
+   * Convierte un valor a la unidad de la propiedad
+   * @param {boolean} isLiteral - Literal numérico de la ontología
+   * @returns {Object|null} { min, max, unit, text } para números y
+   *   { value, text } para niveles y listas
+   */
+  normalize(property, raw, isLiteral) {
+    const text = String(raw == null ? "" : raw).trim();
+    if (!text) return null;
+
+    if (property.kind === "percent") {
+      return this.parsePercent(text, isLiteral, property.unit);
+    }
+    if (property.kind === "count") {
+      return this.parseCount(text, property.unit);
+    }
+    if (property.kind === "level") {
+      const level = SKILL_LEVELS[text.toLowerCase()];
+      return { value: level || text.toLowerCase(), text };
+    }
+    return {
+      value: text
+        .split(/\s*,\s*/)
+        .map((item) => item.trim())
+        .filter(Boolean),
+      text,
+    };
+  }
+
+  /**
+   * En la ontología los porcentajes son fracciones (0.027); en el dataset
+   * son textos como "0.5% - 2% depending on rules". Un número sin % menor
+   * o igual que 1 se toma como fracción
+   */
+  parsePercent(text, isLiteral, unit) {
+    const withSign = [...text.matchAll(/(\d+(?:\.\d+)?)\s*%/g)].map((match) =>
+      Number(match[1]),
+    );
+    let numbers = withSign;
+
+    if (numbers.length === 0) {
+      const plain = isLiteral
+        ? [Number(text)]
+        : [...text.matchAll(/\d+(?:\.\d+)?/g)].map((match) => Number(match[0]));
+      numbers = plain
+        .filter((number) => Number.isFinite(number))
+        .map((number) => (number <= 1 ? number * 100 : number));
+    }
+
+    if (numbers.length === 0) {
+      return { min: null, max: null, unit, text };
+    }
+    return {
+      min: this.round(Math.min(...numbers)),
+      max: this.round(Math.max(...numbers)),
+      unit,
+      text,
+    };
+  }
+
+  /**
+   * "1-7 players plus dealer", "Up to 8 players", "1 player per machine"
+   */
+  parseCount(text, unit) {
+    const range = text.match(/(\d+)\s*(?:-|–|a|to)\s*(\d+)/i);
+    if (range) {
+      return { min: Number(range[1]), max: Number(range[2]), unit, text };
+    }
+
+    const upTo = text.match(/(?:up to|hasta)\s*(\d+)/i);
+    if (upTo) return { min: 1, max: Number(upTo[1]), unit, text };
+
+    const single = text.match(/\d+/);
+    if (single) {
+      return { min: Number(single[0]), max: Number(single[0]), unit, text };
+    }
+    return { min: null, max: null, unit, text };
+  }
+
+  /**
+   * Juegos con el mejor valor de cada propiedad con `better`. En los rangos
+   * cuenta el extremo más favorable
+   * @returns {Object<string, Array<string>>} ids por propiedad
+   */
+  findBest(games) {
+    const best = {};
+
+    this.properties
+      .filter((property) => property.better)
+      .forEach(({ key, better }) => {
+        const scores = games
+          .map((game) => {
+            const numbers = game.properties[key]
+              .map((value) => (better === "lower" ? value.min : value.max))
+              .filter((number) => number !== null);
+            if (numbers.length === 0) return null;
+            return {
+              id: game.id,
+              score:
+                better === "lower"
+                  ? Math.min(...numbers)
+                  : Math.max(...numbers),
+            };
+          })
+          .filter(Boolean);
+        if (scores.length < MIN_COMPARE) return;
+
+        const target = (better === "lower" ? Math.min : Math.max)(
+          ...scores.map(({ score }) => score),
+        );
+        best[key] = scores
+          .filter(({ score }) => score === target)
+          .map(({ id }) => id);
+      });
+
+    return best;
+  }
+
+  /**
+   * Propiedades comparables para la cabecera de la tabla
+   */
+  getProperties() {
+    return this.properties.map(({ key, label, unit, better }) => ({
+      key,
+      label,
+      unit,
+      better,
+    }));
+  }
+
+  round(number) {
+    return Number(number.toFixed(2));
+  }
+}
+
+module.exports = new ComparisonService();
+module.exports.ComparisonError = ComparisonError;
+module.exports.MIN_COMPARE = MIN_COMPARE;
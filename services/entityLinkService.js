@@ -0,0 +1,309 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("../utils/logger");
+const nlpService = require("./nlpService");
+const ontologyService = require("./ontologyService");
+const { ENTITY_LINKS_FILE } = require("../config/constants");
+
+// Relativo a la raíz del proyecto, no al directorio desde el que se arranca
+const LINKS_FILE = path.resolve(__dirname, "..", ENTITY_LINKS_FILE);
+
+const SAME_AS = "http://www.w3.org/2002/07/owl#sameAs";
+
+// Confianza de cada forma de coincidencia al sugerir enlaces
+const MATCH_SCORES = {
+  label: 1,
+  alias: 0.9,
+  name: 0.8,
+  translation: 0.7,
+};
+
+// Palabras genéricas de los nombres locales ("Juego Ruleta" -> "ruleta")
+const GENERIC_WORDS = new Set([
+  "juego",
+  "juegos",
+  "game",
+  "games",
+  "categoria",
+  "category",
+]);
+
+/**
+ * Error de una petición de enlazado (URI no válida, enlace inexistente...).
+ * El controlador lo traduce al statusCode indicado
+ */
+class EntityLinkError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "EntityLinkError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Enlaces owl:sameAs entre individuos de la ontología y recursos externos
+ * (dataset local, DBpedia, Wikidata). Los enlaces declarados en la ontología
+ * se leen del store; los añadidos por la API se guardan en ENTITY_LINKS_FILE
+ */
+class EntityLinkService {
+  constructor() {
+    this.links = [];
+  }
+
+  async init() {
+    try {
+      const data = JSON.parse(await fs.readFile(LINKS_FILE, "utf8"));
+      this.links = Array.isArray(data.links) ? data.links : [];
+      Logger.info(`Loaded ${this.links.length} entity links`);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        Logger.warn(`Entity links file not found: ${LINKS_FILE}`);
+      } else {
+        Logger.warn("Could not read entity links:", error.message);
+      }
+      this.links = [];
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(LINKS_FILE), { recursive: true });
+    await fs.writeFile(
+      LINKS_FILE,
+      JSON.stringify({ predicate: SAME_AS, links: this.links }, null, 2),
+    );
+  }
+
+  /**
+   * Todos los enlaces: los de la ontología y los guardados
+   * @returns {Array<Object>} { from, to, source, createdAt }
+   */
+  getLinks() {
+    return [
+      ...ontologyService
+        .getSameAsLinks()
+        .map((link) => ({ ...link, source: "ontology" })),
+      ...this.links.map((link) => ({ ...link, source: "stored" })),
+    ];
+  }
+
+  async addLink(from, to) {
+    this.validateUri(from);
+    this.validateUri(to);
+    if (from === to) {
+      throw new EntityLinkError("Una entidad no puede enlazarse consigo misma");
+    }
+    if (this.getLinkedUris(from).includes(to)) {
+      throw new EntityLinkError("Las entidades ya están enlazadas", 409);
+    }
+
+    const link = { from, to, createdAt: new Date().toISOString() };
+    this.links.push(link);
+    await this.save();
+    Logger.info(`Entity link added: ${from} owl:sameAs ${to}`);
+    return link;
+  }
+
+  async removeLink(from, to) {
+    const index = this.links.findIndex(
+      (link) =>
+        (link.from === from && link.to === to) ||
+        (link.from === to && link.to === from),
+    );
+    if (index === -1) {
+      throw new EntityLinkError(
+        "Enlace no encontrado (los declarados en la ontología no se pueden borrar)",
+        404,
+      );
+    }
+
+    const [removed] = this.links.splice(index, 1);
+    await this.save();
+    Logger.info(`Entity link removed: ${from} owl:sameAs ${to}`);
+    return removed;
+  }
+
+  validateUri(uri) {
+    if (typeof uri !== "string" || !/^https?:\/\/\S+$/.test(uri)) {
+      throw new EntityLinkError(`URI no válida: ${uri}`);
+    }
+  }
+
+  /**
+   * Agrupa las URIs enlazadas (owl:sameAs es simétrica y transitiva)
+   * @returns {Map<string, Set<string>>} URI -> grupo al que pertenece
+   */
+  buildClusters() {
+    const clusters = new Map();
+
+    this.getLinks().forEach(({ from, to }) => {
+      const a = clusters.get(from) || new Set([from]);
+      const b = clusters.get(to) || new Set([to]);
+      const merged = a === b ? a : new Set([...a, ...b]);
+      merged.forEach((uri) => clusters.set(uri, merged));
+    });
+
+    return clusters;
+  }
+
+  getLinkedUris(uri, clusters = this.buildClusters()) {
+    return Array.from(clusters.get(uri) || [uri]);
+  }
+
+  /**
+   * Fusiona los resultados que son la misma entidad (misma URI o enlazadas
+   * por owl:sameAs). Se conserva el de mayor puntuación y se añaden
+   * linkedSources con todas las fuentes y sameAs con las URIs enlazadas
+   * @param {Array<Object>} results - Resultados locales y externos
+   * @returns {Array<Object>} Resultados fusionados
+   */
+  mergeResults(results) {
+    const clusters = this.buildClusters();
+    const groups = new Map();
+    const score = (result) =>
+      (result.relevance || 1) * (result.sourceBoost || 1);
+
+    results.forEach((result) => {
+      const uri = result.uri || result.id;
+      const linked = this.getLinkedUris(uri, clusters);
+      const key = linked.slice().sort()[0];
+
+      if (!groups.has(key)) groups.set(key, { linked, members: [] });
+      groups.get(key).members.push(result);
+    });
+
+    return Array.from(groups.values()).map(({ linked, members }) => {
+      const [primary] = members.slice().sort((a, b) => score(b) - score(a));
+      const sameAs = linked.filter((uri) => uri !== primary.uri);
+      if (members.length === 1 && sameAs.length === 0) return primary;
+
+      return {
+        ...primary,
+        sameAs,
+        linkedSources: members.map((member) => ({
+          uri: member.uri,
+          label: member.label || member.name || "",
+          source: member.displaySource || member.source || "",
+          resultType: member.resultType || "",
+        })),
+      };
+    });
+  }
+
+  /**
+   * Propone enlaces entre entidades de la ontología y entradas externas
+   * comparando etiquetas, alias y traducciones de los nombres de juegos
+   * @param {Array<Object>} entries - Entradas externas { uri, label, properties }
+   * @param {Object} options - { minScore }
+   * @returns {Array<Object>} { from, fromLabel, to, toLabel, score, reason }
+   */
+  suggestLinks(entries, { minScore = MATCH_SCORES.translation } = {}) {
+    const clusters = this.buildClusters();
+    const external = entries
+      .filter((entry) => entry.uri)
+      .map((entry) => ({ entry, names: this.externalNames(entry) }));
+    const suggestions = [];
+
+    ontologyService.getNamedEntities().forEach((entity) => {
+      const linked = this.getLinkedUris(entity.uri, clusters);
+      const names = this.localNames(entity);
+
+      external.forEach(({ entry, names: externalNames }) => {
+        if (linked.includes(entry.uri)) return;
+
+        let best = null;
+        names.forEach((local) => {
+          externalNames.forEach((ext) => {
+            if (local.name !== ext.name) return;
+            const candidate = {
+              score: Math.min(MATCH_SCORES[local.kind], MATCH_SCORES[ext.kind]),
+              reason: `${local.kind}/${ext.kind}: ${local.name}`,
+            };
+            if (!best || candidate.score > best.score) best = candidate;
+          });
+        });
+
+        if (best && best.score >= minScore) {
+          suggestions.push({
+            from: entity.uri,
+            fromLabel: entity.label,
+            to: entry.uri,
+            toLabel: entry.label,
+            ...best,
+          });
+        }
+      });
+    });
+
+    return suggestions.sort(
+      (a, b) => b.score - a.score || a.fromLabel.localeCompare(b.fromLabel),
+    );
+  }
+
+  /**
+   * Formas del nombre de una entidad local: etiquetas, nombre sin palabras
+   * genéricas y sus traducciones
+   */
+  localNames(entity) {
+    const names = entity.names.map((name) => ({
+      name: this.normalize(name),
+      kind: "label",
+    }));
+
+    entity.names.forEach((name) => {
+      const core = this.normalize(name)
+        .split(" ")
+        .filter((word) => !GENERIC_WORDS.has(word))
+        .join(" ");
+      if (!core) return;
+
+      names.push({ name: core, kind: "name" });
+      this.translations(core).forEach((translation) =>
+        names.push({ name: translation, kind: "translation" }),
+      );
+    });
+
+    return names;
+  }
+
+  externalNames(entry) {
+    const aliases = entry.properties?.aliases || [];
+    return [
+      { name: this.normalize(entry.label), kind: "label" },
+      ...(Array.isArray(aliases) ? aliases : [aliases]).map((alias) => ({
+        name: this.normalize(alias),
+        kind: "alias",
+      })),
+    ];
+  }
+
+  /**
+   * Otros nombres del mismo juego según los nombres de nlpService
+   * (p.ej. ruleta -> roulette)
+   */
+  translations(name) {
+    const translations = new Set();
+
+    Object.values(nlpService.gameKnowledge).forEach((game) => {
+      const names = game.names.map((gameName) => this.normalize(gameName));
+      if (names.includes(name)) {
+        names
+          .filter((gameName) => gameName !== name)
+          .forEach((gameName) => translations.add(gameName));
+      }
+    });
+
+    return Array.from(translations);
+  }
+
+  normalize(text) {
+    return String(text || "")
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+}
+
+module.exports = new EntityLinkService();
+module.exports.EntityLinkError = EntityLinkError;
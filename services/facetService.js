@@ -0,0 +1,229 @@
+const ontologyService = require("./ontologyService");
+
+// Facetas disponibles; `param` es el nombre del parámetro de consulta
+const FACETS = [
+  { key: "class", param: "class", label: "Clase" },
+  { key: "categoria", param: "Categoria", label: "Categoría" },
+  { key: "skillLevel", param: "skillLevel", label: "Nivel de habilidad" },
+  { key: "source", param: "source", label: "Fuente" },
+  // "language" ya es el idioma de búsqueda en DBpedia
+  { key: "language", param: "lang", label: "Idioma" },
+];
+
+// Propiedades de la ontología que indican el nivel de habilidad
+const SKILL_LEVEL_PROPERTIES = [
+  "nivelhabilidad",
+  "skilllevel",
+  "dificultad",
+  "difficulty",
+];
+
+// Nivel de habilidad por clase cuando el individuo no lo declara
+const SKILL_LEVEL_BY_CLASS = {
+  Poker: "alto",
+  JuegoCartas: "alto",
+  Blackjack: "medio",
+  JuegoApuestasDeportivas: "medio",
+  Sportsbook: "medio",
+  Ruleta: "bajo",
+  Bingo: "bajo",
+  Tragamonedas: "bajo",
+  JuegoMaquinas: "bajo",
+};
+
+const SOURCE_LABELS = { local: "Ontología Local", dbpedia: "DBpedia" };
+const LANGUAGE_LABELS = { es: "Español", en: "Inglés" };
+
+class FacetService {
+  constructor() {
+    this.facets = FACETS;
+  }
+
+  /**
+   * Lee la selección de facetas de los parámetros de la consulta. El
+   * nombre del parámetro no distingue mayúsculas y varios valores se
+   * separan por comas, p.ej. "class=Ruleta&Categoria=mesa,cartas"
+   * @param {Object} params - req.query
+   * @returns {Object<string, Array<string>>} Valores elegidos por faceta
+   */
+  parseSelection(params = {}) {
+    const selection = {};
+
+    Object.entries(params).forEach(([param, raw]) => {
+      const facet = this.facets.find(
+        (f) => f.param.toLowerCase() === param.toLowerCase(),
+      );
+      if (!facet) return;
+
+      const values = (Array.isArray(raw) ? raw : [raw])
+        .flatMap((value) => String(value || "").split(","))
+        .map((value) => this.normalize(value))
+        .filter(Boolean);
+
+      if (values.length > 0) {
+        selection[facet.key] = [
+          ...new Set([...(selection[facet.key] || []), ...values]),
+        ];
+      }
+    });
+
+    return selection;
+  }
+
+  /**
+   * Cuenta las facetas y filtra los resultados por la selección. Dentro
+   * de una faceta los valores se combinan con OR y entre facetas con AND;
+   * los conteos de cada faceta ignoran su propia selección para que se
+   * puedan añadir más valores de la misma faceta
+   * @param {Array<Object>} results - Resultados combinados de la búsqueda
+   * @param {Object<string, Array<string>>} selection - De parseSelection
+   * @returns {{ results: Array<Object>, facets: Array<Object> }}
+   */
+  apply(results, selection = {}) {
+    const entries = results.map((result) => ({
+      result,
+      values: this.valuesOf(result),
+    }));
+
+    const facets = this.facets.map((facet) => {
+      const counts = new Map();
+
+      entries
+        .filter(({ values }) => this.matches(values, selection, facet.key))
+        .forEach(({ values }) => {
+          values[facet.key].forEach(({ value, label }) => {
+            if (!counts.has(value))
+              counts.set(value, { value, label, count: 0 });
+            counts.get(value).count += 1;
+          });
+        });
+
+      const selected = selection[facet.key] || [];
+      selected
+        .filter((value) => !counts.has(value))
+        .forEach((value) =>
+          counts.set(value, { value, label: value, count: 0 }),
+        );
+
+      return {
+        key: facet.key,
+        param: facet.param,
+        label: facet.label,
+        values: Array.from(counts.values())
+          .map((entry) => ({
+            ...entry,
+            selected: selected.includes(entry.value),
+          }))
+          .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+      };
+    });
+
+    return {
+      results: entries
+        .filter(({ values }) => this.matches(values, selection))
+        .map(({ result }) => result),
+      facets,
+    };
+  }
+
+  /**
+   * @param {string} [ignoredKey] - Faceta cuya selección no se aplica
+   */
+  matches(values, selection, ignoredKey = null) {
+    return Object.entries(selection).every(
+      ([key, selected]) =>
+        key === ignoredKey ||
+        values[key].some(({ value }) => selected.includes(value)),
+    );
+  }
+
+  /**
+   * Valores de cada faceta para un resultado
+   * @returns {Object<string, Array<{ value: string, label: string }>>}
+   */
+  valuesOf(result) {
+    const isLocal = result.resultType === "local" && result.uri;
+    const source = result.resultType || "local";
+    const language = result.language;
+
+    return {
+      class: isLocal ? this.classValues(result.uri) : [],
+      categoria: isLocal ? this.categoryValues(result.uri) : [],
+      skillLevel: isLocal ? this.skillLevelValues(result.uri) : [],
+      source: [this.entry(source, SOURCE_LABELS[source] || source)],
+      language: language
+        ? [this.entry(language, LANGUAGE_LABELS[language] || language)]
+        : [],
+    };
+  }
+
+  classValues(uri) {
+    return this.unique(
+      ontologyService
+        .getTypesOfInstance(uri)
+        .filter((type) => !type.uri.startsWith("http://www.w3.org/"))
+        .map((type) =>
+          this.entry(type.name, ontologyService.formatDisplayName(type.name)),
+        ),
+    );
+  }
+
+  categoryValues(uri) {
+    return this.unique(
+      this.propertyValues(uri, ["categoria"]).map((text) =>
+        this.entry(text, text),
+      ),
+    );
+  }
+
+  skillLevelValues(uri) {
+    const declared = this.propertyValues(uri, SKILL_LEVEL_PROPERTIES);
+    const levels =
+      declared.length > 0
+        ? declared
+        : ontologyService
+            .getTypesOfInstance(uri)
+            .map((type) => SKILL_LEVEL_BY_CLASS[type.name])
+            .filter(Boolean)
+            .slice(0, 1);
+
+    return this.unique(levels.map((level) => this.entry(level, level)));
+  }
+
+  /**
+   * Textos de las propiedades indicadas (sin distinguir mayúsculas); de
+   * los recursos se toma su etiqueta
+   */
+  propertyValues(uri, names) {
+    const properties = ontologyService.getPropertiesOfInstance({ value: uri });
+
+    return Object.entries(properties)
+      .filter(([predicate]) => names.includes(predicate.toLowerCase()))
+      .flatMap(([, values]) =>
+        values.map((term) =>
+          term.isLiteral ? term.lexical : term.label || term.name,
+        ),
+      )
+      .filter(Boolean);
+  }
+
+  entry(value, label) {
+    return { value: this.normalize(value), label: String(label) };
+  }
+
+  unique(entries) {
+    const seen = new Map();
+    entries.forEach((entry) => {
+      if (!seen.has(entry.value)) seen.set(entry.value, entry);
+    });
+    return Array.from(seen.values());
+  }
+
+  normalize(value) {
+    return String(value).trim().toLowerCase();
+  }
+}
+
+const facetService = new FacetService();
+
+module.exports = facetService;
@@ -0,0 +1,257 @@
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("../utils/logger");
+const JsonSchema = require("../utils/jsonSchema");
+const {
+  GAME_KNOWLEDGE_DIRECTORY,
+  GAME_KNOWLEDGE_WATCH,
+} = require("../config/constants");
+
+const GAME_KEY = /^[a-z][a-z0-9_-]{1,39}$/;
+
+// Espera tras un cambio en disco antes de recargar (los editores escriben
+// varias veces al guardar)
+const RELOAD_DELAY = 200;
+
+/**
+ * Error de una petición sobre la base de conocimiento (juego inexistente,
+ * datos que no cumplen el esquema...). El controlador lo traduce al
+ * statusCode indicado
+ */
+class GameKnowledgeError extends Error {
+  constructor(message, statusCode = 400, errors = null) {
+    super(message);
+    this.name = "GameKnowledgeError";
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Conocimiento de los juegos (probabilidades, pagos, estrategias, hechos)
+ * que usa nlpService. Cada juego es un fichero games/<clave>.json validado
+ * con schema.json; los cambios en disco se recargan solos
+ */
+class GameKnowledgeService {
+  constructor(directory = GAME_KNOWLEDGE_DIRECTORY) {
+    this.directory = path.resolve(__dirname, "..", directory);
+    this.gamesDirectory = path.join(this.directory, "games");
+    this.schema = null;
+    this.games = {};
+    this.invalid = {};
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.lastLoaded = null;
+  }
+
+  async init() {
+    await this.reload();
+    if (GAME_KNOWLEDGE_WATCH) this.watch();
+  }
+
+  /**
+   * Lee el esquema y todos los juegos. Los ficheros que no lo cumplen se
+   * descartan y quedan en `invalid` con sus errores
+   */
+  async reload() {
+    this.schema = JSON.parse(
+      await fs.readFile(path.join(this.directory, "schema.json"), "utf8"),
+    );
+
+    const loaded = [];
+    const invalid = {};
+    const files = (await fs.readdir(this.gamesDirectory)).filter((file) =>
+      file.endsWith(".json"),
+    );
+
+    for (const file of files) {
+      const key = path.basename(file, ".json");
+      try {
+        const data = JSON.parse(
+          await fs.readFile(path.join(this.gamesDirectory, file), "utf8"),
+        );
+        const errors = this.validate(key, data);
+        if (errors.length > 0) {
+          invalid[key] = errors;
+          Logger.warn(`Game knowledge ${file} ignored: ${errors.join("; ")}`);
+        } else {
+          loaded.push([key, data]);
+        }
+      } catch (error) {
+        invalid[key] = [error.message];
+        Logger.warn(`Game knowledge ${file} unreadable:`, error.message);
+      }
+    }
+
+    // El orden importa: identifyGame se queda con el primer nombre que
+    // aparece en el texto
+    loaded.sort(
+      ([keyA, a], [keyB, b]) =>
+        (a.order || Infinity) - (b.order || Infinity) ||
+        keyA.localeCompare(keyB),
+    );
+
+    this.games = Object.fromEntries(loaded);
+    this.invalid = invalid;
+    this.lastLoaded = new Date().toISOString();
+    Logger.info(`Loaded knowledge for ${loaded.length} games`);
+    return this.games;
+  }
+
+  /**
+   * Vigila el directorio de juegos y recarga cuando cambia algún fichero
+   */
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fsSync.watch(this.gamesDirectory, (event, file) => {
+        if (file && !file.endsWith(".json")) return;
+
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          this.reload().catch((error) =>
+            Logger.error("Error reloading game knowledge:", error),
+          );
+        }, RELOAD_DELAY);
+      });
+      this.watcher.unref();
+    } catch (error) {
+      Logger.warn("Game knowledge hot reload unavailable:", error.message);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+
+  getAll() {
+    return this.games;
+  }
+
+  /**
+   * Solo devuelve juegos cargados: claves como "constructor" o "__proto__"
+   * no deben resolverse a propiedades heredadas del objeto
+   */
+  get(key) {
+    this.validateKey(key);
+    if (!this.has(key)) {
+      throw new GameKnowledgeError(`Juego no encontrado: ${key}`, 404);
+    }
+    return this.games[key];
+  }
+
+  has(key) {
+    return Object.hasOwn(this.games, key);
+  }
+
+  /**
+   * @returns {Array<Object>} Resumen de cada juego { key, displayName,
+   *   names, version }
+   */
+  list() {
+    return Object.entries(this.games).map(([key, game]) => ({
+      key,
+      displayName: game.displayName,
+      names: game.names,
+      houseEdge: game.houseEdge,
+      rtp: game.rtp,
+      version: game.version,
+    }));
+  }
+
+  async create(key, data) {
+    this.validateKey(key);
+    if (this.has(key) || fsSync.existsSync(this.fileOf(key))) {
+      throw new GameKnowledgeError(`El juego ya existe: ${key}`, 409);
+    }
+
+    return this.write(key, { ...data, version: 1 });
+  }
+
+  /**
+   * Reemplaza el conocimiento de un juego e incrementa su versión
+   */
+  async update(key, data) {
+    const current = this.get(key);
+    return this.write(key, {
+      ...data,
+      order: data.order ?? current.order,
+      version: current.version + 1,
+    });
+  }
+
+  async remove(key) {
+    const game = this.get(key);
+    await fs.unlink(this.fileOf(key));
+    delete this.games[key];
+    Logger.info(`Game knowledge removed: ${key}`);
+    return game;
+  }
+
+  async write(key, data) {
+    const game = Object.fromEntries(
+      Object.entries(data).filter(([, value]) => value !== undefined),
+    );
+    const errors = this.validate(key, game);
+    if (errors.length > 0) {
+      throw new GameKnowledgeError(
+        "Los datos del juego no cumplen el esquema",
+        400,
+        errors,
+      );
+    }
+
+    await fs.writeFile(this.fileOf(key), `${JSON.stringify(game, null, 2)}\n`);
+    await this.reload();
+    Logger.info(`Game knowledge saved: ${key} (v${game.version})`);
+    return this.games[key];
+  }
+
+  /**
+   * @returns {Array<string>} Errores de esquema; además ningún nombre puede
+   *   estar ya asignado a otro juego
+   */
+  validate(key, data) {
+    const errors = JsonSchema.validate(this.schema, data);
+    if (errors.length > 0) return errors;
+
+    Object.entries(this.games).forEach(([otherKey, other]) => {
+      if (otherKey === key) return;
+      data.names
+        .filter((name) => other.names.includes(name))
+        .forEach((name) =>
+          errors.push(`/names: "${name}" ya es un nombre de ${otherKey}`),
+        );
+    });
+    return errors;
+  }
+
+  validateKey(key) {
+    if (typeof key !== "string" || !GAME_KEY.test(key)) {
+      throw new GameKnowledgeError(
+        `Clave de juego no válida: ${key} (minúsculas, números, "-" o "_")`,
+      );
+    }
+  }
+
+  fileOf(key) {
+    return path.join(this.gamesDirectory, `${key}.json`);
+  }
+
+  getStats() {
+    return {
+      directory: this.directory,
+      total: Object.keys(this.games).length,
+      invalid: this.invalid,
+      watching: !!this.watcher,
+      lastLoaded: this.lastLoaded,
+    };
+  }
+}
+
+module.exports = new GameKnowledgeService();
+module.exports.GameKnowledgeError = GameKnowledgeError;
@@ -0,0 +1,184 @@
+const fs = require("fs").promises;
+const path = require("path");
+const natural = require("natural");
+const Logger = require("../utils/logger");
+const {
+  INTENT_UTTERANCES_FILE,
+  INTENT_MIN_CONFIDENCE,
+} = require("../config/constants");
+
+// Intención cuando ninguna supera la confianza mínima
+const FALLBACK_INTENT = "search";
+
+// Suavizado de las palabras que una intención no ha visto al entrenar. Con
+// el valor por defecto (1) pesan tanto que ganan las intenciones con menos
+// frases y las consultas cortas ("que es el poker") acaban en cualquiera
+const SMOOTHING = 0.1;
+
+// Artículos y preposiciones: aparecen en todas las intenciones y solo añaden
+// ruido. Los interrogativos (qué, cómo, cuál...) sí se conservan
+const STOP_WORDS = new Set(
+  (
+    "el la los las un una de del al en a y o para por con mi se " +
+    "the an of on in at to for and or my i"
+  ).split(" "),
+);
+
+/**
+ * Clasificador de intenciones entrenado con frases etiquetadas en español e
+ * inglés (data/intents/utterances.json). Sustituye a la lista de regex de
+ * nlpService: devuelve todas las intenciones ordenadas con su confianza
+ */
+class IntentClassifierService {
+  constructor(file = INTENT_UTTERANCES_FILE) {
+    this.file = path.resolve(__dirname, "..", file);
+    this.tokenizer = new natural.WordTokenizer();
+    this.classifier = null;
+    this.intents = [];
+    this.trainedAt = null;
+    this.trainingSize = 0;
+  }
+
+  async init() {
+    const { train } = await this.loadUtterances();
+    this.train(train);
+  }
+
+  /**
+   * @returns {Promise<Object>} { train, test } con frases { text, intent,
+   *   language }
+   */
+  async loadUtterances(file = this.file) {
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    return { train: data.train || [], test: data.test || [] };
+  }
+
+  train(utterances) {
+    const classifier = new natural.BayesClassifier(undefined, SMOOTHING);
+    utterances.forEach(({ text, intent }) =>
+      classifier.addDocument(this.features(text), intent),
+    );
+    classifier.train();
+
+    this.classifier = classifier;
+    this.intents = [...new Set(utterances.map(({ intent }) => intent))];
+    this.trainingSize = utterances.length;
+    this.trainedAt = new Date().toISOString();
+    Logger.info(
+      `Intent classifier trained: ${this.intents.length} intents, ${utterances.length} utterances`,
+    );
+  }
+
+  /**
+   * Raíces de las palabras con los dos stemmers: la consulta puede venir en
+   * cualquiera de los dos idiomas y mezclarlos
+   */
+  features(text) {
+    const words = this.tokenizer.tokenize(
+      String(text).toLowerCase().normalize("NFD").replace(/\p{M}/gu, ""),
+    );
+
+    const stems = new Set();
+    words
+      .filter((word) => !STOP_WORDS.has(word))
+      .forEach((word) => {
+        stems.add(natural.PorterStemmerEs.stem(word));
+        stems.add(natural.PorterStemmer.stem(word));
+      });
+    return [...stems];
+  }
+
+  /**
+   * @param {string} text - Consulta del usuario
+   * @param {Object} options - { limit }
+   * @returns {Array<Object>} Intenciones { intent, confidence } ordenadas;
+   *   las confianzas suman 1. Vacío si el clasificador no está entrenado
+   */
+  classify(text, { limit = Infinity } = {}) {
+    if (!this.classifier) return [];
+
+    const features = this.features(text);
+    if (features.length === 0) return [];
+
+    const classifications = this.classifier.getClassifications(features);
+    const total = classifications.reduce((sum, { value }) => sum + value, 0);
+    if (!total) return [];
+
+    return classifications.slice(0, limit).map(({ label, value }) => ({
+      intent: label,
+      confidence: Number((value / total).toFixed(4)),
+    }));
+  }
+
+  /**
+   * @returns {Object} { intent, confidence } de la mejor intención, o
+   *   "search" si no llega a INTENT_MIN_CONFIDENCE
+   */
+  predict(text) {
+    const [best] = this.classify(text, { limit: 1 });
+    if (!best || best.confidence < INTENT_MIN_CONFIDENCE) {
+      return { intent: FALLBACK_INTENT, confidence: best?.confidence || 0 };
+    }
+    return best;
+  }
+
+  /**
+   * Mide el clasificador sobre frases que no ha visto al entrenar
+   * @returns {Object} { total, accuracy, intents: { <intent>: { precision,
+   *   recall, f1, support } }, errors }
+   */
+  evaluate(testSet) {
+    const counts = {};
+    const countsOf = (intent) =>
+      (counts[intent] ||= { truePositives: 0, predicted: 0, support: 0 });
+    const errors = [];
+
+    testSet.forEach(({ text, intent: expected }) => {
+      const { intent: predicted, confidence } = this.predict(text);
+      countsOf(expected).support++;
+      countsOf(predicted).predicted++;
+      if (predicted === expected) {
+        countsOf(expected).truePositives++;
+      } else {
+        errors.push({ text, expected, predicted, confidence });
+      }
+    });
+
+    const ratio = (part, whole) =>
+      whole ? Number((part / whole).toFixed(4)) : 0;
+
+    const intents = {};
+    Object.keys(counts)
+      .sort()
+      .forEach((intent) => {
+        const { truePositives, predicted, support } = counts[intent];
+        const precision = ratio(truePositives, predicted);
+        const recall = ratio(truePositives, support);
+        intents[intent] = {
+          precision,
+          recall,
+          f1: ratio(2 * precision * recall, precision + recall),
+          support,
+        };
+      });
+
+    return {
+      total: testSet.length,
+      accuracy: ratio(testSet.length - errors.length, testSet.length),
+      intents,
+      errors,
+    };
+  }
+
+  getStats() {
+    return {
+      file: this.file,
+      intents: this.intents,
+      trainingSize: this.trainingSize,
+      minConfidence: INTENT_MIN_CONFIDENCE,
+      trainedAt: this.trainedAt,
+    };
+  }
+}
+
+module.exports = new IntentClassifierService();
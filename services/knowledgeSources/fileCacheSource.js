@@ -0,0 +1,146 @@
+const Logger = require("../../utils/logger");
+const cacheService = require("../cacheService");
+const KnowledgeSource = require("./knowledgeSource");
+
+// Máximo de búsquedas guardadas que se leen en una búsqueda aproximada
+const MAX_SIMILAR_ENTRIES = 10;
+
+/**
+ * Caché de las respuestas de las fuentes remotas sobre cacheService
+ * (memoria + disco). Responde por coincidencia exacta del término y, si no
+ * la hay, con las búsquedas guardadas cuyas etiquetas contienen el término
+ */
+class FileCacheSource extends KnowledgeSource {
+  constructor({ cache = cacheService } = {}) {
+    super("file-cache", { cache: true });
+    this.cacheStore = cache;
+  }
+
+  async init() {
+    await this.cacheStore.init();
+  }
+
+  async search(searchTerm) {
+    try {
+      const exact = await this.cacheStore.get(this.searchKey(searchTerm));
+      if (exact && exact.results.total > 0) {
+        return { ...exact.results, source: "cache-exact" };
+      }
+
+      return await this.searchSimilar(searchTerm);
+    } catch (error) {
+      Logger.error("Error searching cache:", error);
+      return this.getEmptyResult();
+    }
+  }
+
+  /**
+   * Filtra por las etiquetas guardadas en el índice y solo lee las
+   * entradas candidatas
+   */
+  async searchSimilar(searchTerm) {
+    const term = searchTerm.toLowerCase();
+    const matches = (result) =>
+      [result.label, result.description, result.abstract].some(
+        (text) => text && text.toLowerCase().includes(term),
+      );
+
+    const candidates = this.cacheStore
+      .findEntries(
+        (entry) =>
+          entry.key.startsWith("search:") &&
+          (entry.meta.labels || []).some((label) => label.includes(term)),
+      )
+      .slice(0, MAX_SIMILAR_ENTRIES);
+
+    const allResults = [];
+    for (const entry of candidates) {
+      const cached = await this.cacheStore.get(entry.key);
+      if (!cached || !cached.results) continue;
+
+      allResults.push(
+        ...(cached.results.english || []).filter(matches),
+        ...(cached.results.spanish || []).filter(matches),
+      );
+    }
+
+    const scored = allResults
+      .map((result) => ({
+        ...result,
+        relevance: this.calculateFuzzyRelevance(result, term),
+      }))
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, 20);
+
+    return scored.length > 0
+      ? this.buildResult(scored, "cache-fuzzy")
+      : this.getEmptyResult();
+  }
+
+  /**
+   * Guarda los resultados de una fuente remota
+   */
+  async store(searchTerm, results) {
+    const labels = [...(results.english || []), ...(results.spanish || [])]
+      .map((result) => (result.label || "").toLowerCase())
+      .filter(Boolean);
+
+    await this.cacheStore.set(
+      this.searchKey(searchTerm),
+      { searchTerm, results },
+      { meta: { searchTerm, labels } },
+    );
+    Logger.info(`Cached results for: ${searchTerm}`);
+  }
+
+  async getDetail(id, uri) {
+    const entry = await this.cacheStore.get(this.detailKey(id, uri));
+    return entry ? entry.detail : null;
+  }
+
+  async storeDetail(id, uri, detail) {
+    await this.cacheStore.set(this.detailKey(id, uri), { id, uri, detail });
+  }
+
+  async health() {
+    const stats = this.cacheStore.getStats();
+    return {
+      source: this.name,
+      healthy: true,
+      latencyMs: 0,
+      message: `${stats.disk.entries} entradas en caché`,
+    };
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      cacheDirectory: this.cacheStore.directory,
+    };
+  }
+
+  /**
+   * @returns {Promise<number>} Entradas eliminadas
+   */
+  async cleanExpired() {
+    return this.cacheStore.cleanExpired();
+  }
+
+  searchKey(searchTerm) {
+    return `search:${this.generateCacheKey(searchTerm)}`;
+  }
+
+  detailKey(id, uri) {
+    return `detail:${uri || id}`;
+  }
+
+  generateCacheKey(searchTerm) {
+    return searchTerm
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "_")
+      .replace(/_+/g, "_")
+      .replace(/^_|_$/g, "");
+  }
+}
+
+module.exports = FileCacheSource;
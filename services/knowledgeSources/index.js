@@ -0,0 +1,45 @@
+const Logger = require("../../utils/logger");
+const {
+  DBPEDIA_ENDPOINTS,
+  WIKIDATA_ENDPOINT,
+} = require("../../config/constants");
+const KnowledgeSource = require("./knowledgeSource");
+const LocalDatasetSource = require("./localDatasetSource");
+const FileCacheSource = require("./fileCacheSource");
+const SparqlEndpointSource = require("./sparqlEndpointSource");
+const WikidataSource = require("./wikidataSource");
+
+// Adaptadores disponibles por el nombre usado en KNOWLEDGE_SOURCES
+const ADAPTERS = {
+  "local-dataset": () => new LocalDatasetSource(),
+  "file-cache": () => new FileCacheSource(),
+  "dbpedia-sparql": () =>
+    new SparqlEndpointSource({ endpoints: DBPEDIA_ENDPOINTS }),
+  wikidata: () => new WikidataSource({ endpoint: WIKIDATA_ENDPOINT }),
+};
+
+/**
+ * Crea la cadena de fuentes en el orden configurado; los nombres
+ * desconocidos se ignoran con un aviso
+ * @param {Array<string>} names - p.ej. ["local-dataset", "file-cache"]
+ * @returns {Array<KnowledgeSource>}
+ */
+function createKnowledgeSources(names) {
+  return names
+    .filter((name) => {
+      if (ADAPTERS[name]) return true;
+      Logger.warn(`Fuente de conocimiento desconocida: ${name}`);
+      return false;
+    })
+    .map((name) => ADAPTERS[name]());
+}
+
+module.exports = {
+  KnowledgeSource,
+  LocalDatasetSource,
+  FileCacheSource,
+  SparqlEndpointSource,
+  WikidataSource,
+  createKnowledgeSources,
+  availableSources: Object.keys(ADAPTERS),
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+/**
+ * Interfaz común de las fuentes de conocimiento externas (dataset local,
+ * caché en disco, endpoint SPARQL...). Cada adaptador implementa search,
+ * getDetail, health y getStats; unifiedSearchService las encadena según
+ * la configuración KNOWLEDGE_SOURCES
+ */
+class KnowledgeSource {
+  /**
+   * @param {string} name - Nombre con el que se configura la fuente
+   * @param {Object} options - { remote: consulta un servicio externo,
+   *   cache: guarda los resultados de las fuentes remotas }
+   */
+  constructor(name, { remote = false, cache = false } = {}) {
+    this.name = name;
+    this.remote = remote;
+    this.cache = cache;
+  }
+
+  async init() {}
+
+  /**
+   * @param {string} searchTerm - Término de búsqueda
+   * @param {Object} options - { language, topic }
+   * @returns {Promise<Object>} { english, spanish, total, source, timestamp }
+   */
+  async search(searchTerm, options = {}) {
+    throw new Error(`${this.name}: search() no implementado`);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { uri, properties, description, source }
+   */
+  async getDetail(id, uri) {
+    return null;
+  }
+
+  /**
+   * @returns {Promise<Object>} { source, healthy, latencyMs, message }
+   */
+  async health() {
+    return { source: this.name, healthy: true, latencyMs: 0, message: "OK" };
+  }
+
+  /**
+   * Entradas que la fuente tiene en local (para sugerir enlaces entre
+   * entidades); las fuentes remotas no exponen ninguna
+   * @returns {Array<Object>} Resultados con el formato de search
+   */
+  listEntries() {
+    return [];
+  }
+
+  getStats() {
+    return { name: this.name, remote: this.remote };
+  }
+
+  // Utilidades compartidas por los adaptadores
+
+  buildResult(results, source) {
+    return {
+      english: results.filter((r) => r.language === "en"),
+      spanish: results.filter((r) => r.language === "es"),
+      total: results.length,
+      source,
+      timestamp: Date.now(),
+    };
+  }
+
+  getEmptyResult() {
+    return this.buildResult([], "empty");
+  }
+
+  calculateFuzzyRelevance(result, term) {
+    let score = 0;
+    const label = (result.label || "").toLowerCase();
+    const description = (result.description || "").toLowerCase();
+
+    if (label.includes(term)) score += 10;
+    if (label.startsWith(term)) score += 5;
+    if (description.includes(term)) score += 3;
+    if (result.abstract && result.abstract.toLowerCase().includes(term))
+      score += 2;
+
+    return score;
+  }
+
+  generateId(uri) {
+    return crypto.createHash("sha1").update(uri).digest("hex");
+  }
+
+  generatePreview(text, maxLength = 150) {
+    if (!text) return "";
+
+    const cleaned = text.replace(/\n/g, " ").trim();
+    if (cleaned.length <= maxLength) return cleaned;
+
+    const truncated = cleaned.substring(0, maxLength);
+    const lastSpace = truncated.lastIndexOf(" ");
+
+    return (
+      (lastSpace > 0 ? truncated.substring(0, lastSpace) : truncated) + "..."
+    );
+  }
+}
+
+module.exports = KnowledgeSource;
@@ -0,0 +1,289 @@
+const fetch = require("node-fetch");
+const Logger = require("../../utils/logger");
+const SparqlQueryBuilder = require("../../utils/sparqlQueryBuilder");
+const KnowledgeSource = require("./knowledgeSource");
+
+/**
+ * Endpoint SPARQL público (DBpedia en inglés y español)
+ */
+class SparqlEndpointSource extends KnowledgeSource {
+  /**
+   * @param {Object} options - { name, endpoints: { en, es }, timeout }
+   */
+  constructor({ name = "dbpedia-sparql", endpoints, timeout = 8000 } = {}) {
+    super(name, { remote: true });
+    this.endpoints = endpoints || {
+      en: "https://dbpedia.org/sparql",
+      es: "http://es.dbpedia.org/sparql",
+    };
+    this.timeout = timeout;
+  }
+
+  /**
+   * Busca en todos los idiomas configurados. Con topic "casino-game" solo
+   * devuelve recursos relacionados con juegos y casinos
+   */
+  async search(searchTerm, options = {}) {
+    const languages = Object.keys(this.endpoints);
+    const settled = await Promise.allSettled(
+      languages.map((lang) => this.searchInLanguage(searchTerm, lang, options)),
+    );
+
+    const failures = settled.filter((result) => result.status === "rejected");
+    if (failures.length === settled.length) {
+      throw new Error(failures[0].reason.message);
+    }
+
+    const results = settled.flatMap((result) =>
+      result.status === "fulfilled" ? result.value : [],
+    );
+    return this.buildResult(results, "online");
+  }
+
+  async searchInLanguage(searchTerm, lang, { topic } = {}) {
+    const query =
+      topic === "casino-game"
+        ? this.buildCasinoGameQuery(searchTerm, lang)
+        : this.buildSearchQuery(searchTerm, lang);
+
+    const data = await this.execute(query, lang);
+    const results = this.parseResults(data, lang);
+    Logger.info(`Found ${results.length} results from ${this.name} (${lang})`);
+    return results;
+  }
+
+  async getDetail(id, uri) {
+    if (!uri || !uri.includes("dbpedia.org")) return null;
+
+    const lang = uri.includes("es.dbpedia.org") ? "es" : "en";
+    const data = await this.execute(this.buildDetailQuery(uri, lang), lang);
+    return this.parseDetail(data, uri);
+  }
+
+  /**
+   * Comprueba que el endpoint responde a una consulta ASK trivial
+   */
+  async health() {
+    const start = Date.now();
+    try {
+      await this.execute("ASK { ?s ?p ?o }", Object.keys(this.endpoints)[0]);
+      return {
+        source: this.name,
+        healthy: true,
+        latencyMs: Date.now() - start,
+        message: "OK",
+      };
+    } catch (error) {
+      return {
+        source: this.name,
+        healthy: false,
+        latencyMs: Date.now() - start,
+        message: error.message,
+      };
+    }
+  }
+
+  getStats() {
+    return { ...super.getStats(), endpoints: this.endpoints };
+  }
+
+  async execute(query, lang) {
+    const endpoint = this.endpoints[lang];
+    if (!endpoint) {
+      throw new Error(`No hay endpoint SPARQL configurado para "${lang}"`);
+    }
+
+    const url = `${endpoint}?query=${encodeURIComponent(query)}&format=json&timeout=${this.timeout}`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: "GET",
+        headers: {
+          Accept: "application/sparql-results+json",
+          "User-Agent": "CasinoSemanticSearch/1.0",
+        },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error(`${this.name} ${lang}: timeout - no connection`);
+      }
+      throw new Error(`${this.name} ${lang} unavailable: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  buildSearchQuery(searchTerm, lang) {
+    const langTag = SparqlQueryBuilder.literal(
+      SparqlQueryBuilder.languageTag(lang),
+    );
+
+    return `
+      PREFIX dbo: <http://dbpedia.org/ontology/>
+      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+      SELECT DISTINCT ?resource ?label ?abstract ?thumbnail ?comment
+      WHERE {
+        ${SparqlQueryBuilder.searchTermValues(searchTerm)}
+
+        ?resource rdfs:label ?label .
+        OPTIONAL { ?resource dbo:abstract ?abstract . }
+        OPTIONAL { ?resource dbo:thumbnail ?thumbnail . }
+        OPTIONAL { ?resource rdfs:comment ?comment . }
+
+        FILTER (
+          LANG(?label) = ${langTag} &&
+          (
+            CONTAINS(LCASE(STR(?label)), ?term) ||
+            CONTAINS(LCASE(STR(?abstract)), ?term)
+          )
+        )
+
+        FILTER (
+          STRSTARTS(STR(?resource), "http://dbpedia.org/resource/") ||
+          STRSTARTS(STR(?resource), "http://es.dbpedia.org/resource/")
+        )
+
+        FILTER (
+          LANG(?abstract) = ${langTag} || !BOUND(?abstract)
+        )
+      }
+      ORDER BY STRLEN(?label)
+      LIMIT 10
+    `.trim();
+  }
+
+  buildCasinoGameQuery(gameName, lang) {
+    const langTag = SparqlQueryBuilder.literal(
+      SparqlQueryBuilder.languageTag(lang),
+    );
+
+    return `
+      PREFIX dbo: <http://dbpedia.org/ontology/>
+      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+      SELECT DISTINCT ?resource ?label ?abstract ?thumbnail ?origin
+      WHERE {
+        ${SparqlQueryBuilder.searchTermValues(gameName)}
+
+        ?resource rdfs:label ?label .
+        OPTIONAL { ?resource dbo:abstract ?abstract . }
+        OPTIONAL { ?resource dbo:thumbnail ?thumbnail . }
+        OPTIONAL { ?resource dbo:origin ?origin . }
+
+        FILTER (
+          LANG(?label) = ${langTag} &&
+          REGEX(LCASE(STR(?label)), ?pattern, "i")
+        )
+
+        FILTER (
+          LANG(?abstract) = ${langTag} || !BOUND(?abstract)
+        )
+
+        # Filtrar recursos relacionados con juegos/casinos
+        FILTER (
+          REGEX(STR(?resource), "game", "i") ||
+          REGEX(STR(?resource), "casino", "i") ||
+          REGEX(STR(?resource), "card", "i") ||
+          REGEX(STR(?resource), "gambling", "i")
+        )
+      }
+      LIMIT 5
+    `.trim();
+  }
+
+  buildDetailQuery(uri, lang) {
+    const langTag = SparqlQueryBuilder.literal(
+      SparqlQueryBuilder.languageTag(lang),
+    );
+
+    return `
+      SELECT ?property ?value WHERE {
+        ${SparqlQueryBuilder.iri(uri)} ?property ?value .
+        FILTER (
+          LANG(?value) = ${langTag} ||
+          !isLiteral(?value) ||
+          LANG(?value) = ""
+        )
+      }
+      LIMIT 50
+    `.trim();
+  }
+
+  parseResults(data, lang) {
+    const bindings = data?.results?.bindings || [];
+    const uniqueResults = new Map();
+
+    bindings.forEach((binding) => {
+      const uri = binding.resource?.value || "";
+      if (!uri || uniqueResults.has(uri)) return;
+
+      const abstract = binding.abstract?.value || "";
+      const comment = binding.comment?.value || "";
+
+      uniqueResults.set(uri, {
+        id: this.generateId(uri),
+        uri,
+        label: binding.label?.value || "",
+        abstract,
+        comment,
+        description: abstract || comment || "",
+        thumbnail: binding.thumbnail?.value || "",
+        origin: binding.origin?.value || "",
+        language: lang,
+        source: "DBpedia",
+        relevance: this.calculateRelevance(binding),
+        preview: this.generatePreview(abstract || comment || ""),
+        searchType: "remote",
+      });
+    });
+
+    return Array.from(uniqueResults.values()).sort(
+      (a, b) => b.relevance - a.relevance,
+    );
+  }
+
+  parseDetail(data, uri) {
+    const bindings = data?.results?.bindings || [];
+    if (bindings.length === 0) return null;
+
+    const properties = {};
+    bindings.forEach((binding) => {
+      const property = binding.property?.value || "";
+      const value = binding.value?.value || "";
+      if (!property || !value) return;
+
+      const name = property.split(/[#/]/).pop();
+      if (!properties[name]) properties[name] = [];
+      properties[name].push(value);
+    });
+
+    return {
+      uri,
+      label: (properties.label || [""])[0],
+      abstract: (properties.abstract || [""])[0],
+      properties,
+      description: (properties.abstract || properties.comment || [""])[0],
+      source: "dbpedia-detailed",
+    };
+  }
+
+  calculateRelevance(binding) {
+    let score = 1;
+    if (binding.abstract?.value) score += 2;
+    if (binding.thumbnail?.value) score += 1;
+    if (binding.comment?.value) score += 1;
+    return score;
+  }
+}
+
+module.exports = SparqlEndpointSource;
@@ -0,0 +1,208 @@
+const SparqlQueryBuilder = require("../../utils/sparqlQueryBuilder");
+const SparqlEndpointSource = require("./sparqlEndpointSource");
+
+const ENTITY_PREFIX = "http://www.wikidata.org/entity/";
+
+// Juego (Q11410): los resultados deben ser instancias de alguna subclase
+const GAME_CLASS = "wd:Q11410";
+
+/**
+ * Wikidata vía su endpoint SPARQL. Busca juegos por etiqueta o alias
+ * (servicio EntitySearch) en español e inglés y traduce las declaraciones
+ * principales al mismo formato que el dataset local
+ */
+class WikidataSource extends SparqlEndpointSource {
+  /**
+   * @param {Object} options - { endpoint, timeout }
+   */
+  constructor({
+    endpoint = "https://query.wikidata.org/sparql",
+    timeout,
+  } = {}) {
+    super({
+      name: "wikidata",
+      endpoints: { es: endpoint, en: endpoint },
+      timeout,
+    });
+  }
+
+  async getDetail(id, uri) {
+    if (!uri || !uri.startsWith(ENTITY_PREFIX)) return null;
+
+    const data = await this.execute(this.buildDetailQuery(uri, "es"), "es");
+    const [entity] = this.parseResults(data, "es");
+    if (!entity) return null;
+
+    return {
+      uri,
+      label: entity.label,
+      properties: entity.properties,
+      description: entity.description,
+      external_links: entity.external_links,
+      source: "wikidata-detailed",
+    };
+  }
+
+  buildSearchQuery(searchTerm, lang) {
+    const language = SparqlQueryBuilder.languageTag(lang);
+    const term = String(searchTerm || "").trim();
+
+    return this.buildEntityQuery(
+      `SERVICE wikibase:mwapi {
+          bd:serviceParam wikibase:endpoint "www.wikidata.org" ;
+                          wikibase:api "EntitySearch" ;
+                          mwapi:search ${SparqlQueryBuilder.literal(term)} ;
+                          mwapi:language ${SparqlQueryBuilder.literal(language)} .
+          ?item wikibase:apiOutputItem mwapi:item .
+        }`,
+      language,
+    );
+  }
+
+  // La búsqueda ya está limitada a juegos
+  buildCasinoGameQuery(gameName, lang) {
+    return this.buildSearchQuery(gameName, lang);
+  }
+
+  buildDetailQuery(uri, lang) {
+    return this.buildEntityQuery(
+      SparqlQueryBuilder.values({ item: SparqlQueryBuilder.iri(uri) }),
+      SparqlQueryBuilder.languageTag(lang),
+    );
+  }
+
+  /**
+   * Consulta común: selector de ?item más etiquetas y declaraciones
+   * (P61 inventor, P495 país de origen, P2283 usa, P1872/P1873 jugadores)
+   */
+  buildEntityQuery(itemSelector, language) {
+    const lang = SparqlQueryBuilder.literal(language);
+    const wikipedia = SparqlQueryBuilder.iri(
+      `https://${language}.wikipedia.org/`,
+    );
+    const labelOf = (entity, label) =>
+      `${entity} rdfs:label ${label} . FILTER (LANG(${label}) = ${lang})`;
+
+    return `
+      PREFIX wd: <http://www.wikidata.org/entity/>
+      PREFIX wdt: <http://www.wikidata.org/prop/direct/>
+      PREFIX wikibase: <http://wikiba.se/ontology#>
+      PREFIX bd: <http://www.bigdata.com/rdf#>
+      PREFIX mwapi: <https://www.mediawiki.org/ontology#API/>
+      PREFIX schema: <http://schema.org/>
+      PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+      SELECT ?item ?label ?description ?thumbnail ?article
+        (GROUP_CONCAT(DISTINCT ?alias; separator="|") AS ?aliases)
+        (GROUP_CONCAT(DISTINCT ?inventorLabel; separator="|") AS ?inventors)
+        (GROUP_CONCAT(DISTINCT ?countryLabel; separator="|") AS ?countries)
+        (GROUP_CONCAT(DISTINCT ?equipmentLabel; separator="|") AS ?equipment)
+        (MIN(?minPlayers) AS ?minimumPlayers)
+        (MAX(?maxPlayers) AS ?maximumPlayers)
+      WHERE {
+        ${itemSelector}
+
+        ?item wdt:P31/wdt:P279* ${GAME_CLASS} .
+        ${labelOf("?item", "?label")}
+
+        OPTIONAL { ?item schema:description ?description . FILTER (LANG(?description) = ${lang}) }
+        OPTIONAL { ?item skos:altLabel ?alias . FILTER (LANG(?alias) = ${lang}) }
+        OPTIONAL { ?item wdt:P18 ?thumbnail . }
+        OPTIONAL { ?article schema:about ?item ; schema:isPartOf ${wikipedia} . }
+        OPTIONAL { ?item wdt:P61 ?inventor . ${labelOf("?inventor", "?inventorLabel")} }
+        OPTIONAL { ?item wdt:P495 ?country . ${labelOf("?country", "?countryLabel")} }
+        OPTIONAL { ?item wdt:P2283 ?uses . ${labelOf("?uses", "?equipmentLabel")} }
+        OPTIONAL { ?item wdt:P1872 ?minPlayers . }
+        OPTIONAL { ?item wdt:P1873 ?maxPlayers . }
+      }
+      GROUP BY ?item ?label ?description ?thumbnail ?article
+      LIMIT 10
+    `.trim();
+  }
+
+  parseResults(data, lang) {
+    const bindings = data?.results?.bindings || [];
+    const uniqueResults = new Map();
+
+    bindings.forEach((binding) => {
+      const uri = binding.item?.value || "";
+      if (!uri || uniqueResults.has(uri)) return;
+
+      const description = binding.description?.value || "";
+      const article = binding.article?.value || "";
+
+      uniqueResults.set(uri, {
+        id: uri.slice(ENTITY_PREFIX.length),
+        uri,
+        label: binding.label?.value || "",
+        abstract: description,
+        description,
+        thumbnail: binding.thumbnail?.value || "",
+        comment: "",
+        type: `${ENTITY_PREFIX}Q11410`,
+        category: "casino_games",
+        language: lang,
+        source: "Wikidata",
+        preview: this.generatePreview(description),
+        properties: this.parseClaims(binding),
+        external_links: article
+          ? [
+              {
+                title: `${binding.label?.value || ""} - Wikipedia`,
+                url: article,
+                type: "wikipedia",
+              },
+            ]
+          : [],
+        relevance: this.calculateRelevance(binding),
+        searchType: "remote",
+      });
+    });
+
+    return Array.from(uniqueResults.values());
+  }
+
+  /**
+   * Declaraciones con las mismas claves que las propiedades del dataset local
+   */
+  parseClaims(binding) {
+    const list = (name) =>
+      (binding[name]?.value || "").split("|").filter(Boolean);
+    const properties = {};
+
+    const inventors = list("inventors");
+    const countries = list("countries");
+    const equipment = list("equipment");
+    const aliases = list("aliases");
+    const players = this.formatPlayers(
+      binding.minimumPlayers?.value,
+      binding.maximumPlayers?.value,
+    );
+
+    if (inventors.length > 0) properties.inventor = inventors.join(", ");
+    if (countries.length > 0) properties.origin = countries.join(", ");
+    if (equipment.length > 0) properties.equipment = equipment.join(", ");
+    if (players) properties.players = players;
+    if (aliases.length > 0) properties.aliases = aliases;
+
+    return properties;
+  }
+
+  formatPlayers(min, max) {
+    if (min && max) return min === max ? `${min}` : `${min}-${max}`;
+    if (min) return `${min}+`;
+    if (max) return `1-${max}`;
+    return "";
+  }
+
+  calculateRelevance(binding) {
+    let score = 1;
+    if (binding.description?.value) score += 2;
+    if (binding.thumbnail?.value) score += 1;
+    if (binding.article?.value) score += 1;
+    return score;
+  }
+}
+
+module.exports = WikidataSource;
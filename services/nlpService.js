@@ -1,5 +1,47 @@
 const natural = require("natural");
 const Logger = require("../utils/logger");
+const gameKnowledgeService = require("./gameKnowledgeService");
+const intentClassifierService = require("./intentClassifierService");
+const betCalculatorService = require("./betCalculatorService");
+
+// Apuesta que ya cubre cada respuesta fija de identifySpecificQuery
+const SPECIFIC_QUERY_BETS = {
+  redRoulette: "red",
+  blackRoulette: "black",
+  evenRoulette: "even",
+  oddRoulette: "odd",
+  numberRoulette: "straight",
+  insuranceBlackjack: "insurance",
+  bankerBaccarat: "banker",
+  tieBaccarat: "tie"
+};
+
+// Términos de casino que se explican cuando se pregunta por ellos sin juego
+const TERM_DEFINITIONS = [
+  {
+    pattern: /\b(rtp|retorno al jugador|return to player)\b/,
+    es: "📘 **RTP (retorno al jugador)**: porcentaje de lo apostado que un juego devuelve a los jugadores a largo plazo. Un RTP del 97.3% significa que, de media, por cada 100 apostados se recuperan 97.3. Es 100% menos la ventaja de la casa.",
+    en: "📘 **RTP (return to player)**: the share of all money wagered that a game pays back to players in the long run. An RTP of 97.3% means that, on average, 97.3 of every 100 wagered is returned. It is 100% minus the house edge."
+  },
+  {
+    pattern: /\b(ventaja de la casa|ventaja del casino|house edge)\b/,
+    es: "📘 **Ventaja de la casa**: porcentaje de cada apuesta que el casino gana de media a largo plazo. Sale de pagar los premios por debajo de su probabilidad real (p.ej. el cero en la ruleta europea da un 2.7%).",
+    en: "📘 **House edge**: the percentage of each bet the casino wins on average in the long run. It comes from paying wins below their true odds (e.g. the zero on European roulette gives 2.7%)."
+  },
+  {
+    pattern: /\b(valor esperado|esperanza matematica|expected value|ev)\b/,
+    es: "📘 **Valor esperado**: lo que se gana o pierde de media por apuesta: la suma de cada resultado por su probabilidad. En los juegos de casino es negativo e igual a la ventaja de la casa por lo apostado.",
+    en: "📘 **Expected value**: the average amount won or lost per bet: the sum of each outcome times its probability. In casino games it is negative and equals the house edge times the stake."
+  },
+  {
+    pattern: /\b(crupier|croupier|dealer)\b/,
+    es: "📘 **Crupier**: empleado del casino que dirige la mesa: reparte las cartas o lanza la bola, recoge las apuestas perdedoras y paga las ganadoras.",
+    en: "📘 **Croupier (dealer)**: the casino employee who runs the table: deals the cards or spins the ball, collects losing bets and pays winning ones."
+  }
+];
+
+// Intenciones que, sin juego, se responden con la definición del término
+const TERM_INTENTS = new Set(["definition", "payout", "houseEdge", "expectedValue"]);
 
 class NLPServiceExtended {
   constructor() {
@@ -9,410 +51,6 @@ class NLPServiceExtended {
     this.stemmerEN = natural.PorterStemmer;
     this.tfidf = new natural.TfIdf();
 
-    this.gameKnowledge = {
-      blackjack: {
-        names: ["blackjack", "21", "veintiuno", "twenty-one", "black-jack", "twenty one"],
-        probability: 0.42,
-        houseEdge: 0.5,
-        rtp: 99.5,
-        minBet: 5,
-        maxBet: 10000,
-        description: "Juego de cartas donde el objetivo es acercarse a 21 sin pasarse",
-        detailedRules: "El jugador recibe 2 cartas y puede pedir más. Las cartas numéricas valen su número, las figuras valen 10 y el As vale 1 u 11.",
-        bestOdds: "Usar estrategia básica perfecta",
-        worstOdds: "Seguro (insurance)",
-        strategies: [
-          "Usa estrategia básica para cada mano según las cartas del dealer",
-          "Nunca tomes seguro - la ventaja de la casa es 7.4%",
-          "Divide ases y ochos siempre",
-          "Dobla en 11 si el dealer muestra menos de 10",
-          "Mantente en 17 duro o más",
-          "El conteo de cartas puede reducir la ventaja de la casa a 0% o negativo",
-          "Evita mesas con blackjack paga 6:5 - busca 3:2"
-        ],
-        facts: [
-          "La ventaja de la casa es aproximadamente 0.5% con estrategia básica perfecta",
-          "La probabilidad de ganar una mano es alrededor del 42%",
-          "Un blackjack natural paga 3:2 (1.5 veces tu apuesta) o 6:5 en mesas malas",
-          "La probabilidad de recibir blackjack natural es 4.8%",
-          "El dealer debe plantarse en 17 blando en la mayoría de casinos",
-          "Dividir pares puede aumentar tus probabilidades si se hace correctamente",
-          "Sin estrategia básica, la ventaja de la casa puede ser del 2-5%"
-        ],
-        probabilities: {
-          natural: 0.048,
-          bust: 0.28,
-          win: 0.42,
-          lose: 0.49,
-          push: 0.09,
-          dealerBust: 0.28,
-          dealerNatural: 0.048
-        },
-        payouts: {
-          natural: 1.5,
-          win: 1,
-          insurance: 2,
-          surrender: 0.5
-        },
-        specificBets: {
-          "insurance": { houseEdge: 7.4, rtp: 92.6, recommendation: "Nunca tomar" },
-          "surrender": { houseEdge: -0.5, rtp: 100.5, recommendation: "Usar en situaciones específicas" },
-          "double": { houseEdge: 0.5, rtp: 99.5, recommendation: "Doblar en 11 vs dealer bajo" }
-        }
-      },
-      ruleta: {
-        names: ["ruleta", "roulette", "rueda", "wheel", "rouleta"],
-        probability: 0.4865,
-        houseEdge: 2.7,
-        houseEdgeAmerican: 5.26,
-        rtp: 97.3,
-        rtpAmerican: 94.74,
-        minBet: 1,
-        maxBet: 5000,
-        description: "Juego de azar con una rueda giratoria y una bola",
-        detailedRules: "La rueda tiene números del 0 al 36. Puedes apostar a números individuales, colores, pares/impares, docenas, columnas, etc.",
-        bestOdds: "Apuestas externas en ruleta europea (rojo/negro, par/impar)",
-        worstOdds: "Números individuales y apuesta de cinco números en ruleta americana",
-        strategies: [
-          "SIEMPRE juega ruleta europea (un solo cero) en lugar de americana (doble cero)",
-          "Apuesta a rojo/negro o par/impar para mejores probabilidades (48.65%)",
-          "Evita el sistema Martingale - requiere bankroll infinito",
-          "No existe estrategia que supere la ventaja de la casa a largo plazo",
-          "Establece límites de pérdidas y ganancias antes de jugar",
-          "La apuesta de cinco números (0, 00, 1, 2, 3) tiene la peor ventaja: 7.89%"
-        ],
-        facts: [
-          "La ruleta europea tiene ventaja de la casa de 2.7% debido al cero",
-          "La ruleta americana tiene ventaja de la casa de 5.26% debido al doble cero",
-          "Apostar a rojo/negro tiene probabilidad del 48.65% en ruleta europea",
-          "El cero verde (y doble cero) da la ventaja a la casa",
-          "La probabilidad de acertar un número específico es 2.7% (1/37)",
-          "Las apuestas externas pagan 1:1, las internas pagan más pero son menos probables",
-          "No existe diferencia de probabilidad entre números - todos son igualmente probables"
-        ],
-        probabilities: {
-          red: 0.4865,
-          black: 0.4865,
-          green: 0.027,
-          greenAmerican: 0.053,
-          even: 0.4865,
-          odd: 0.4865,
-          singleNumber: 0.027,
-          singleNumberAmerican: 0.026,
-          dozen: 0.324,
-          column: 0.324,
-          split: 0.054,
-          street: 0.081,
-          corner: 0.108,
-          sixLine: 0.162,
-          highLow: 0.4865
-        },
-        payouts: {
-          straight: 35,
-          split: 17,
-          street: 11,
-          corner: 8,
-          sixLine: 5,
-          dozen: 2,
-          column: 2,
-          redBlack: 1,
-          evenOdd: 1,
-          highLow: 1
-        },
-        specificBets: {
-          "rojo": { probability: 48.65, payout: 1, houseEdge: 2.7, recommendation: "Buena apuesta exterior" },
-          "negro": { probability: 48.65, payout: 1, houseEdge: 2.7, recommendation: "Buena apuesta exterior" },
-          "par": { probability: 48.65, payout: 1, houseEdge: 2.7, recommendation: "Buena apuesta exterior" },
-          "impar": { probability: 48.65, payout: 1, houseEdge: 2.7, recommendation: "Buena apuesta exterior" },
-          "numero": { probability: 2.7, payout: 35, houseEdge: 2.7, recommendation: "Alto riesgo, alto pago" }
-        }
-      },
-      poker: {
-        names: ["poker", "póker", "poquer", "texas holdem", "omaha", "texas", "hold'em"],
-        probability: "variable",
-        houseEdge: 0,
-        rtp: "variable",
-        minBet: 2,
-        maxBet: "sin límite",
-        description: "Juego de cartas estratégico entre jugadores",
-        detailedRules: "Cada jugador recibe cartas privadas y hay cartas comunitarias. El mejor conjunto de 5 cartas gana.",
-        bestOdds: "Juego con habilidad - no contra la casa",
-        worstOdds: "Depende de tu habilidad vs oponentes",
-        strategies: [
-          "Juega tight-aggressive (pocas manos, pero agresivamente)",
-          "La posición es CRUCIAL - actúa último para máxima ventaja",
-          "Lee a tus oponentes y sus patrones de apuesta",
-          "Gestiona tu bankroll - nunca juegues más del 5% en una sesión",
-          "Estudia rangos de manos preflop según posición",
-          "Calcula tus outs y pot odds para decisiones matemáticas",
-          "El farol es importante pero no abuses - 1 de cada 3-4 manos máximo",
-          "En torneos, ajusta según tamaño de stack y blinds"
-        ],
-        facts: [
-          "No juegas contra la casa, sino contra otros jugadores",
-          "La habilidad es el factor más importante a largo plazo",
-          "La probabilidad de recibir par de ases es 0.45% (221:1)",
-          "Requiere estrategia, psicología y gestión de bankroll",
-          "Los pros ganan consistentemente porque toman decisiones matemáticamente correctas",
-          "El rake (comisión del casino) es típicamente 5-10% del pot",
-          "Texas Hold'em es la variante más popular mundialmente"
-        ],
-        probabilities: {
-          pocketAces: 0.0045,
-          pocketKings: 0.0045,
-          anyPocketPair: 0.059,
-          aceKing: 0.012,
-          flushDraw: 0.118,
-          straightDraw: 0.085,
-          makeFlushByRiver: 0.35,
-          makeStraightByRiver: 0.32,
-          overcardImproving: 0.065
-        },
-        handRankings: [
-          "Royal Flush - 0.00015% (649,739:1)",
-          "Straight Flush - 0.00139% (72,192:1)",
-          "Four of a Kind - 0.024% (4,165:1)",
-          "Full House - 0.144% (694:1)",
-          "Flush - 0.197% (509:1)",
-          "Straight - 0.392% (255:1)",
-          "Three of a Kind - 2.11% (46:1)",
-          "Two Pair - 4.75% (20:1)",
-          "One Pair - 42.3% (1.4:1)",
-          "High Card - 50.1% (1:1)"
-        ]
-      },
-      tragamonedas: {
-        names: ["tragamonedas", "slot", "slots", "máquina", "maquina", "tragaperras", "slot machine"],
-        probability: "variable",
-        houseEdge: 5,
-        rtp: 95,
-        minBet: 0.01,
-        maxBet: 100,
-        description: "Máquinas de juego con rodillos y símbolos",
-        detailedRules: "Gira los rodillos y gana si los símbolos coinciden en líneas de pago activas.",
-        bestOdds: "Slots con RTP alto (97-99%) en casinos online",
-        worstOdds: "Slots con jackpot progresivo grande (85-88% RTP)",
-        strategies: [
-          "Busca slots con RTP alto - 96% o más",
-          "Los jackpots progresivos tienen RTP más bajo (88-92%)",
-          "NO existe estrategia para ganar - son pura suerte",
-          "Establece presupuesto y NUNCA lo excedas",
-          "Las apuestas máximas no aumentan el RTP",
-          "Los resultados son determinados por RNG (generador aleatorio)"
-        ],
-        facts: [
-          "El RTP típico varía entre 85% y 98%",
-          "Son juegos de pura suerte, sin estrategia",
-          "La ventaja de la casa suele ser del 2-15%",
-          "Los jackpots progresivos tienen menor RTP pero premios gigantes",
-          "Los slots online generalmente tienen mejor RTP que físicos",
-          "Cada giro es independiente - no hay 'máquinas calientes'",
-          "Los casinos físicos típicamente tienen RTP de 88-92%"
-        ],
-        rtpRanges: {
-          online: "95-99%",
-          landBased: "88-92%",
-          progressive: "85-90%",
-          megaJackpot: "85-88%"
-        }
-      },
-      dados: {
-        names: ["dados", "craps", "die", "dice", "crap"],
-        probability: 0.493,
-        houseEdge: 1.41,
-        rtp: 98.59,
-        minBet: 5,
-        maxBet: 5000,
-        description: "Juego con dos dados de seis caras",
-        detailedRules: "El tirador lanza dos dados. Apuestas en los resultados de la tirada.",
-        bestOdds: "Don't Pass/Don't Come con odds (0.4% ventaja casa)",
-        worstOdds: "Proposiciones (Any 7, Any Craps) - hasta 16.9% ventaja",
-        strategies: [
-          "Apuesta Pass Line (1.41% ventaja) o Don't Pass (1.36% ventaja)",
-          "Usa odds bets - NO tienen ventaja de la casa (0%)",
-          "Evita apuestas de centro/proposición - tienen ventajas del 10-16%",
-          "Don't Pass es ligeramente mejor que Pass Line matemáticamente",
-          "Maximiza las odds detrás de tu apuesta principal"
-        ],
-        facts: [
-          "Pass Line tiene ventaja de casa de 1.41%",
-          "Don't Pass tiene ventaja de casa de 1.36%",
-          "La probabilidad de sacar 7 es la más alta (16.67% - 6 combinaciones)",
-          "Las odds bets NO tienen ventaja de la casa - apuesta más inteligente",
-          "Any 7 tiene ventaja de casa del 16.9% - EVITAR",
-          "El 7 es el número más común, seguido por 6 y 8"
-        ],
-        probabilities: {
-          seven: 0.1667,
-          six: 0.1389,
-          eight: 0.1389,
-          five: 0.1111,
-          nine: 0.1111,
-          four: 0.0833,
-          ten: 0.0833,
-          three: 0.0556,
-          eleven: 0.0556,
-          two: 0.0278,
-          twelve: 0.0278
-        },
-        specificBets: {
-          "pass": { houseEdge: 1.41, rtp: 98.59, recommendation: "Excelente apuesta" },
-          "dontpass": { houseEdge: 1.36, rtp: 98.64, recommendation: "La mejor apuesta matemáticamente" },
-          "odds": { houseEdge: 0, rtp: 100, recommendation: "SIEMPRE tomar - sin ventaja casa" },
-          "field": { houseEdge: 5.56, rtp: 94.44, recommendation: "Evitar" },
-          "any7": { houseEdge: 16.9, rtp: 83.1, recommendation: "Nunca apostar" }
-        }
-      },
-      baccarat: {
-        names: ["baccarat", "bacará", "punto", "banca", "punto y banca"],
-        probability: 0.4585,
-        houseEdge: 1.06,
-        rtp: 98.94,
-        minBet: 10,
-        maxBet: 100000,
-        description: "Juego de cartas entre banca y jugador",
-        detailedRules: "Se reparten cartas a banca y jugador. La mano más cercana a 9 gana.",
-        bestOdds: "Apostar a la Banca (1.06% ventaja casa)",
-        worstOdds: "Apostar al Empate (14.4% ventaja casa)",
-        strategies: [
-          "SIEMPRE apuesta a la Banca - menor ventaja de casa (1.06%)",
-          "Nunca apuestes al Empate - ventaja de casa del 14.4%",
-          "Ignora las tablas de tendencias - cada mano es independiente",
-          "No uses sistemas de apuestas (Martingale, Fibonacci) - no funcionan",
-          "Establece límites y respétalos",
-          "La comisión del 5% en Banca ya está calculada en la ventaja"
-        ],
-        facts: [
-          "Apostar a la Banca tiene ventaja de casa de 1.06%",
-          "Apostar al Jugador tiene ventaja de casa de 1.24%",
-          "El Empate tiene ventaja de casa del 14.4% - NUNCA apostar",
-          "Es uno de los juegos con mejor probabilidad para el jugador",
-          "No requiere habilidad - decisiones automáticas",
-          "Popular entre high rollers por límites altos y bajo house edge",
-          "La Banca gana ~50.68%, Jugador ~49.32%"
-        ],
-        probabilities: {
-          banker: 0.4585,
-          player: 0.4462,
-          tie: 0.0953
-        },
-        payouts: {
-          banker: 0.95,
-          player: 1,
-          tie: 8
-        },
-        specificBets: {
-          "banca": { probability: 45.85, houseEdge: 1.06, rtp: 98.94, recommendation: "Mejor apuesta" },
-          "jugador": { probability: 44.62, houseEdge: 1.24, rtp: 98.76, recommendation: "Buena apuesta" },
-          "empate": { probability: 9.53, houseEdge: 14.4, rtp: 85.6, recommendation: "NUNCA apostar" }
-        }
-      }
-    };
-
-    // Patrones de queries EXTENDIDOS
-    this.queryPatterns = {
-      // PROBABILIDADES
-      probability: [
-        /probabilidad|chance|odds|posibilidad|chances|porcentaje|prob\b/i,
-        /cuanto.*ganar|cuánto.*ganar|what.*chance|how likely/i,
-        /que tan probable|qué tan probable|how probable/i,
-        /cuales.*probabilidades|cuáles.*probabilidades|what.*odds/i
-      ],
-
-      // COLORES EN RULETA
-      redBlackRoulette: [
-        /probabilidad.*(rojo|negro|red|black).*ruleta/i,
-        /ruleta.*(rojo|negro|red|black)/i,
-        /(rojo|negro|red|black).*ruleta/i,
-        /chances?.*(red|black|rojo|negro)/i
-      ],
-
-      // NÚMEROS EN RULETA
-      numberRoulette: [
-        /probabilidad.*numero.*ruleta/i,
-        /acertar.*numero.*ruleta/i,
-        /numero.*especifico.*ruleta/i,
-        /single number.*roulette/i
-      ],
-
-      // PAR/IMPAR
-      evenOdd: [
-        /probabilidad.*(par|impar|even|odd)/i,
-        /(par|impar|even|odd).*ruleta/i,
-        /apostar.*(par|impar|even|odd)/i
-      ],
-
-      // PAGOS
-      payout: [
-        /pago|premio|retorno|rtp|ganancia|cuanto paga|cuánto paga|payout/i,
-        /cuanto.*devuelve|cuánto.*devuelve|how much.*pay/i,
-        /retorno.*jugador|return.*player/i
-      ],
-
-      // REGLAS
-      rules: [
-        /reglas|rules|como jugar|cómo jugar|how to play/i,
-        /instrucciones|instructions|como funciona|cómo funciona|how.*work/i,
-        /como se juega|cómo se juega|explicar|explain/i
-      ],
-
-      // ESTRATEGIA
-      strategy: [
-        /estrategia|strategy|táctica|tactic|consejo|tip|advice/i,
-        /como ganar|cómo ganar|how to win|tecnica|técnica|technique/i,
-        /mejor.*manera|best way|forma.*ganar|way to win/i
-      ],
-
-      // COMPARACIÓN
-      comparison: [
-        /mejor|best|peor|worst|comparar|compare/i,
-        /diferencia|difference|versus|vs|cual es mejor|cuál es mejor/i,
-        /que es mejor|qué es mejor|which is better/i
-      ],
-
-      // VENTAJA CASA
-      houseEdge: [
-        /ventaja casa|house edge|margen casa|ventaja.*casino/i,
-        /casino.*ventaja|edge.*house/i
-      ],
-
-      // DEFINICIÓN
-      definition: [
-        /que es|qué es|what is|define|explicar|explain/i,
-        /significado|meaning|definicion|definition/i
-      ],
-
-      // BLACKJACK ESPECÍFICAS
-      blackjackNatural: [
-        /probabilidad.*blackjack.*natural/i,
-        /chances?.*21.*first/i,
-        /recibir.*blackjack/i
-      ],
-
-      insurance: [
-        /seguro.*blackjack|insurance.*blackjack/i,
-        /tomar.*seguro|take.*insurance/i,
-        /conviene.*seguro|should.*insurance/i
-      ],
-
-      // POKER ESPECÍFICAS
-      pokerHands: [
-        /probabilidad.*(escalera|color|full|poker|mano)/i,
-        /chances?.*(flush|straight|full house|pair)/i,
-        /probabilidad.*ases|probability.*aces/i
-      ],
-
-      // ESPECÍFICO POR JUEGO
-      specificGame: [
-        /blackjack|21|veintiuno/i,
-        /ruleta|roulette/i,
-        /poker|póker/i,
-        /dados|craps/i,
-        /baccarat|bacará/i,
-        /tragamonedas|slot|slots/i
-      ]
-    };
-
     // Stop words
     this.stopWordsES = new Set([
       "el", "la", "los", "las", "un", "una", "unos", "unas",
@@ -435,6 +73,14 @@ class NLPServiceExtended {
     ]);
   }
 
+  /**
+   * Conocimiento de cada juego, leído de la base de conocimiento
+   * (data/game_knowledge) y recargado cuando cambia
+   */
+  get gameKnowledge() {
+    return gameKnowledgeService.getAll();
+  }
+
   processQuery(query) {
     try {
       Logger.info(`[NLP] Procesando: "${query}"`);
@@ -442,9 +88,12 @@ class NLPServiceExtended {
       const language = this.detectLanguage(query);
       const normalized = this.normalizeText(query);
       const tokens = this.tokenize(normalized, language);
-      const intent = this.detectIntent(normalized);
+      const { intent, confidence: intentConfidence } =
+        this.detectIntent(normalized);
+      const intents = this.rankIntents(normalized);
       const game = this.identifyGame(normalized);
       const specificQuery = this.identifySpecificQuery(normalized);
+      const betCalculation = this.calculateBet(normalized, game, specificQuery);
 
       // Generar respuesta contextual inteligente
       const contextualAnswer = this.generateSmartAnswer(
@@ -452,10 +101,12 @@ class NLPServiceExtended {
         game,
         intent,
         specificQuery,
-        language
+        language,
+        betCalculation
       );
 
       const searchTerms = this.extractSearchTerms(tokens, game, language);
+      const keywords = this.weighTerms(searchTerms);
 
       const result = {
         original: query,
@@ -463,9 +114,13 @@ class NLPServiceExtended {
         language,
         tokens,
         intent,
+        intentConfidence,
+        intents,
         game,
         specificQuery,
+        betCalculation,
         searchTerms,
+        keywords,
         contextualAnswer
       };
 
@@ -481,7 +136,8 @@ class NLPServiceExtended {
         normalized: query.toLowerCase(),
         language: "es",
         tokens: [query],
-        searchTerms: [query]
+        searchTerms: [query],
+        keywords: []
       };
     }
   }
@@ -524,15 +180,16 @@ class NLPServiceExtended {
     return tokenizer.tokenize(text) || [];
   }
 
+  /**
+   * Intención más probable según el clasificador entrenado
+   * (intentClassifierService); "search" si ninguna es fiable
+   */
   detectIntent(text) {
-    for (const [intent, patterns] of Object.entries(this.queryPatterns)) {
-      for (const pattern of patterns) {
-        if (pattern.test(text)) {
-          return intent;
-        }
-      }
-    }
-    return "search";
+    return intentClassifierService.predict(text);
+  }
+
+  rankIntents(text, limit = 3) {
+    return intentClassifierService.classify(text, { limit });
   }
 
   identifyGame(text) {
@@ -547,41 +204,46 @@ class NLPServiceExtended {
   }
 
   identifySpecificQuery(text) {
-    // Detectar queries específicas como "rojo en ruleta"
-    if (/rojo|red/.test(text) && /ruleta|roulette/.test(text)) {
+    // Detectar queries específicas como "rojo en ruleta". Palabras completas:
+    // "black" no debe coincidir dentro de "blackjack" ni "par" en "comparar"
+    if (/\b(rojo|red)\b/.test(text) && /ruleta|roulette/.test(text)) {
       return "redRoulette";
     }
-    if (/negro|black/.test(text) && /ruleta|roulette/.test(text)) {
+    if (/\b(negro|black)\b/.test(text) && /ruleta|roulette/.test(text)) {
       return "blackRoulette";
     }
-    if (/par|even/.test(text) && /ruleta|roulette/.test(text)) {
+    if (/\b(pares|par|even)\b/.test(text) && /ruleta|roulette/.test(text)) {
       return "evenRoulette";
     }
-    if (/impar|odd/.test(text) && /ruleta|roulette/.test(text)) {
+    if (/\b(impares|impar|odd)\b/.test(text) && /ruleta|roulette/.test(text)) {
       return "oddRoulette";
     }
-    if (/numero|number/.test(text) && /ruleta|roulette/.test(text)) {
+    if (/\b(numeros?|number)\b/.test(text) && /ruleta|roulette/.test(text)) {
       return "numberRoulette";
     }
-    if (/seguro|insurance/.test(text) && /blackjack/.test(text)) {
+    if (/\b(seguro|insurance)\b/.test(text) && /blackjack/.test(text)) {
       return "insuranceBlackjack";
     }
-    if (/natural/.test(text) && /blackjack/.test(text)) {
+    if (/\bnatural\b/.test(text) && /blackjack/.test(text)) {
       return "naturalBlackjack";
     }
-    if (/banca|banker/.test(text) && /baccarat|bacará/.test(text)) {
+    if (/\b(banca|banker)\b/.test(text) && /baccarat|bacará/.test(text)) {
       return "bankerBaccarat";
     }
-    if (/empate|tie/.test(text) && /baccarat|bacará/.test(text)) {
+    if (/\b(empate|tie)\b/.test(text) && /baccarat|bacará/.test(text)) {
       return "tieBaccarat";
     }
 
     return null;
   }
 
-  generateSmartAnswer(text, game, intent, specificQuery, language) {
+  generateSmartAnswer(text, game, intent, specificQuery, language, betCalculation = null) {
     const isSpanish = language === "es";
 
+    if (betCalculation) {
+      return this.generateExpectedValueAnswer(betCalculation, isSpanish);
+    }
+
     // Respuestas específicas para queries comunes
     if (specificQuery === "redRoulette" || specificQuery === "blackRoulette") {
       return isSpanish
@@ -626,7 +288,10 @@ class NLPServiceExtended {
     }
 
     // Si no hay query específica, generar respuesta general basada en juego e intención
-    if (!game) return null;
+    // Sin juego solo se puede explicar el término por el que se pregunta
+    if (!game) {
+      return TERM_INTENTS.has(intent) ? this.generateDefinitionAnswer(text, isSpanish) : null;
+    }
 
     const knowledge = this.gameKnowledge[game];
     if (!knowledge) return null;
@@ -642,7 +307,7 @@ class NLPServiceExtended {
       return this.generateStrategyAnswer(game, gameName, knowledge, isSpanish);
     }
 
-    if (intent === "payout" || intent === "houseEdge") {
+    if (intent === "payout" || intent === "houseEdge" || intent === "expectedValue") {
       return this.generatePayoutAnswer(game, gameName, knowledge, isSpanish);
     }
 
@@ -659,15 +324,9 @@ class NLPServiceExtended {
   }
 
   formatGameName(game, isSpanish) {
-    const names = {
-      blackjack: isSpanish ? "Blackjack" : "Blackjack",
-      ruleta: isSpanish ? "Ruleta" : "Roulette",
-      poker: isSpanish ? "Poker" : "Poker",
-      tragamonedas: isSpanish ? "Tragamonedas" : "Slots",
-      dados: isSpanish ? "Dados (Craps)" : "Craps",
-      baccarat: isSpanish ? "Baccarat" : "Baccarat"
-    };
-    return names[game] || game;
+    const displayName = this.gameKnowledge[game]?.displayName;
+    if (!displayName) return game;
+    return isSpanish ? displayName.es : displayName.en;
   }
 
   generateProbabilityAnswer(game, gameName, knowledge, isSpanish) {
@@ -714,6 +373,72 @@ class NLPServiceExtended {
     }
   }
 
+  asksExpectedValue(text) {
+    return (
+      /valor esperado|esperanza|expected value|\bev\b|varianza|variance|desviacion|deviation/.test(text) ||
+      this.extractStake(text) !== null
+    );
+  }
+
+  /**
+   * Cantidad apostada escrita en la consulta ("10€", "$25", "20 euros")
+   */
+  extractStake(text) {
+    const match =
+      text.match(/(\d+(?:[.,]\d+)?)\s*(?:€|\$|euros?\b|eur\b|dolares\b|dollars?\b|usd\b)/) ||
+      text.match(/[€$]\s*(\d+(?:[.,]\d+)?)/);
+    return match ? Number(match[1].replace(",", ".")) : null;
+  }
+
+  /**
+   * Apuesta concreta de la consulta calculada con betCalculatorService. No
+   * se calcula si ya tiene respuesta fija y no se pregunta por el valor
+   * esperado ni por una cantidad apostada
+   * @returns {Object|null} Resultado de betCalculatorService.calculate
+   */
+  calculateBet(text, game, specificQuery) {
+    const bet = game && betCalculatorService.findBet(game, text);
+    if (!bet || (SPECIFIC_QUERY_BETS[specificQuery] === bet && !this.asksExpectedValue(text))) {
+      return null;
+    }
+
+    const american = /american|doble cero|double zero/.test(text);
+    const variants = betCalculatorService.getVariants(game, bet);
+    const variant = american && variants.includes("american") ? "american" : undefined;
+
+    try {
+      return betCalculatorService.calculate(game, bet, {
+        stake: this.extractStake(text) || 1,
+        variant
+      });
+    } catch (error) {
+      Logger.warn(`[NLP] No se pudo calcular ${game}/${bet}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Probabilidad, pago y valor esperado de una apuesta ya calculada
+   */
+  generateExpectedValueAnswer(result, isSpanish) {
+    const { game, bet } = result;
+    const gameName = this.formatGameName(game, isSpanish);
+    const name = betCalculatorService.getBetName(game, bet, isSpanish ? "es" : "en");
+    const betName = name.charAt(0).toUpperCase() + name.slice(1);
+    const variantName = result.variant
+      ? isSpanish
+        ? ` (${result.variant === "american" ? "americana" : "europea"})`
+        : ` (${result.variant})`
+      : "";
+    const percentage = (result.probability * 100).toFixed(2);
+
+    if (isSpanish) {
+      return `🧮 **${gameName}${variantName} - ${betName}**: Probabilidad de ganar **${percentage}%**, pago **${result.payout}:1**. Apostando ${result.stake}, el valor esperado es **${result.expectedValue}** por jugada (ventaja de la casa **${result.houseEdge}%**) con una desviación típica de ${result.standardDeviation}.`;
+    } else {
+      return `🧮 **${gameName}${variantName} - ${betName}**: Winning probability **${percentage}%**, pays **${result.payout}:1**. Betting ${result.stake}, the expected value is **${result.expectedValue}** per round (house edge **${result.houseEdge}%**) with a standard deviation of ${result.standardDeviation}.`;
+    }
+  }
+
   generateComparisonAnswer(game, gameName, knowledge, isSpanish) {
     const allGames = Object.entries(this.gameKnowledge)
       .filter(([g, k]) => typeof k.houseEdge === "number")
@@ -730,6 +455,16 @@ class NLPServiceExtended {
     }
   }
 
+  /**
+   * Explicación de un término de TERM_DEFINITIONS nombrado en la consulta;
+   * null si no nombra ninguno
+   */
+  generateDefinitionAnswer(text, isSpanish) {
+    const term = TERM_DEFINITIONS.find(({ pattern }) => pattern.test(text));
+    if (!term) return null;
+    return isSpanish ? term.es : term.en;
+  }
+
   generateGeneralAnswer(game, gameName, knowledge, isSpanish) {
     if (isSpanish) {
       return `🎰 **${gameName}**: ${knowledge.description}. RTP: ${knowledge.rtp}%, Ventaja casa: ${knowledge.houseEdge}%. ${knowledge.facts[0]}`;
@@ -738,26 +473,73 @@ class NLPServiceExtended {
     }
   }
 
+  /**
+   * Raíces de las palabras con contenido de la consulta y de los nombres del
+   * juego detectado, con el stemmer del idioma detectado
+   */
   extractSearchTerms(tokens, game, language) {
-    const terms = new Set();
+    const words = [...tokens];
 
     if (game) {
-      terms.add(game);
-      const gameData = this.gameKnowledge[game];
-      if (gameData) {
-        gameData.names.forEach(name => terms.add(name));
-      }
+      const names = this.gameKnowledge[game]?.names || [];
+      [game, ...names].forEach(name => {
+        words.push(...this.tokenize(this.normalizeText(name), language));
+      });
     }
 
     const stopWords = language === "es" ? this.stopWordsES : this.stopWordsEN;
-    tokens.forEach(token => {
-      if (token.length > 3 && !stopWords.has(token.toLowerCase())) {
-        terms.add(token);
-      }
-    });
+    const terms = new Set();
+    words
+      .filter(word => word.length > 1 && !stopWords.has(word.toLowerCase()))
+      .forEach(word => {
+        this.stem(word.toLowerCase(), language).forEach(term => terms.add(term));
+      });
 
     return Array.from(terms);
   }
+
+  /**
+   * Raíces de una palabra. Con idioma conocido se usa solo su stemmer; sin
+   * él se devuelven las dos
+   */
+  stem(word, language = null) {
+    const stemmers = {
+      es: [this.stemmerES],
+      en: [this.stemmerEN]
+    }[language] || [this.stemmerES, this.stemmerEN];
+
+    return [...new Set(stemmers.map(stemmer => stemmer.stem(word) || word))];
+  }
+
+  /**
+   * Vacía el corpus TF-IDF. searchIndexService lo rellena con las raíces de
+   * los literales de cada recurso de la ontología al construir el índice
+   */
+  resetTermWeights() {
+    this.tfidf = new natural.TfIdf();
+  }
+
+  addTermDocument(terms) {
+    this.tfidf.addDocument(terms);
+  }
+
+  /**
+   * Peso IDF de una raíz en los literales de la ontología: las raíces raras
+   * pesan más que las que aparecen en casi todos los recursos. Sin corpus
+   * todas pesan 1
+   */
+  termWeight(term) {
+    return this.tfidf.documents.length > 0 ? this.tfidf.idf(term) : 1;
+  }
+
+  /**
+   * @returns {Array<Object>} { term, weight } ordenados de mayor a menor peso
+   */
+  weighTerms(terms) {
+    return terms
+      .map(term => ({ term, weight: Number(this.termWeight(term).toFixed(4)) }))
+      .sort((a, b) => b.weight - a.weight);
+  }
 }
 
 const nlpServiceExtended = new NLPServiceExtended();
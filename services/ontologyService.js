@@ -1,9 +1,46 @@
+const crypto = require("crypto");
 const $rdf = require("rdflib");
 const fs = require("fs");
 const path = require("path");
+const { pathToFileURL, fileURLToPath } = require("url");
+const { DOMParser } = require("@xmldom/xmldom");
 const Logger = require("../utils/logger");
-const { OWL_FILE_PATH, ONTOLOGY_NAMESPACE } = require("../config/constants");
+const {
+  ONTOLOGY_SOURCES,
+  ONTOLOGY_NAMESPACE,
+  ENABLE_REASONER,
+} = require("../config/constants");
 const nlpService = require("./nlpService");
+const reasonerService = require("./reasonerService");
+const propertyFilterService = require("./propertyFilterService");
+const searchIndexService = require("./searchIndexService");
+const XsdLiteral = require("../utils/xsdLiteral");
+
+// Formatos admitidos según la extensión del fichero. Las extensiones
+// ambiguas (.owl, .xml o desconocidas) se resuelven inspeccionando el contenido
+const FORMATS_BY_EXTENSION = {
+  ".rdf": "application/rdf+xml",
+  ".ttl": "text/turtle",
+  ".turtle": "text/turtle",
+  ".n3": "text/n3",
+  ".nt": "application/n-triples",
+  ".ntriples": "application/n-triples",
+  ".nq": "application/n-quads",
+  ".nquads": "application/n-quads",
+  ".jsonld": "application/ld+json",
+  ".json": "application/ld+json",
+};
+
+class OntologyParseError extends Error {
+  constructor(message, { file, format, line = null, column = null } = {}) {
+    super(message);
+    this.name = "OntologyParseError";
+    this.file = file;
+    this.format = format;
+    this.line = line;
+    this.column = column;
+  }
+}
 
 class OntologyService {
   constructor() {
@@ -12,31 +49,84 @@ class OntologyService {
     this.rdf = $rdf.Namespace("http://www.w3.org/1999/02/22-rdf-syntax-ns#");
     this.rdfs = $rdf.Namespace("http://www.w3.org/2000/01/rdf-schema#");
     this.owl = $rdf.Namespace("http://www.w3.org/2002/07/owl#");
+    this.tripleSources = new Map();
+    this.sources = [];
+    this.unresolvedImports = [];
+    this.inferredTriples = new Set();
     this.loaded = false;
   }
 
   async loadOntology() {
     try {
-      const filePath = path.join(__dirname, "..", OWL_FILE_PATH);
-      Logger.info("Cargando ontología desde:", filePath);
+      const store = $rdf.graph();
+      const tripleSources = new Map();
+      const sources = [];
+      const unresolvedImports = [];
+      const visited = new Set();
+
+      const queue = ONTOLOGY_SOURCES.map((source) => ({
+        filePath: path.resolve(__dirname, "..", source),
+        importedBy: null,
+      }));
 
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`Archivo OWL no encontrado en: ${filePath}`);
+      while (queue.length > 0) {
+        const { filePath, importedBy } = queue.shift();
+        if (visited.has(filePath)) continue;
+        visited.add(filePath);
+
+        let source;
+        try {
+          source = await this.loadSource(filePath, store, tripleSources);
+        } catch (error) {
+          // Un import roto no debe impedir cargar las fuentes principales
+          if (!importedBy) throw error;
+          Logger.warn(
+            `No se pudo cargar el import ${filePath}:`,
+            error.message,
+          );
+          unresolvedImports.push({
+            uri: pathToFileURL(filePath).href,
+            importedBy,
+            error: error.message,
+            line: error.line ?? null,
+            column: error.column ?? null,
+          });
+          continue;
+        }
+        source.importedBy = importedBy;
+        sources.push(source);
+
+        source.imports.forEach((importUri) => {
+          const importPath = this.resolveImport(importUri, filePath);
+          if (importPath) {
+            queue.push({ filePath: importPath, importedBy: source.name });
+          } else {
+            Logger.warn(
+              `No se pudo resolver owl:imports <${importUri}> desde ${source.name}`,
+            );
+            unresolvedImports.push({ uri: importUri, importedBy: source.name });
+          }
+        });
       }
 
-      const owlContent = fs.readFileSync(filePath, "utf8");
-      Logger.info(`Archivo OWL leído: ${owlContent.length} caracteres`);
-
-      const mimeType = "application/rdf+xml";
-      const baseURI = ONTOLOGY_NAMESPACE;
-
-      this.store = $rdf.graph();
+      const inferred = ENABLE_REASONER
+        ? reasonerService.materialize(store)
+        : [];
 
-      await $rdf.parse(owlContent, this.store, baseURI, mimeType);
+      this.store = store;
+      this.inferredTriples = new Set(inferred.map((st) => this.tripleKey(st)));
+      this.tripleSources = tripleSources;
+      this.sources = sources;
+      this.unresolvedImports = unresolvedImports;
+      this.buildSearchIndex();
       this.loaded = true;
 
-      Logger.info("Ontología cargada exitosamente");
-      Logger.info(`Total de statements: ${this.store.statements.length}`);
+      Logger.info(
+        `Ontología cargada exitosamente desde ${sources.length} fichero(s)`,
+      );
+      Logger.info(
+        `Total de statements: ${this.store.statements.length} (${inferred.length} inferidos)`,
+      );
 
       return true;
     } catch (error) {
@@ -46,6 +136,450 @@ class OntologyService {
     }
   }
 
+  /**
+   * Parsea un fichero de ontología y fusiona sus triples en el store,
+   * anotando en tripleSources de qué fichero proviene cada triple
+   * @param {string} filePath - Ruta absoluta del fichero
+   * @param {Object} store - Store destino
+   * @param {Map} tripleSources - Procedencia de cada triple (clave N-Triples)
+   * @returns {Promise<Object>} Descripción de la fuente cargada
+   */
+  async loadSource(filePath, store, tripleSources) {
+    Logger.info("Cargando ontología desde:", filePath);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Archivo OWL no encontrado en: ${filePath}`);
+    }
+
+    const owlContent = fs.readFileSync(filePath, "utf8");
+    Logger.info(`Archivo OWL leído: ${owlContent.length} caracteres`);
+
+    const mimeType = this.detectFormat(filePath, owlContent);
+    const baseURI = ONTOLOGY_NAMESPACE;
+    const name = path.basename(filePath);
+    const sourceNode = $rdf.sym(pathToFileURL(filePath).href);
+    Logger.info(`Formato detectado para ${name}: ${mimeType}`);
+
+    const graph = $rdf.graph();
+    await this.parseContent(owlContent, graph, baseURI, mimeType, name);
+
+    let added = 0;
+    graph.statements.forEach((st) => {
+      const key = this.tripleKey(st);
+      if (!tripleSources.has(key)) {
+        tripleSources.set(key, [name]);
+        store.add(st.subject, st.predicate, st.object, sourceNode);
+        added++;
+      } else if (!tripleSources.get(key).includes(name)) {
+        tripleSources.get(key).push(name);
+      }
+    });
+
+    const imports = graph
+      .statementsMatching(null, this.owl("imports"), null)
+      .map((st) => st.object.value);
+
+    Logger.info(
+      `${name}: ${graph.statements.length} statements (${added} nuevos)`,
+    );
+
+    return {
+      name,
+      path: filePath,
+      uri: sourceNode.value,
+      format: mimeType,
+      statements: graph.statements.length,
+      added,
+      imports,
+    };
+  }
+
+  /**
+   * Determina el formato RDF de un fichero por su extensión o, si es
+   * ambigua, por el contenido
+   * @param {string} filePath - Ruta del fichero
+   * @param {string} content - Contenido del fichero
+   * @returns {string} Tipo MIME para $rdf.parse
+   */
+  detectFormat(filePath, content) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (FORMATS_BY_EXTENSION[extension]) return FORMATS_BY_EXTENSION[extension];
+
+    const text = content.replace(/^\uFEFF/, "").trimStart();
+
+    if (text.startsWith("{") || text.startsWith("[")) {
+      return "application/ld+json";
+    }
+    if (
+      /^<(\?xml|!DOCTYPE|!--|[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?[\s>/])/.test(
+        text,
+      )
+    ) {
+      return "application/rdf+xml";
+    }
+    if (/^\s*(@prefix|@base|PREFIX\s|BASE\s)/im.test(text)) {
+      return "text/turtle";
+    }
+
+    // Líneas tipo N-Triples/N-Quads: <s> <p> objeto [grafo] .
+    const line = text
+      .split(/\r?\n/)
+      .find((l) => l.trim() && !l.trim().startsWith("#"));
+    if (line && /^(<[^>]*>|_:\S+)\s+<[^>]*>\s/.test(line.trim())) {
+      const terms = line.match(
+        /<[^>]*>|_:[^\s.]+|"(?:[^"\\]|\\.)*"(?:@[\w-]+|\^\^<[^>]*>)?/g,
+      );
+      return terms.length > 3 ? "application/n-quads" : "application/n-triples";
+    }
+
+    return "text/turtle";
+  }
+
+  /**
+   * Parsea el contenido en el grafo indicado. Los errores de sintaxis se
+   * devuelven como OntologyParseError con línea y columna cuando se conocen
+   */
+  async parseContent(content, graph, baseURI, mimeType, name) {
+    // rdflib no tiene parser de N-Triples; es un subconjunto de N-Quads
+    const parserType =
+      mimeType === "application/n-triples" ? "application/n-quads" : mimeType;
+
+    if (parserType === "application/rdf+xml") {
+      this.checkXml(content, name);
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        $rdf.parse(content, graph, baseURI, parserType, (error, kb) =>
+          error ? reject(error) : resolve(kb),
+        );
+      });
+    } catch (error) {
+      throw this.toParseError(error, content, mimeType, name);
+    }
+  }
+
+  /**
+   * rdflib es muy permisivo con el XML mal formado; se valida antes con
+   * xmldom para poder indicar la posición del error. xmldom avisa de las
+   * etiquetas sin cerrar y de los atributos mal escritos solo como
+   * "warning", pero el documento no está bien formado: todo se trata como
+   * error
+   */
+  checkXml(content, name) {
+    const problems = [];
+    const report = (message) => problems.push(message);
+
+    new DOMParser({
+      locator: {},
+      errorHandler: { warning: report, error: report, fatalError: report },
+    }).parseFromString(content, "application/xml");
+
+    if (problems.length === 0) return;
+
+    const [message] = problems;
+    const position = message.match(/\[line:(\d+),col:(\d+)\]/);
+    const line = position ? Number(position[1]) : null;
+    const column = position ? Number(position[2]) : null;
+    const text = this.xmlProblemText(
+      message
+        .replace(/^\[xmldom \w+\]\s*/, "")
+        .replace(/\s*@#\[line:\d+,col:\d+\]\s*$/, ""),
+      content,
+      line,
+      column,
+    );
+
+    throw new OntologyParseError(
+      this.parseErrorMessage(name, line, column, text),
+      { file: name, format: "application/rdf+xml", line, column },
+    );
+  }
+
+  /**
+   * Traduce los mensajes de xmldom que no describen el problema real
+   */
+  xmlProblemText(text, content, line, column) {
+    // xmldom lo emite para un elemento sin etiqueta de cierre (o cerrado
+    // con otro nombre); la posición es la de su etiqueta de apertura
+    if (text === "unclosed xml attribute") {
+      const lineText = content.split(/\r?\n/)[line - 1] || "";
+      const tag = lineText.slice(column - 1).match(/^<([^\s/>]+)/);
+      return `el elemento <${tag ? tag[1] : "?"}> no tiene etiqueta de cierre o se cierra con otro nombre`;
+    }
+    // Aparece cuando ya se cerró el elemento raíz y sigue habiendo
+    // elementos (p.ej. un </rdf:RDF> que se cierra antes de tiempo)
+    if (/Hierarchy request error/.test(text)) {
+      return "elemento fuera del elemento raíz; revisa que cada etiqueta abierta tenga su cierre";
+    }
+    return text.replace(/^element parse error: Error: /, "");
+  }
+
+  /**
+   * Normaliza los errores de los distintos parsers de rdflib
+   */
+  toParseError(error, content, mimeType, name) {
+    let line = null;
+    let column = null;
+    let text = error.message || String(error);
+
+    if (error.lineNo !== undefined && error.characterInFile !== undefined) {
+      // Turtle/N3: posición absoluta del último token válido
+      // En un literal sin cerrar el parser se detiene al final de la línea o
+      // del fichero: se señala la comilla que lo abre
+      const offset = /string literal|Closing quote missing/.test(
+        error.syntaxProblem,
+      )
+        ? this.locateOpenString(content, error.characterInFile)
+        : null;
+      ({ line, column } = this.offsetToPosition(
+        content,
+        offset ?? this.skipWhitespace(content, error.characterInFile),
+      ));
+      text = error.syntaxProblem || text.split("\n")[0];
+    } else if (error.context && error.context.line) {
+      // N-Quads/N-Triples (N3.js): línea y token anterior al error
+      line = error.context.line;
+      const lineText = content.split(/\r?\n/)[line - 1] || "";
+      const previous = error.context.previousToken;
+      const offset =
+        previous && previous.line === line
+          ? this.skipWhitespace(lineText, previous.end)
+          : 0;
+      column = offset + 1;
+    } else if (mimeType === "application/ld+json") {
+      const offset = this.locateJsonError(content);
+      if (offset !== null) {
+        ({ line, column } = this.offsetToPosition(content, offset));
+        text = "JSON no válido";
+      }
+    }
+
+    return new OntologyParseError(
+      this.parseErrorMessage(name, line, column, text),
+      { file: name, format: mimeType, line, column },
+    );
+  }
+
+  parseErrorMessage(name, line, column, text) {
+    const position = line !== null ? ` (línea ${line}, columna ${column})` : "";
+    return `Error de sintaxis en ${name}${position}: ${text}`;
+  }
+
+  /**
+   * Comilla de apertura del literal Turtle que sigue abierto en `offset`: el
+   * primero de una línea sin cerrar o el largo ("""...""") que no se cierra
+   * antes de `offset`. Se saltan IRIs y comentarios
+   * @returns {number|null} Desplazamiento de la comilla
+   */
+  locateOpenString(content, offset) {
+    let index = 0;
+    while (index < content.length) {
+      const char = content[index];
+      if (char === "<") {
+        const end = content.indexOf(">", index);
+        if (end === -1) return null;
+        index = end + 1;
+      } else if (char === "#") {
+        const end = content.indexOf("\n", index);
+        if (end === -1) return null;
+        index = end + 1;
+      } else if (char === '"' || char === "'") {
+        const start = index;
+        const long = content.startsWith(char.repeat(3), index);
+        const delimiter = long ? char.repeat(3) : char;
+        index += delimiter.length;
+        while (!content.startsWith(delimiter, index)) {
+          if (index >= offset && long) return start;
+          if (index >= content.length) return start;
+          if (!long && /[\r\n]/.test(content[index])) return start;
+          index += content[index] === "\\" ? 2 : 1;
+        }
+        index += delimiter.length;
+      } else {
+        index++;
+      }
+      if (index > offset) return null;
+    }
+    return null;
+  }
+
+  skipWhitespace(text, offset) {
+    let index = offset;
+    while (index < text.length && /\s/.test(text[index])) index++;
+    return index;
+  }
+
+  offsetToPosition(content, offset) {
+    const before = content.slice(0, offset);
+    const line = before.split("\n").length;
+    return { line, column: offset - before.lastIndexOf("\n") };
+  }
+
+  /**
+   * JSON.parse no indica la posición del error en todas las versiones de
+   * Node: se busca el prefijo más corto que ya no es JSON incompleto
+   * @returns {number|null} Desplazamiento del carácter erróneo
+   */
+  locateJsonError(content) {
+    const failsAt = (length) => {
+      try {
+        JSON.parse(content.slice(0, length));
+        return false;
+      } catch (error) {
+        const position = error.message.match(/at position (\d+)/);
+        if (position) return Number(position[1]) < length;
+        return !/end of (JSON|data)/i.test(error.message);
+      }
+    };
+
+    if (!failsAt(content.length)) return null;
+
+    let low = 0;
+    let high = content.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (failsAt(middle)) high = middle;
+      else low = middle + 1;
+    }
+    return Math.max(low - 1, 0);
+  }
+
+  /**
+   * Resuelve un owl:imports contra ficheros locales: primero la ruta
+   * file:// tal cual y después el nombre del fichero en el directorio
+   * del fichero que lo importa y en los de las fuentes configuradas
+   */
+  resolveImport(importUri, fromPath) {
+    const candidates = [];
+
+    if (importUri.startsWith("file:")) {
+      try {
+        candidates.push(fileURLToPath(importUri));
+      } catch (error) {
+        // Rutas de otro sistema operativo (p.ej. file:///C:/...)
+      }
+    }
+
+    const fileName = decodeURIComponent(
+      importUri.split(/[\\/]/).pop().split("#")[0],
+    );
+    if (fileName) {
+      const directories = new Set([
+        path.dirname(fromPath),
+        ...ONTOLOGY_SOURCES.map((source) =>
+          path.dirname(path.resolve(__dirname, "..", source)),
+        ),
+      ]);
+      directories.forEach((dir) => candidates.push(path.join(dir, fileName)));
+    }
+
+    return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+  }
+
+  tripleKey(statement) {
+    return `${statement.subject.toNT()} ${statement.predicate.toNT()} ${statement.object.toNT()}`;
+  }
+
+  /**
+   * Indica si un triple lo ha añadido el razonador en lugar de venir de
+   * alguno de los ficheros cargados
+   */
+  isInferred(statement) {
+    return this.inferredTriples.has(this.tripleKey(statement));
+  }
+
+  /**
+   * Ficheros de los que provienen los triples de un recurso (como sujeto)
+   * @param {string} uri - URI del recurso
+   * @returns {Array<string>} Nombres de fichero
+   */
+  getEntitySources(uri) {
+    const files = new Set();
+    this.store.statementsMatching($rdf.sym(uri), null, null).forEach((st) => {
+      (this.tripleSources.get(this.tripleKey(st)) || []).forEach((file) =>
+        files.add(file),
+      );
+    });
+    return Array.from(files);
+  }
+
+  /**
+   * Ficheros de los que proviene un triple concreto
+   * @param {Object} statement - { subject, predicate, object } de rdflib
+   * @returns {Array<string>} Nombres de fichero
+   */
+  getTripleSources(statement) {
+    return this.tripleSources.get(this.tripleKey(statement)) || [];
+  }
+
+  /**
+   * Indica si el recurso aparece como sujeto en la ontología cargada
+   */
+  hasResource(uri) {
+    return (
+      this.loaded &&
+      this.store.statementsMatching($rdf.sym(uri), null, null).length > 0
+    );
+  }
+
+  /**
+   * Recursos con nombre propio de la ontología (clases e individuos) y sus
+   * nombres alternativos, para el enlazado de entidades
+   * @returns {Array<Object>} { uri, label, names }
+   */
+  getNamedEntities() {
+    if (!this.loaded) return [];
+
+    const entities = new Map();
+    this.store
+      .statementsMatching(null, this.rdf("type"), null)
+      .forEach(({ subject }) => {
+        if (
+          subject.termType !== "NamedNode" ||
+          !subject.value.includes("#") ||
+          entities.has(subject.value) ||
+          this.isTechnicalProperty(subject.value)
+        ) {
+          return;
+        }
+
+        const name = this.extractLocalName(subject.value);
+        if (!this.isRelevantConcept(name)) return;
+
+        const names = new Set([this.formatDisplayName(name)]);
+        this.store
+          .each(subject, this.rdfs("label"), null)
+          .forEach((label) => names.add(label.value));
+
+        entities.set(subject.value, {
+          uri: subject.value,
+          label: this.formatDisplayName(this.getLabel(subject)),
+          names: Array.from(names),
+        });
+      });
+
+    return Array.from(entities.values());
+  }
+
+  /**
+   * Enlaces owl:sameAs declarados en los ficheros de la ontología
+   * @returns {Array<Object>} { from, to }
+   */
+  getSameAsLinks() {
+    if (!this.loaded) return [];
+
+    return this.store
+      .statementsMatching(null, this.owl("sameAs"), null)
+      .filter(
+        (st) =>
+          st.subject.termType === "NamedNode" &&
+          st.object.termType === "NamedNode" &&
+          !this.isInferred(st),
+      )
+      .map((st) => ({ from: st.subject.value, to: st.object.value }));
+  }
+
   getClasses() {
     try {
       if (!this.loaded) {
@@ -75,6 +609,186 @@ class OntologyService {
     }
   }
 
+  /**
+   * Árbol de clases según los rdfs:subClassOf declarados (no los
+   * inferidos, que aplanarían el árbol). Una clase con varios padres
+   * aparece bajo cada uno de ellos
+   * @returns {Array<Object>} Nodos raíz con { uri, name, label,
+   *   directInstances, inferredInstances, totalInstances, children }
+   */
+  getClassHierarchy() {
+    if (!this.loaded) {
+      throw new Error("Ontología no cargada");
+    }
+
+    const classes = this.getClasses();
+    const classUris = new Set(classes.map((cls) => cls.uri));
+    const children = new Map(classes.map((cls) => [cls.uri, []]));
+    const hasParent = new Set();
+
+    this.store
+      .statementsMatching(null, this.rdfs("subClassOf"), null)
+      .filter(
+        (st) =>
+          !this.isInferred(st) &&
+          classUris.has(st.subject.value) &&
+          classUris.has(st.object.value) &&
+          st.subject.value !== st.object.value,
+      )
+      .forEach((st) => {
+        children.get(st.object.value).push(st.subject.value);
+        hasParent.add(st.subject.value);
+      });
+
+    const byUri = new Map(classes.map((cls) => [cls.uri, cls]));
+    const instancesOf = (uri, assertedOnly) =>
+      this.store
+        .statementsMatching(null, this.rdf("type"), $rdf.sym(uri))
+        .filter((st) => !assertedOnly || !this.isInferred(st))
+        .map((st) => st.subject.value);
+
+    const buildNode = (uri, path) => {
+      const direct = new Set(instancesOf(uri, true));
+      const total = new Set(instancesOf(uri, false));
+      const childNodes = children
+        .get(uri)
+        .filter((child) => !path.has(child))
+        .map((child) => buildNode(child, new Set([...path, child])))
+        .sort((a, b) => a.label.localeCompare(b.label));
+
+      // Sin razonador las instancias de las subclases no están materializadas
+      childNodes.forEach((child) =>
+        child.instances.forEach((instance) => total.add(instance)),
+      );
+
+      const { name, label } = byUri.get(uri);
+      return {
+        uri,
+        name,
+        label,
+        directInstances: direct.size,
+        inferredInstances: total.size - direct.size,
+        totalInstances: total.size,
+        instances: total,
+        children: childNodes,
+      };
+    };
+
+    // Las instancias solo se usan para sumar los totales
+    const strip = ({ instances, children: nodes, ...node }) => ({
+      ...node,
+      children: nodes.map(strip),
+    });
+
+    return classes
+      .filter((cls) => !hasParent.has(cls.uri))
+      .map((cls) => buildNode(cls.uri, new Set([cls.uri])))
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .map(strip);
+  }
+
+  /**
+   * Vecindario de un recurso a N saltos siguiendo las propiedades que
+   * enlazan individuos (en ambos sentidos). Se ignoran los literales y
+   * el vocabulario RDF/RDFS/OWL
+   * @param {string} uri - URI del recurso central
+   * @param {number} depth - Número de saltos
+   * @param {number} maxNodes - Límite de nodos devueltos
+   * @returns {Object|null} { center, nodes, edges, truncated } o null si
+   *   el recurso no aparece en la ontología
+   */
+  getNeighborhood(uri, depth = 1, maxNodes = 50) {
+    if (!this.loaded) {
+      throw new Error("Ontología no cargada");
+    }
+
+    const center = $rdf.sym(uri);
+    if (
+      !this.store.any(center, null, null) &&
+      !this.store.any(null, null, center)
+    ) {
+      return null;
+    }
+
+    const nodes = new Map([[uri, this.describeNeighbor(center, 0)]]);
+    let frontier = [center];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next = [];
+
+      frontier.forEach((node) => {
+        this.getRelationStatements(node).forEach((st) => {
+          const other = st.subject.equals(node) ? st.object : st.subject;
+          if (nodes.has(other.value)) return;
+          if (nodes.size >= maxNodes) {
+            truncated = true;
+            return;
+          }
+          nodes.set(other.value, this.describeNeighbor(other, level));
+          next.push(other);
+        });
+      });
+
+      frontier = next;
+    }
+
+    const edges = new Map();
+    nodes.forEach((_, nodeUri) => {
+      this.store
+        .statementsMatching($rdf.sym(nodeUri), null, null)
+        .filter((st) => this.isRelationStatement(st))
+        .filter((st) => nodes.has(st.object.value))
+        .forEach((st) => {
+          edges.set(this.tripleKey(st), {
+            source: st.subject.value,
+            target: st.object.value,
+            predicate: st.predicate.value,
+            label: this.extractLocalName(st.predicate.value),
+            inferred: this.isInferred(st),
+          });
+        });
+    });
+
+    return {
+      center: uri,
+      depth,
+      nodes: Array.from(nodes.values()),
+      edges: Array.from(edges.values()),
+      truncated,
+    };
+  }
+
+  getRelationStatements(node) {
+    return [
+      ...this.store.statementsMatching(node, null, null),
+      ...this.store.statementsMatching(null, null, node),
+    ].filter((st) => this.isRelationStatement(st));
+  }
+
+  isRelationStatement(statement) {
+    return (
+      statement.subject.termType === "NamedNode" &&
+      statement.object.termType === "NamedNode" &&
+      !/^http:\/\/www\.w3\.org\/(1999\/02\/22-rdf-syntax-ns|2000\/01\/rdf-schema|2002\/07\/owl)#/.test(
+        statement.predicate.value,
+      )
+    );
+  }
+
+  describeNeighbor(node, depth) {
+    return {
+      id: node.value,
+      resultId: this.generateId(node.value),
+      name: this.extractLocalName(node.value),
+      label: this.formatDisplayName(this.getLabel(node)),
+      types: this.getTypesOfInstance(node.value)
+        .filter((type) => !type.inferred && type.name !== "NamedIndividual")
+        .map((type) => type.name),
+      depth,
+    };
+  }
+
   getInstancesOfClass(className) {
     try {
       if (!this.loaded) {
@@ -87,7 +801,11 @@ class OntologyService {
       return instances.map((instance) => ({
         uri: instance.value,
         name: this.extractLocalName(instance.value),
+        inferred: this.store
+          .statementsMatching(instance, this.rdf("type"), classURI)
+          .every((st) => this.isInferred(st)),
         properties: this.getPropertiesOfInstance(instance),
+        sourceFiles: this.getEntitySources(instance.value),
       }));
     } catch (error) {
       Logger.error("Error al obtener instancias:", error);
@@ -95,107 +813,126 @@ class OntologyService {
     }
   }
 
+  /**
+   * Propiedades de un individuo agrupadas por predicado. Cada predicado
+   * guarda todos sus valores, con el tipo de término, datatype e idioma
+   * @param {Object} instance - Nodo del individuo (o { value: uri })
+   * @returns {Object<string, Array<Object>>} Valores por predicado
+   */
   getPropertiesOfInstance(instance) {
     const properties = {};
-    const statements = this.store.statementsMatching(instance, null, null);
+    const node = instance.termType ? instance : $rdf.sym(instance.value);
+    const statements = this.store.statementsMatching(node, null, null);
 
     statements.forEach((statement) => {
       const predicate = this.extractLocalName(statement.predicate.value);
-      const object = statement.object.value;
 
       if (predicate !== "type") {
-        properties[predicate] = object;
+        if (!properties[predicate]) properties[predicate] = [];
+        properties[predicate].push({
+          ...this.describeTerm(statement.object),
+          inferred: this.isInferred(statement),
+        });
       }
     });
 
     return properties;
   }
 
-  searchByText(searchText) {
-    try {
-      if (!this.loaded) {
-        throw new Error("Ontología no cargada");
-      }
-
-      const nlpResult = nlpService.processQuery(searchText);
-      Logger.info(
-        `NLP procesado - Términos: ${nlpResult.searchTerms.join(", ")}`,
-      );
-      Logger.info(`Intención detectada: ${nlpResult.intent}`);
+  /**
+   * Clases de un individuo (rdf:type), indicando las inferidas
+   * @param {string} uri - URI del individuo
+   * @returns {Array<Object>} { uri, name, inferred }
+   */
+  getTypesOfInstance(uri) {
+    return this.store
+      .statementsMatching($rdf.sym(uri), this.rdf("type"), null)
+      .filter((st) => st.object.termType === "NamedNode")
+      .map((st) => ({
+        uri: st.object.value,
+        name: this.extractLocalName(st.object.value),
+        inferred: this.isInferred(st),
+      }));
+  }
 
-      const allStatements = this.store.statements;
-      const results = new Map();
+  describeTerm(term) {
+    const isLiteral = term.termType === "Literal";
 
-      const searchTerms = nlpResult.searchTerms.map((term) =>
-        term.toLowerCase(),
-      );
+    if (isLiteral) {
+      const datatype = term.datatype ? term.datatype.value : null;
+      return {
+        value: XsdLiteral.toNative(term.value, datatype),
+        lexical: term.value,
+        termType: term.termType,
+        isLiteral,
+        datatype,
+        language: term.language || null,
+      };
+    }
 
-      Logger.info(
-        `Buscando con ${searchTerms.length} términos en ${allStatements.length} statements`,
-      );
+    return {
+      value: term.value,
+      termType: term.termType,
+      isLiteral,
+      datatype: null,
+      language: null,
+      name: this.extractLocalName(term.value),
+      label: this.getLabel(term),
+    };
+  }
 
-      allStatements.forEach((statement) => {
-        const subject = statement.subject;
-        const predicate = statement.predicate.value;
-        const object = statement.object;
+  /**
+   * Reduce las propiedades tipadas a un texto por predicado para las
+   * heurísticas de descripción. Los valores múltiples se unen con comas
+   * @param {Object<string, Array<Object>>} properties
+   * @returns {Object<string, string>}
+   */
+  summarizeProperties(properties) {
+    const summary = {};
+
+    Object.entries(properties).forEach(([predicate, values]) => {
+      summary[predicate] = values
+        .map((value) =>
+          value.isLiteral ? value.lexical : this.formatDisplayName(value.label),
+        )
+        .join(", ");
+    });
 
-        if (
-          statement.predicate.value.includes("type") &&
-          statement.subject.value.includes("#") &&
-          !this.isTechnicalProperty(statement.subject.value)
-        ) {
-          const uri = statement.subject.value;
-          const name = this.extractLocalName(uri);
-          const nameLower = name.toLowerCase();
-
-          const hasMatch = searchTerms.some((term) => nameLower.includes(term));
-
-          if (hasMatch && this.isRelevantConcept(name)) {
-            if (!results.has(uri)) {
-              results.set(uri, {
-                uri,
-                name,
-                properties: {},
-                relevance: this.calculateConceptRelevance(name, searchTerms),
-              });
-            }
-          }
-        }
+    return summary;
+  }
 
-        if (
-          subject.value.includes("#") &&
-          this.isDescriptiveProperty(predicate) &&
-          object.value &&
-          typeof object.value === "string"
-        ) {
-          const objectLower = object.value.toLowerCase();
-          const hasMatch = searchTerms.some((term) =>
-            objectLower.includes(term),
-          );
+  /**
+   * Búsqueda de texto sobre el índice invertido, ordenada por BM25F.
+   * Devuelve todos los resultados; la paginación la hace quien llama
+   * @param {string} searchText - Texto de la consulta
+   * @param {Array<Object>} filters - Filtros de propertyFilterService; solo
+   *   quedan los individuos que los cumplen
+   * @returns {Array<Object>} Resultados con formato Google
+   */
+  searchByText(searchText, filters = []) {
+    try {
+      if (!this.loaded) {
+        throw new Error("Ontología no cargada");
+      }
 
-          if (hasMatch) {
-            const uri = subject.value;
-            if (
-              !results.has(uri) &&
-              this.isRelevantConcept(this.extractLocalName(uri))
-            ) {
-              results.set(uri, {
-                uri,
-                name: this.extractLocalName(uri),
-                properties: {},
-                relevance: 1,
-              });
-            } else if (results.has(uri)) {
-              results.get(uri).relevance += 1;
-            }
-          }
-        }
-      });
+      const nlpResult = nlpService.processQuery(searchText);
+      Logger.info(`Intención detectada: ${nlpResult.intent}`);
 
-      const finalResults = Array.from(results.values())
+      // Los nombres alternativos del juego detectado amplían la consulta
+      const synonyms = nlpResult.game
+        ? nlpService.gameKnowledge[nlpResult.game]?.names || []
+        : [];
+
+      const finalResults = searchIndexService
+        .search(searchText, synonyms, nlpResult.language)
+        .map((hit) => ({
+          uri: hit.id,
+          name: this.extractLocalName(hit.id),
+          relevance: hit.score,
+          matchedTerms: hit.matchedTerms,
+        }))
         .filter((result) => this.isRelevantForDisplay(result))
-        .sort((a, b) => b.relevance - a.relevance)
-        .slice(0, 10) // Limitar a los 10 más relevantes
+        .filter((result) => this.matchesFilters(result.uri, filters))
         .map((result) =>
           this.formatAsGoogleStyle(result, nlpResult, searchText),
         );
@@ -211,6 +948,135 @@ class OntologyService {
     }
   }
 
+  /**
+   * Indexa cada recurso con nombre propio de la ontología. Campos: nombre
+   * local, etiquetas, propiedades descriptivas y resto de literales de texto
+   */
+  buildSearchIndex() {
+    const documents = new Map();
+
+    this.store.statements.forEach(({ subject, predicate, object }) => {
+      if (
+        subject.termType !== "NamedNode" ||
+        !subject.value.includes("#") ||
+        this.isTechnicalProperty(subject.value)
+      ) {
+        return;
+      }
+
+      const name = this.extractLocalName(subject.value);
+      if (!this.isRelevantConcept(name)) return;
+
+      if (!documents.has(subject.value)) {
+        documents.set(subject.value, {
+          id: subject.value,
+          fields: {
+            name: [{ text: name }],
+            label: [],
+            description: [],
+            text: [],
+          },
+        });
+      }
+
+      const field = this.searchFieldOf(predicate, object);
+      if (field) {
+        documents.get(subject.value).fields[field].push({
+          text: object.value,
+          language: object.language || null,
+        });
+      }
+    });
+
+    searchIndexService.build(Array.from(documents.values()));
+  }
+
+  /**
+   * Campo del índice en el que va un literal, o null si no es texto
+   */
+  searchFieldOf(predicate, object) {
+    if (object.termType !== "Literal") return null;
+
+    const datatype = object.datatype ? object.datatype.value : null;
+    if (typeof XsdLiteral.toNative(object.value, datatype) !== "string") {
+      return null;
+    }
+
+    const property = this.extractLocalName(predicate.value).toLowerCase();
+    if (["label", "preflabel", "nombre", "name"].includes(property)) {
+      return "label";
+    }
+    if (property === "comment" || this.isDescriptiveProperty(property)) {
+      return "description";
+    }
+    return "text";
+  }
+
+  /**
+   * Individuos que cumplen los filtros de propiedades, sin texto de
+   * búsqueda (p.ej. solo "RTP>=0.97"). Sin filtros devuelve todos los
+   * individuos, para navegar solo con facetas
+   * @param {Array<Object>} filters - Filtros de propertyFilterService
+   * @returns {Array<Object>} Resultados con el formato de searchByText
+   */
+  searchByFilters(filters) {
+    if (!this.loaded) {
+      throw new Error("Ontología no cargada");
+    }
+
+    const expressions = filters.map((filter) => filter.expression).join(" ");
+    const nlpResult = nlpService.processQuery(expressions);
+    const properties = new Set(
+      filters.map((filter) => filter.property.toLowerCase()),
+    );
+
+    const candidates = new Set();
+    this.store.statements.forEach((statement) => {
+      const predicate = this.extractLocalName(statement.predicate.value);
+      if (
+        filters.length === 0
+          ? this.isIndividualTypeStatement(statement)
+          : properties.has(predicate.toLowerCase())
+      ) {
+        candidates.add(statement.subject.value);
+      }
+    });
+
+    const results = Array.from(candidates)
+      .filter((uri) => this.matchesFilters(uri, filters))
+      .map((uri) =>
+        this.formatAsGoogleStyle(
+          { uri, name: this.extractLocalName(uri), relevance: 1 },
+          nlpResult,
+          expressions,
+        ),
+      );
+
+    Logger.info(
+      `Se encontraron ${results.length} individuos que cumplen: ${expressions}`,
+    );
+
+    return results;
+  }
+
+  isIndividualTypeStatement(statement) {
+    return (
+      statement.predicate.value === this.rdf("type").value &&
+      statement.subject.termType === "NamedNode" &&
+      statement.object.termType === "NamedNode" &&
+      !/^http:\/\/www\.w3\.org\//.test(statement.object.value) &&
+      this.isRelevantConcept(this.extractLocalName(statement.subject.value))
+    );
+  }
+
+  matchesFilters(uri, filters) {
+    if (!filters || filters.length === 0) return true;
+    return propertyFilterService.matches(
+      this.getPropertiesOfInstance($rdf.sym(uri)),
+      filters,
+    );
+  }
+
   isTechnicalProperty(uri) {
     const name = this.extractLocalName(uri).toLowerCase();
     const technicalTerms = [
@@ -258,27 +1124,14 @@ class OntologyService {
     );
   }
 
-  calculateConceptRelevance(name, searchTerms) {
-    let score = 1;
-    const nameLower = name.toLowerCase();
-
-    searchTerms.forEach((term) => {
-      if (nameLower === term)
-        score += 10; // Coincidencia exacta
-      else if (nameLower.includes(term))
-        score += 5; // Coincidencia parcial
-      else if (term.includes(nameLower)) score += 3; // Término incluye el nombre
-    });
-
-    return score;
-  }
-
   isRelevantForDisplay(result) {
-    return result.relevance > 1 && result.name && result.name.length > 2;
+    return result.relevance > 0 && result.name && result.name.length > 2;
   }
 
   formatAsGoogleStyle(result, nlpResult, originalQuery) {
-    const properties = this.getPropertiesOfInstance($rdf.sym(result.uri));
+    const properties = this.summarizeProperties(
+      this.getPropertiesOfInstance($rdf.sym(result.uri)),
+    );
     const smartDescription = this.generateSmartDescription(
       properties,
       result.name,
@@ -302,11 +1155,14 @@ class OntologyService {
       comment: contextualInfo.context,
       thumbnail: properties.imagen || properties.image || "",
       type: this.getDisplayCategory(result.uri, properties),
+      classes: this.getTypesOfInstance(result.uri).map((type) => type.uri),
       category: this.getDisplayCategory(result.uri, properties),
       properties: this.filterRelevantProperties(properties),
       language: "es",
       source: "Base de Conocimiento de Casinos",
+      sourceFiles: this.getEntitySources(result.uri),
       relevance: result.relevance,
+      matchedTerms: result.matchedTerms || [],
       preview: smartDescription.preview,
       slug: this.generateSlug(result.name),
       displaySource: "Ontología Local",
@@ -316,6 +1172,7 @@ class OntologyService {
         originalQuery: nlpResult.original,
         detectedLanguage: nlpResult.language,
         intent: nlpResult.intent,
+        intentConfidence: nlpResult.intentConfidence,
         keywords: nlpResult.keywords,
         relevanceScore: result.relevance,
         hasNLPAnswer: !!nlpResult.contextualAnswer,
@@ -657,11 +1514,12 @@ class OntologyService {
     }
   }
 
+  /**
+   * Id estable del recurso: el sha1 de la URI (un prefijo de su base64
+   * sería igual para todas las URIs del mismo dominio)
+   */
   generateId(uri) {
-    return Buffer.from(uri)
-      .toString("base64")
-      .replace(/[^a-zA-Z0-9]/g, "")
-      .substring(0, 12);
+    return crypto.createHash("sha1").update(uri).digest("hex");
   }
 
   generateSlug(label) {
@@ -757,8 +1615,19 @@ class OntologyService {
         totalClasses: classes.length,
         totalProperties: properties.length,
         totalStatements,
+        inferredStatements: this.inferredTriples.size,
+        searchIndex: searchIndexService.getStats(),
+        reasoner: ENABLE_REASONER,
         classes: classes.map((c) => c.name),
         properties: properties.map((p) => p.name),
+        sources: this.sources.map((source) => ({
+          name: source.name,
+          statements: source.statements,
+          added: source.added,
+          importedBy: source.importedBy,
+          imports: source.imports,
+        })),
+        unresolvedImports: this.unresolvedImports,
       };
     } catch (error) {
       Logger.error("Error al obtener estadísticas:", error);
@@ -770,3 +1639,4 @@ class OntologyService {
 const ontologyService = new OntologyService();
 
 module.exports = ontologyService;
+module.exports.OntologyParseError = OntologyParseError;
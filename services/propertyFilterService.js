@@ -0,0 +1,198 @@
+const XsdLiteral = require("../utils/xsdLiteral");
+
+// propiedad, operador y valor: "RTP>=0.97", "Probabilidad:0.4..0.5", "Tipo=VIP"
+const FILTER_PATTERN =
+  /^([\p{L}_][\p{L}\p{N}_-]*)\s*(>=|<=|!=|>|<|=|:)\s*(.+)$/u;
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+class PropertyFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PropertyFilterError";
+    this.statusCode = 400;
+  }
+}
+
+class PropertyFilterService {
+  /**
+   * Separa los filtros de propiedades del texto de búsqueda. Los filtros
+   * llegan en el parámetro `filters` (separados por comas) o escritos en
+   * la propia consulta, p.ej. "ruleta RTP>=0.97"
+   * @param {string} query - Texto de la consulta
+   * @param {string|Array<string>} filtersParam - Parámetro `filters`
+   * @returns {{ text: string, filters: Array<Object> }}
+   */
+  extract(query = "", filtersParam = "") {
+    const params = Array.isArray(filtersParam) ? filtersParam : [filtersParam];
+    const filters = params
+      .flatMap((param) => String(param || "").split(/[,;]/))
+      .map((expression) => expression.trim())
+      .filter(Boolean)
+      .map((expression) => this.parse(expression));
+
+    const words = [];
+    String(query)
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((token) => {
+        if (this.isInlineFilter(token)) {
+          filters.push(this.parse(token));
+        } else {
+          words.push(token);
+        }
+      });
+
+    return { text: words.join(" "), filters };
+  }
+
+  /**
+   * En el texto libre solo se consideran filtros las comparaciones, los
+   * rangos y "propiedad:valor" con valor numérico o booleano, para no
+   * confundir palabras con dos puntos (p.ej. URLs)
+   */
+  isInlineFilter(token) {
+    const match = token.match(FILTER_PATTERN);
+    if (!match) return false;
+
+    const [, , operator, value] = match;
+    if (operator !== ":") return true;
+    return (
+      value.includes("..") ||
+      NUMBER_PATTERN.test(value) ||
+      value === "true" ||
+      value === "false"
+    );
+  }
+
+  /**
+   * @param {string} expression - Filtro en texto
+   * @returns {Object} { property, operator, value | min/max, expression }
+   */
+  parse(expression) {
+    const match = expression.trim().match(FILTER_PATTERN);
+    if (!match) {
+      throw new PropertyFilterError(`Filtro no válido: "${expression}"`);
+    }
+
+    const [, property, operator, rawValue] = match;
+
+    if (operator === ":" && rawValue.includes("..")) {
+      const [rawMin, rawMax, ...rest] = rawValue.split("..");
+      const min = rawMin.trim() ? this.parseValue(rawMin) : null;
+      const max = rawMax.trim() ? this.parseValue(rawMax) : null;
+
+      if (
+        rest.length > 0 ||
+        (min === null && max === null) ||
+        [min, max].some((bound) => bound !== null && !this.isOrdered(bound))
+      ) {
+        throw new PropertyFilterError(
+          `Rango no válido en "${expression}": se esperan números o fechas (min..max)`,
+        );
+      }
+
+      return { property, operator: "range", min, max, expression };
+    }
+
+    const value = this.parseValue(rawValue);
+    const normalizedOperator = operator === ":" ? "=" : operator;
+
+    if (!["=", "!="].includes(normalizedOperator) && !this.isOrdered(value)) {
+      throw new PropertyFilterError(
+        `El operador ${operator} de "${expression}" requiere un número o una fecha`,
+      );
+    }
+
+    return { property, operator: normalizedOperator, value, expression };
+  }
+
+  parseValue(raw) {
+    const text = raw.trim().replace(/^["']|["']$/g, "");
+
+    if (text === "true") return true;
+    if (text === "false") return false;
+    if (NUMBER_PATTERN.test(text)) return Number(text);
+
+    return XsdLiteral.parseDate(text) || text;
+  }
+
+  isOrdered(value) {
+    return typeof value === "number" || value instanceof Date;
+  }
+
+  /**
+   * Comprueba si un individuo cumple todos los filtros. Con propiedades
+   * multivaluadas basta con que uno de los valores cumpla la condición
+   * @param {Object<string, Array<Object>>} properties - Propiedades tipadas
+   * @param {Array<Object>} filters - Filtros ya parseados
+   * @returns {boolean}
+   */
+  matches(properties, filters) {
+    return filters.every((filter) => {
+      const property = filter.property.toLowerCase();
+      return Object.entries(properties)
+        .filter(([predicate]) => predicate.toLowerCase() === property)
+        .some(([, values]) => values.some((value) => this.test(value, filter)));
+    });
+  }
+
+  test(term, filter) {
+    const actual = term.isLiteral ? term.value : term.label || term.name;
+
+    if (filter.operator === "range") {
+      return (
+        (filter.min === null || this.compare(actual, filter.min) >= 0) &&
+        (filter.max === null || this.compare(actual, filter.max) <= 0)
+      );
+    }
+
+    if (typeof filter.value === "string") {
+      const equal =
+        String(term.lexical ?? actual).toLowerCase() ===
+        filter.value.toLowerCase();
+      return filter.operator === "!=" ? !equal : equal;
+    }
+
+    const comparison = this.compare(actual, filter.value);
+    if (Number.isNaN(comparison)) return false;
+
+    switch (filter.operator) {
+      case "=":
+        return comparison === 0;
+      case "!=":
+        return comparison !== 0;
+      case ">":
+        return comparison > 0;
+      case ">=":
+        return comparison >= 0;
+      case "<":
+        return comparison < 0;
+      case "<=":
+        return comparison <= 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compara dos valores del mismo tipo (número, fecha o booleano).
+   * Devuelve NaN si no son comparables
+   */
+  compare(actual, expected) {
+    if (actual instanceof Date && expected instanceof Date) {
+      return actual.getTime() - expected.getTime();
+    }
+    if (typeof actual === "number" && typeof expected === "number") {
+      return actual - expected;
+    }
+    if (typeof actual === "boolean" && typeof expected === "boolean") {
+      return actual === expected ? 0 : 1;
+    }
+    return NaN;
+  }
+}
+
+const propertyFilterService = new PropertyFilterService();
+
+module.exports = propertyFilterService;
+module.exports.PropertyFilterError = PropertyFilterError;
@@ -0,0 +1,433 @@
+const Logger = require("../utils/logger");
+const SparqlQueryBuilder = require("../utils/sparqlQueryBuilder");
+const nlpService = require("./nlpService");
+const ontologyService = require("./ontologyService");
+const sparqlService = require("./sparqlService");
+const betCalculatorService = require("./betCalculatorService");
+const entityLinkService = require("./entityLinkService");
+
+// Propiedades (ontología y dataset local) que responden a cada intención
+const QUERY_TEMPLATES = {
+  probability: {
+    ontology: [
+      "probabilidad",
+      "probabilidadAsociada",
+      "pagaMultiplicador",
+      "ventajaCasa",
+      "HouseEdge",
+    ],
+    dataset: ["house_edge"],
+  },
+  payout: {
+    ontology: ["RTP", "pagaMultiplicador", "ventajaCasa", "HouseEdge"],
+    dataset: ["house_edge"],
+  },
+  houseEdge: {
+    ontology: ["ventajaCasa", "HouseEdge", "RTP"],
+    dataset: ["house_edge"],
+  },
+  rules: {
+    ontology: [
+      "ReglasBasicas",
+      "reglas",
+      "condicionInicio",
+      "condicionDesarrollo",
+      "condicionFin",
+      "apuestaMin",
+      "apuestaMax",
+    ],
+    dataset: ["players", "equipment"],
+  },
+  strategy: { ontology: ["estrategia"], dataset: [] },
+  comparison: { ontology: ["ventajaCasa", "HouseEdge", "RTP"], dataset: [] },
+  general: {
+    ontology: ["descripcion", "Categoria", "RTP", "ventajaCasa"],
+    dataset: ["house_edge"],
+  },
+};
+
+// Intenciones de nlpService que comparten plantilla
+const INTENT_TEMPLATES = {
+  redBlackRoulette: "probability",
+  numberRoulette: "probability",
+  evenOdd: "probability",
+  blackjackNatural: "probability",
+  pokerHands: "probability",
+  insurance: "houseEdge",
+  expectedValue: "houseEdge",
+};
+
+// Palabras que debe contener el sujeto en las preguntas sobre una apuesta
+const SPECIFIC_FOCUS = {
+  redRoulette: ["rojo", "red"],
+  blackRoulette: ["negro", "black"],
+  evenRoulette: ["par", "even"],
+  oddRoulette: ["impar", "odd"],
+  numberRoulette: ["numero", "number"],
+  insuranceBlackjack: ["seguro", "insurance"],
+  naturalBlackjack: ["natural"],
+  bankerBaccarat: ["banca", "banker"],
+  tieBaccarat: ["empate", "tie"],
+};
+
+// Valores entre 0 y 1 que se muestran como porcentaje
+const RATIO_PROPERTIES = new Set([
+  "probabilidad",
+  "probabilidadasociada",
+  "rtp",
+  "ventajacasa",
+  "houseedge",
+]);
+
+const PROPERTY_LABELS = {
+  probabilidad: { es: "Probabilidad", en: "Probability" },
+  probabilidadasociada: { es: "Probabilidad", en: "Probability" },
+  pagamultiplicador: { es: "Paga", en: "Pays" },
+  ventajacasa: { es: "Ventaja de la casa", en: "House edge" },
+  houseedge: { es: "Ventaja de la casa", en: "House edge" },
+  house_edge: { es: "Ventaja de la casa", en: "House edge" },
+  rtp: { es: "RTP", en: "RTP" },
+  categoria: { es: "Categoría", en: "Category" },
+  descripcion: { es: "Descripción", en: "Description" },
+  reglasbasicas: { es: "Reglas", en: "Rules" },
+  apuestamin: { es: "Apuesta mínima", en: "Minimum bet" },
+  apuestamax: { es: "Apuesta máxima", en: "Maximum bet" },
+  condicioninicio: { es: "Inicio", en: "Start" },
+  condiciondesarrollo: { es: "Desarrollo", en: "Play" },
+  condicionfin: { es: "Final", en: "End" },
+  players: { es: "Jugadores", en: "Players" },
+  equipment: { es: "Material", en: "Equipment" },
+};
+
+const SOURCE_LABELS = {
+  ontology: { es: "ontología", en: "ontology" },
+  "local-dataset": { es: "dataset local", en: "local dataset" },
+};
+
+// Resultados del calculador de apuestas que se citan en su respuesta
+const CALCULATION_FACTS = [
+  "probability",
+  "payout",
+  "expectedValue",
+  "houseEdge",
+];
+
+// Máximo de hechos citados en una respuesta
+const MAX_FACTS = 12;
+
+/**
+ * Respuestas a preguntas en lenguaje natural a partir de los hechos de la
+ * ontología cargada y del dataset local. La intención y el juego que
+ * detecta nlpService eligen una consulta SPARQL de plantilla; los triples
+ * que devuelve forman la respuesta y se citan. Si la pregunta nombra una
+ * apuesta calculable manda el cálculo de nlpService, que se cita en lugar
+ * de los hechos; el conocimiento fijo de nlpService solo se usa si no se
+ * encuentra ningún hecho
+ */
+class QAService {
+  /**
+   * @param {string} question - Pregunta del usuario
+   * @param {Object} options - { entries: entradas del dataset local }
+   * @returns {Object} { question, language, intent, game, grounded, answer,
+   *   citations, sources, query }
+   */
+  answer(question, { entries = [] } = {}) {
+    const nlp = nlpService.processQuery(question);
+    const intent = nlp.intent || "search";
+    const template = this.getTemplate(intent);
+    const names = this.getGameNames(nlp.game, intent);
+
+    const calculation = nlp.betCalculation || null;
+    let query = null;
+    let facts = [];
+
+    if (calculation) {
+      facts = this.calculationFacts(calculation, nlp.language);
+    } else if (names.length > 0) {
+      query = this.buildQuery(template.ontology, names);
+      facts = [
+        ...this.queryOntology(query),
+        ...this.queryDataset(entries, template.dataset, nlp.game),
+      ];
+      facts = this.focus(facts, nlp.specificQuery).slice(0, MAX_FACTS);
+    }
+
+    const grounded = facts.length > 0;
+    const answer =
+      grounded && !calculation
+        ? this.composeAnswer(facts, nlp)
+        : nlp.contextualAnswer || null;
+
+    Logger.info(
+      `[QA] ${intent}/${nlp.game || "-"}: ${
+        calculation
+          ? `calculadora de apuestas (${calculation.bet})`
+          : grounded
+            ? `${facts.length} hechos`
+            : answer
+              ? "sin hechos, conocimiento integrado"
+              : "sin hechos ni respuesta"
+      }`,
+    );
+
+    return {
+      question,
+      language: nlp.language,
+      intent,
+      game: nlp.game || null,
+      specificQuery: nlp.specificQuery || null,
+      grounded,
+      answer,
+      citations: facts,
+      sources: grounded
+        ? Array.from(new Set(facts.map((fact) => fact.source)))
+        : answer
+          ? ["built-in"]
+          : [],
+      query,
+    };
+  }
+
+  getTemplate(intent) {
+    return (
+      QUERY_TEMPLATES[intent] ||
+      QUERY_TEMPLATES[INTENT_TEMPLATES[intent]] ||
+      QUERY_TEMPLATES.general
+    );
+  }
+
+  /**
+   * Nombres con los que se busca el juego en las URIs y etiquetas. Las
+   * comparaciones abarcan todos los juegos; sin juego no hay consulta
+   */
+  getGameNames(game, intent) {
+    const games =
+      intent === "comparison"
+        ? Object.keys(nlpService.gameKnowledge)
+        : game
+          ? [game]
+          : [];
+
+    return games
+      .flatMap((key) => nlpService.gameKnowledge[key]?.names || [])
+      .map((name) => entityLinkService.normalize(name))
+      .filter((name) => /[a-z]{4,}/.test(name));
+  }
+
+  /**
+   * Consulta de plantilla: literales de las propiedades pedidas cuyo sujeto
+   * menciona el juego en su URI o en su etiqueta
+   */
+  buildQuery(properties, names) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const propertyPattern = `#(${properties.map(escape).join("|")})$`;
+    const gamePattern = names.map(escape).join("|");
+
+    return `
+      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+      SELECT ?subject ?property ?value ?label
+      WHERE {
+        ${SparqlQueryBuilder.values({
+          properties: SparqlQueryBuilder.literal(propertyPattern),
+          game: SparqlQueryBuilder.literal(gamePattern),
+        })}
+
+        ?subject ?property ?value .
+        FILTER (isLiteral(?value) && REGEX(STR(?property), ?properties, "i"))
+        OPTIONAL { ?subject rdfs:label ?label . }
+        FILTER (
+          REGEX(STR(?subject), ?game, "i") ||
+          REGEX(COALESCE(STR(?label), ""), ?game, "i")
+        )
+      }
+    `.trim();
+  }
+
+  /**
+   * @returns {Array<Object>} Hechos { subject, subjectLabel, predicate,
+   *   property, object, datatype, source, sourceFiles, inferred }
+   */
+  queryOntology(query) {
+    if (!ontologyService.loaded) return [];
+
+    try {
+      const { bindings } = sparqlService.execute(query, ontologyService.store);
+      const facts = new Map();
+
+      bindings.forEach(({ subject, property, value, label }) => {
+        const statement = { subject, predicate: property, object: value };
+        const key = ontologyService.tripleKey(statement);
+        if (facts.has(key)) return;
+
+        facts.set(key, {
+          subject: subject.value,
+          subjectLabel: label
+            ? label.value
+            : ontologyService.formatDisplayName(
+                ontologyService.extractLocalName(subject.value),
+              ),
+          predicate: property.value,
+          property: ontologyService.extractLocalName(property.value),
+          object: value.value,
+          datatype: value.datatype ? value.datatype.value : null,
+          source: "ontology",
+          sourceFiles: ontologyService.getTripleSources(statement),
+          inferred: ontologyService.isInferred(statement),
+        });
+      });
+
+      return Array.from(facts.values());
+    } catch (error) {
+      Logger.warn("[QA] Template query failed:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Propiedades de las entradas del dataset que son el mismo juego (por
+   * nombre o alias, o enlazadas con owl:sameAs a una entidad del juego)
+   */
+  queryDataset(entries, keys, game) {
+    if (!game || keys.length === 0) return [];
+
+    const names = new Set(
+      nlpService.gameKnowledge[game].names.map((name) =>
+        entityLinkService.normalize(name),
+      ),
+    );
+    const linked = new Set(
+      ontologyService
+        .getNamedEntities()
+        .filter((entity) =>
+          entity.names.some((name) =>
+            names.has(entityLinkService.normalize(name)),
+          ),
+        )
+        .flatMap((entity) => entityLinkService.getLinkedUris(entity.uri)),
+    );
+
+    return entries
+      .filter(
+        (entry) =>
+          linked.has(entry.uri) ||
+          entityLinkService
+            .externalNames(entry)
+            .some(({ name }) => names.has(name)),
+      )
+      .flatMap((entry) =>
+        keys
+          .filter((key) => entry.properties?.[key])
+          .map((key) => ({
+            subject: entry.uri,
+            subjectLabel: entry.label,
+            predicate: key,
+            property: key,
+            object: String(entry.properties[key]),
+            datatype: null,
+            source: "local-dataset",
+            sourceFiles: [],
+            inferred: false,
+          })),
+      );
+  }
+
+  /**
+   * Citas de un cálculo de betCalculatorService; el sujeto es la URL de la
+   * API que lo reproduce
+   */
+  calculationFacts(calculation, language) {
+    const { game, bet, variant, stake } = calculation;
+    const params = new URLSearchParams({ stake });
+    if (variant) params.set("variant", variant);
+
+    const isSpanish = language !== "en";
+    const subject = `/api/games/${game}/bets/${bet}/ev?${params}`;
+    const subjectLabel = `${nlpService.formatGameName(game, isSpanish)} - ${betCalculatorService.getBetName(game, bet, isSpanish ? "es" : "en")}`;
+
+    return CALCULATION_FACTS.map((key) => ({
+      subject,
+      subjectLabel,
+      predicate: key,
+      property: key,
+      object: String(calculation[key]),
+      datatype: null,
+      source: "bet-calculator",
+      sourceFiles: [],
+      inferred: false,
+    }));
+  }
+
+  /**
+   * En las preguntas sobre una apuesta concreta (p.ej. rojo en ruleta) solo
+   * se conservan los sujetos que la nombran
+   */
+  focus(facts, specificQuery) {
+    const words = SPECIFIC_FOCUS[specificQuery];
+    if (!words) return facts;
+
+    return facts.filter((fact) => {
+      const text = entityLinkService
+        .normalize(
+          `${ontologyService.formatDisplayName(ontologyService.extractLocalName(fact.subject))} ${fact.subjectLabel}`,
+        )
+        .split(" ");
+      return words.some((word) => text.includes(word));
+    });
+  }
+
+  composeAnswer(facts, nlp) {
+    const language = nlp.language === "en" ? "en" : "es";
+    const title = nlp.game
+      ? nlpService.formatGameName(nlp.game, language === "es")
+      : language === "es"
+        ? "Comparativa"
+        : "Comparison";
+
+    const subjects = new Map();
+    facts.forEach((fact) => {
+      if (!subjects.has(fact.subject)) {
+        subjects.set(fact.subject, { label: fact.subjectLabel, values: [] });
+      }
+      subjects
+        .get(fact.subject)
+        .values.push(
+          `${this.propertyLabel(fact.property, language)}: ${this.formatValue(fact.property, fact.object)}`,
+        );
+    });
+
+    const body = Array.from(subjects.values())
+      .map(({ label, values }) => `**${label}**: ${values.join("; ")}`)
+      .join(". ");
+    const sources = Array.from(new Set(facts.map((fact) => fact.source)))
+      .map((source) => SOURCE_LABELS[source]?.[language] || source)
+      .join(", ");
+
+    return language === "es"
+      ? `📚 **${title}** — ${body}. (Fuente: ${sources})`
+      : `📚 **${title}** — ${body}. (Source: ${sources})`;
+  }
+
+  propertyLabel(property, language) {
+    const labels = PROPERTY_LABELS[property.toLowerCase()];
+    return labels
+      ? labels[language]
+      : ontologyService.formatDisplayName(property);
+  }
+
+  formatValue(property, value) {
+    const key = property.toLowerCase();
+    const number = Number(value);
+    if (value === "" || !Number.isFinite(number)) {
+      return value.replace(/\.+$/, "");
+    }
+
+    if (RATIO_PROPERTIES.has(key) && number <= 1) {
+      return `${Number((number * 100).toFixed(2))}%`;
+    }
+    if (key === "pagamultiplicador") return `${number}:1`;
+    return value;
+  }
+}
+
+module.exports = new QAService();
@@ -0,0 +1,202 @@
+const $rdf = require("rdflib");
+const Logger = require("../utils/logger");
+
+const RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+const RDFS = "http://www.w3.org/2000/01/rdf-schema#";
+const OWL = "http://www.w3.org/2002/07/owl#";
+
+/**
+ * Razonador por materialización: aplica las reglas de RDFS y un
+ * subconjunto de OWL RL sobre el store y añade los triples inferidos.
+ *
+ * Reglas: subClassOf/equivalentClass (cax-sco, cax-eqc, scm-sco),
+ * subPropertyOf/equivalentProperty (prp-spo1, prp-eqp, scm-spo),
+ * inverseOf (prp-inv), SymmetricProperty, TransitiveProperty y
+ * tipado por domain/range (prp-dom, prp-rng)
+ */
+class ReasonerService {
+  constructor() {
+    // Grafo con el que se marcan los triples inferidos en el store
+    this.inferredGraph = $rdf.sym("urn:x-casino-ontology:inferred");
+    this.type = $rdf.sym(`${RDF}type`);
+    this.subClassOf = $rdf.sym(`${RDFS}subClassOf`);
+    this.subPropertyOf = $rdf.sym(`${RDFS}subPropertyOf`);
+  }
+
+  /**
+   * Materializa las inferencias en el store
+   * @param {Object} store - Store de rdflib
+   * @returns {Array<Object>} Statements inferidos añadidos al store
+   */
+  materialize(store) {
+    const start = Date.now();
+    const schema = this.readSchema(store);
+    const inferred = [];
+    const queue = [];
+
+    const add = (subject, predicate, object) => {
+      if (subject.termType === "Literal") return;
+      if (store.anyStatementMatching(subject, predicate, object)) return;
+      const statement = store.add(
+        subject,
+        predicate,
+        object,
+        this.inferredGraph,
+      );
+      inferred.push(statement);
+      queue.push(statement);
+    };
+
+    // Cierre transitivo del esquema (scm-sco, scm-spo)
+    schema.superClasses.forEach((supers, cls) => {
+      supers.forEach((superClass) =>
+        add($rdf.sym(cls), this.subClassOf, $rdf.sym(superClass)),
+      );
+    });
+    schema.superProperties.forEach((supers, property) => {
+      supers.forEach((superProperty) =>
+        add($rdf.sym(property), this.subPropertyOf, $rdf.sym(superProperty)),
+      );
+    });
+
+    queue.push(...store.statements);
+
+    while (queue.length > 0) {
+      const { subject, predicate, object } = queue.shift();
+      const property = predicate.value;
+
+      if (property === this.type.value) {
+        (schema.superClasses.get(object.value) || []).forEach((superClass) =>
+          add(subject, this.type, $rdf.sym(superClass)),
+        );
+        continue;
+      }
+
+      (schema.superProperties.get(property) || []).forEach((superProperty) =>
+        add(subject, $rdf.sym(superProperty), object),
+      );
+
+      (schema.domains.get(property) || []).forEach((cls) =>
+        add(subject, this.type, $rdf.sym(cls)),
+      );
+
+      if (object.termType === "Literal") continue;
+
+      (schema.ranges.get(property) || []).forEach((cls) =>
+        add(object, this.type, $rdf.sym(cls)),
+      );
+
+      (schema.inverses.get(property) || []).forEach((inverse) =>
+        add(object, $rdf.sym(inverse), subject),
+      );
+
+      if (schema.symmetric.has(property)) {
+        add(object, predicate, subject);
+      }
+
+      if (schema.transitive.has(property)) {
+        store
+          .statementsMatching(object, predicate, null)
+          .forEach((next) => add(subject, predicate, next.object));
+        store
+          .statementsMatching(null, predicate, subject)
+          .forEach((previous) => add(previous.subject, predicate, object));
+      }
+    }
+
+    Logger.info(
+      `Razonador: ${inferred.length} triples inferidos en ${Date.now() - start} ms`,
+    );
+
+    return inferred;
+  }
+
+  /**
+   * Lee los axiomas del esquema y precalcula los cierres transitivos de
+   * clases y propiedades (las equivalencias cuentan en ambos sentidos)
+   */
+  readSchema(store) {
+    const namedPairs = (predicate) =>
+      store
+        .statementsMatching(null, $rdf.sym(predicate), null)
+        .filter(
+          (st) =>
+            st.subject.termType === "NamedNode" &&
+            st.object.termType === "NamedNode",
+        )
+        .map((st) => [st.subject.value, st.object.value]);
+
+    const classEdges = [
+      ...namedPairs(`${RDFS}subClassOf`),
+      ...namedPairs(`${OWL}equivalentClass`).flatMap(([a, b]) => [
+        [a, b],
+        [b, a],
+      ]),
+    ];
+    const propertyEdges = [
+      ...namedPairs(`${RDFS}subPropertyOf`),
+      ...namedPairs(`${OWL}equivalentProperty`).flatMap(([a, b]) => [
+        [a, b],
+        [b, a],
+      ]),
+    ];
+
+    const inverses = this.groupPairs([
+      ...namedPairs(`${OWL}inverseOf`),
+      ...namedPairs(`${OWL}inverseOf`).map(([a, b]) => [b, a]),
+    ]);
+
+    const typedAs = (cls) =>
+      new Set(
+        store
+          .statementsMatching(null, this.type, $rdf.sym(`${OWL}${cls}`))
+          .map((st) => st.subject.value),
+      );
+
+    return {
+      superClasses: this.transitiveClosure(classEdges),
+      superProperties: this.transitiveClosure(propertyEdges),
+      domains: this.groupPairs(namedPairs(`${RDFS}domain`)),
+      ranges: this.groupPairs(namedPairs(`${RDFS}range`)),
+      inverses,
+      symmetric: typedAs("SymmetricProperty"),
+      transitive: typedAs("TransitiveProperty"),
+    };
+  }
+
+  groupPairs(pairs) {
+    const groups = new Map();
+    pairs.forEach(([from, to]) => {
+      if (!groups.has(from)) groups.set(from, []);
+      if (!groups.get(from).includes(to)) groups.get(from).push(to);
+    });
+    return groups;
+  }
+
+  /**
+   * @param {Array<Array<string>>} edges - Pares [hijo, padre]
+   * @returns {Map<string, Array<string>>} Todos los ancestros de cada nodo
+   */
+  transitiveClosure(edges) {
+    const parents = this.groupPairs(edges);
+    const closure = new Map();
+
+    parents.forEach((_, node) => {
+      const ancestors = new Set();
+      const pending = [...parents.get(node)];
+      while (pending.length > 0) {
+        const next = pending.pop();
+        if (next === node || ancestors.has(next)) continue;
+        ancestors.add(next);
+        pending.push(...(parents.get(next) || []));
+      }
+      closure.set(node, Array.from(ancestors));
+    });
+
+    return closure;
+  }
+}
+
+const reasonerService = new ReasonerService();
+
+module.exports = reasonerService;
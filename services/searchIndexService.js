@@ -0,0 +1,197 @@
+const nlpService = require("./nlpService");
+const Logger = require("../utils/logger");
+
+// Parámetros de BM25F
+const K1 = 1.2;
+const B = 0.75;
+
+// Peso de cada campo de los documentos
+const FIELD_WEIGHTS = {
+  name: 3,
+  label: 3,
+  description: 1.5,
+  text: 1,
+};
+
+/**
+ * Índice invertido en memoria con ranking BM25F. Cada documento tiene
+ * varios campos (nombre, etiquetas, descripciones, resto de literales)
+ * con su propio peso. Los términos se normalizan sin tildes y con la
+ * raíz de nlpService en español y/o inglés según el idioma del texto; el
+ * peso de cada raíz es su IDF en el corpus TF-IDF de nlpService
+ */
+class SearchIndexService {
+  constructor() {
+    this.stopWords = new Set(
+      [...nlpService.stopWordsES, ...nlpService.stopWordsEN].map((word) =>
+        this.fold(word),
+      ),
+    );
+    this.clear();
+  }
+
+  clear() {
+    this.postings = new Map(); // término -> Map(docId -> { campo: tf })
+    this.documents = new Map(); // docId -> { lengths: { campo: n } }
+    this.averageLengths = {};
+  }
+
+  /**
+   * Construye el índice desde cero
+   * @param {Array<Object>} documents - { id, fields: { campo: [{ text, language }] } }
+   */
+  build(documents) {
+    const start = Date.now();
+    this.clear();
+    nlpService.resetTermWeights();
+
+    documents.forEach((document) => this.addDocument(document));
+
+    const totals = {};
+    this.documents.forEach(({ lengths }) => {
+      Object.entries(lengths).forEach(([field, length]) => {
+        totals[field] = (totals[field] || 0) + length;
+      });
+    });
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      this.averageLengths[field] =
+        this.documents.size > 0
+          ? (totals[field] || 0) / this.documents.size
+          : 0;
+    });
+
+    Logger.info(
+      `Índice de búsqueda: ${this.documents.size} documentos, ${this.postings.size} términos en ${Date.now() - start} ms`,
+    );
+  }
+
+  addDocument({ id, fields }) {
+    const lengths = {};
+    const terms = [];
+
+    Object.entries(fields).forEach(([field, values]) => {
+      if (!FIELD_WEIGHTS[field]) return;
+
+      values.forEach(({ text, language }) => {
+        const tokens = this.tokenize(text);
+        lengths[field] = (lengths[field] || 0) + tokens.length;
+
+        tokens.forEach((token) => {
+          nlpService.stem(token, this.languageOf(language)).forEach((term) => {
+            terms.push(term);
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            const documentPostings = this.postings.get(term);
+            if (!documentPostings.has(id)) documentPostings.set(id, {});
+            const frequencies = documentPostings.get(id);
+            frequencies[field] = (frequencies[field] || 0) + 1;
+          });
+        });
+      });
+    });
+
+    this.documents.set(id, { lengths });
+    nlpService.addTermDocument(terms);
+  }
+
+  /**
+   * Busca los documentos que contienen alguno de los términos de la
+   * consulta. Cada palabra se reduce a su raíz con el stemmer del idioma
+   * detectado; si esa raíz no está en el índice se prueba con el otro
+   * idioma y puntúa la mejor
+   * @param {string} query - Texto de la consulta
+   * @param {Array<string>} extraTerms - Sinónimos que amplían la consulta
+   * @param {string} language - Idioma detectado de la consulta (es/en)
+   * @returns {Array<{ id: string, score: number, matchedTerms: Array<string> }>}
+   *   matchedTerms son las raíces que coinciden con el documento
+   */
+  search(query, extraTerms = [], language = null) {
+    const words = [
+      ...new Set([query, ...extraTerms].flatMap((text) => this.tokenize(text))),
+    ];
+    const scores = new Map();
+
+    words.forEach((word) => {
+      const best = new Map();
+
+      this.queryTerms(word, language).forEach((term) => {
+        const weight = nlpService.termWeight(term);
+        this.postings.get(term).forEach((frequencies, id) => {
+          const score = weight * this.saturate(frequencies, id);
+          if (score > (best.get(id)?.score || 0)) best.set(id, { score, term });
+        });
+      });
+
+      best.forEach(({ score, term }, id) => {
+        if (!scores.has(id)) scores.set(id, { id, score: 0, matchedTerms: [] });
+        const entry = scores.get(id);
+        entry.score += score;
+        if (!entry.matchedTerms.includes(term)) entry.matchedTerms.push(term);
+      });
+    });
+
+    return Array.from(scores.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Raíces indexadas de una palabra de la consulta
+   */
+  queryTerms(word, language) {
+    const indexed = (terms) => terms.filter((term) => this.postings.has(term));
+
+    const primary = this.languageOf(language);
+    const terms = indexed(nlpService.stem(word, primary));
+    return terms.length > 0 || !primary
+      ? terms
+      : indexed(nlpService.stem(word));
+  }
+
+  /**
+   * Frecuencia del término ponderada por campo y normalizada por la
+   * longitud de cada campo (BM25F)
+   */
+  saturate(frequencies, id) {
+    const { lengths } = this.documents.get(id);
+    let weighted = 0;
+
+    Object.entries(frequencies).forEach(([field, frequency]) => {
+      const average = this.averageLengths[field] || 1;
+      const normalization = 1 - B + (B * (lengths[field] || 0)) / average;
+      weighted += (FIELD_WEIGHTS[field] * frequency) / normalization;
+    });
+
+    return weighted / (K1 + weighted);
+  }
+
+  /**
+   * Separa palabras (también en camelCase), quita tildes y descarta
+   * stop words
+   */
+  tokenize(text) {
+    return this.fold(String(text || "").replace(/([a-z\d])([A-Z])/g, "$1 $2"))
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1 && !this.stopWords.has(token));
+  }
+
+  fold(text) {
+    return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+  }
+
+  /**
+   * "es-ES" -> "es"; null si no es un idioma con stemmer
+   */
+  languageOf(language) {
+    const primary = (language || "").split("-")[0].toLowerCase();
+    return ["es", "en"].includes(primary) ? primary : null;
+  }
+
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+    };
+  }
+}
+
+const searchIndexService = new SearchIndexService();
+
+module.exports = searchIndexService;
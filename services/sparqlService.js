@@ -0,0 +1,1421 @@
+const $rdf = require("rdflib");
+const { Parser: SparqlParser } = require("sparqljs");
+const Logger = require("../utils/logger");
+const { ONTOLOGY_NAMESPACE } = require("../config/constants");
+
+const XSD = "http://www.w3.org/2001/XMLSchema#";
+const RDF_LANG_STRING = "http://www.w3.org/1999/02/22-rdf-syntax-ns#langString";
+
+const NUMERIC_TYPES = new Set(
+  [
+    "integer",
+    "decimal",
+    "float",
+    "double",
+    "int",
+    "long",
+    "short",
+    "byte",
+    "nonNegativeInteger",
+    "positiveInteger",
+    "negativeInteger",
+    "nonPositiveInteger",
+    "unsignedInt",
+    "unsignedLong",
+    "unsignedShort",
+    "unsignedByte",
+  ].map((type) => XSD + type),
+);
+
+const DEFAULT_PREFIXES = {
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+  owl: "http://www.w3.org/2002/07/owl#",
+  xsd: XSD,
+  un2: ONTOLOGY_NAMESPACE,
+};
+
+/**
+ * Error de evaluación de expresiones SPARQL (tipo incorrecto, variable
+ * no ligada...). En un FILTER equivale a "false", en un BIND deja la
+ * variable sin ligar.
+ */
+class ExpressionError extends Error {}
+
+/**
+ * Error de la consulta enviada por el cliente (sintaxis o construcción
+ * no soportada). El controlador lo traduce a un 400.
+ */
+class SparqlQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SparqlQueryError";
+    this.statusCode = 400;
+  }
+}
+
+class SparqlService {
+  constructor() {
+    this.maxPathDepth = 50;
+  }
+
+  /**
+   * Ejecuta una consulta SPARQL 1.1 (SELECT, ASK, CONSTRUCT o DESCRIBE)
+   * sobre un store de rdflib
+   * @param {string} queryString - Texto de la consulta
+   * @param {Object} store - IndexedFormula de rdflib
+   * @returns {Object} Resultado con `type` = "bindings" | "boolean" | "graph"
+   */
+  execute(queryString, store) {
+    const query = this.parse(queryString);
+    const started = Date.now();
+
+    let result;
+    switch (query.queryType) {
+      case "SELECT":
+        result = this.executeSelect(query, store);
+        break;
+      case "ASK":
+        result = {
+          type: "boolean",
+          boolean: this.evaluateWhere(query, store).length > 0,
+        };
+        break;
+      case "CONSTRUCT":
+        result = this.executeConstruct(query, store);
+        break;
+      case "DESCRIBE":
+        result = this.executeDescribe(query, store);
+        break;
+      default:
+        throw new SparqlQueryError(
+          `Tipo de consulta no soportado: ${query.queryType}`,
+        );
+    }
+
+    Logger.info(
+      `[SPARQL] ${query.queryType} ejecutada en ${Date.now() - started}ms`,
+    );
+    return result;
+  }
+
+  parse(queryString) {
+    let query;
+    try {
+      const parser = new SparqlParser({
+        prefixes: DEFAULT_PREFIXES,
+        baseIRI: ONTOLOGY_NAMESPACE,
+      });
+      query = parser.parse(queryString);
+    } catch (error) {
+      throw new SparqlQueryError(`Consulta SPARQL inválida: ${error.message}`);
+    }
+
+    if (query.type === "update") {
+      throw new SparqlQueryError(
+        "Las operaciones SPARQL Update no están permitidas",
+      );
+    }
+
+    return query;
+  }
+
+  executeSelect(query, store) {
+    let solutions = this.evaluateWhere(query, store);
+
+    const hasAggregates =
+      (query.group && query.group.length > 0) ||
+      (query.variables || []).some(
+        (v) => v.expression && this.containsAggregate(v.expression),
+      );
+
+    let variables;
+    if (hasAggregates) {
+      ({ solutions, variables } = this.applyGrouping(query, solutions, store));
+    } else {
+      solutions = this.applyProjectionExpressions(query, solutions, store);
+      variables = this.projectedVariables(query, solutions);
+    }
+
+    solutions = this.applyOrder(query, solutions, store);
+
+    solutions = solutions.map((solution) => {
+      const projected = {};
+      variables.forEach((name) => {
+        if (solution[name]) projected[name] = solution[name];
+      });
+      return projected;
+    });
+
+    if (query.distinct || query.reduced) {
+      solutions = this.distinct(solutions);
+    }
+
+    solutions = this.applySlice(query, solutions);
+
+    return { type: "bindings", variables, bindings: solutions };
+  }
+
+  executeConstruct(query, store) {
+    const solutions = this.applySlice(
+      query,
+      this.applyOrder(query, this.evaluateWhere(query, store), store),
+    );
+    const triples = [];
+    const seen = new Set();
+
+    solutions.forEach((solution, index) => {
+      (query.template || []).forEach((pattern) => {
+        const subject = this.instantiate(pattern.subject, solution, index);
+        const predicate = this.instantiate(pattern.predicate, solution, index);
+        const object = this.instantiate(pattern.object, solution, index);
+
+        if (!subject || !predicate || !object) return;
+        if (subject.termType === "Literal") return;
+        if (predicate.termType !== "NamedNode") return;
+
+        const key = [subject, predicate, object]
+          .map((term) => this.termKey(term))
+          .join(" ");
+        if (seen.has(key)) return;
+        seen.add(key);
+        triples.push({ subject, predicate, object });
+      });
+    });
+
+    return { type: "graph", triples };
+  }
+
+  executeDescribe(query, store) {
+    const resources = [];
+    const solutions = query.where ? this.evaluateWhere(query, store) : [{}];
+
+    (query.variables || []).forEach((item) => {
+      if (item.termType === "NamedNode") {
+        resources.push(this.toRdflibTerm(item));
+      } else if (item.termType === "Variable") {
+        solutions.forEach((solution) => {
+          if (solution[item.value]) resources.push(solution[item.value]);
+        });
+      } else if (item.termType === "Wildcard") {
+        solutions.forEach((solution) =>
+          Object.values(solution).forEach((term) => resources.push(term)),
+        );
+      }
+    });
+
+    const triples = [];
+    const seen = new Set();
+    resources.forEach((resource) => {
+      if (resource.termType === "Literal") return;
+      store.statementsMatching(resource, null, null).forEach((st) => {
+        const key = [st.subject, st.predicate, st.object]
+          .map((term) => this.termKey(term))
+          .join(" ");
+        if (seen.has(key)) return;
+        seen.add(key);
+        triples.push({
+          subject: st.subject,
+          predicate: st.predicate,
+          object: st.object,
+        });
+      });
+    });
+
+    return { type: "graph", triples };
+  }
+
+  evaluateWhere(query, store) {
+    return this.evaluateGroup(query.where || [], [{}], store);
+  }
+
+  /**
+   * Evalúa un grupo de patrones: los patrones se unen en orden y los
+   * FILTER del grupo se aplican al final, como indica la especificación
+   */
+  evaluateGroup(patterns, input, store) {
+    let solutions = input;
+    const filters = [];
+
+    for (const pattern of patterns) {
+      if (solutions.length === 0) break;
+
+      switch (pattern.type) {
+        case "bgp":
+          solutions = this.evaluateBgp(pattern.triples, solutions, store);
+          break;
+        case "group":
+          solutions = this.evaluateGroup(pattern.patterns, solutions, store);
+          break;
+        case "optional":
+          solutions = this.evaluateOptional(pattern, solutions, store);
+          break;
+        case "union":
+          solutions = this.evaluateUnion(pattern, solutions, store);
+          break;
+        case "minus":
+          solutions = this.evaluateMinus(pattern, solutions, store);
+          break;
+        case "filter":
+          filters.push(pattern.expression);
+          break;
+        case "bind":
+          solutions = this.evaluateBind(pattern, solutions, store);
+          break;
+        case "values":
+          solutions = this.evaluateValues(pattern, solutions);
+          break;
+        case "query":
+          solutions = this.join(
+            solutions,
+            this.executeSelect(pattern, store).bindings,
+          );
+          break;
+        default:
+          throw new SparqlQueryError(
+            `Patrón SPARQL no soportado: ${pattern.type}`,
+          );
+      }
+    }
+
+    if (filters.length === 0) return solutions;
+
+    return solutions.filter((solution) =>
+      filters.every((expression) =>
+        this.effectiveBooleanSafe(expression, solution, store),
+      ),
+    );
+  }
+
+  evaluateBgp(triples, input, store) {
+    let solutions = input;
+
+    for (const triple of triples) {
+      const next = [];
+      solutions.forEach((solution) => {
+        this.matchTriple(triple, solution, store).forEach((extended) =>
+          next.push(extended),
+        );
+      });
+      solutions = next;
+      if (solutions.length === 0) break;
+    }
+
+    return solutions;
+  }
+
+  matchTriple(triple, solution, store) {
+    const subject = this.resolve(triple.subject, solution);
+    const object = this.resolve(triple.object, solution);
+
+    if (triple.predicate.type === "path") {
+      return this.evaluatePath(triple.predicate, subject, object, store)
+        .map(([s, o]) =>
+          this.bindAll(solution, [
+            [triple.subject, s],
+            [triple.object, o],
+          ]),
+        )
+        .filter(Boolean);
+    }
+
+    const predicate = this.resolve(triple.predicate, solution);
+
+    return store
+      .statementsMatching(subject, predicate, object)
+      .map((st) =>
+        this.bindAll(solution, [
+          [triple.subject, st.subject],
+          [triple.predicate, st.predicate],
+          [triple.object, st.object],
+        ]),
+      )
+      .filter(Boolean);
+  }
+
+  /**
+   * Devuelve el término rdflib para una posición del patrón, o null si es
+   * una variable (o blank node de la consulta) aún sin ligar
+   */
+  resolve(term, solution) {
+    if (this.isVariableLike(term)) {
+      return solution[this.variableName(term)] || null;
+    }
+    return this.toRdflibTerm(term);
+  }
+
+  bindAll(solution, pairs) {
+    const extended = { ...solution };
+
+    for (const [patternTerm, value] of pairs) {
+      if (!this.isVariableLike(patternTerm)) continue;
+      const name = this.variableName(patternTerm);
+      if (extended[name]) {
+        if (!this.termsEqual(extended[name], value)) return null;
+      } else {
+        extended[name] = value;
+      }
+    }
+
+    return extended;
+  }
+
+  evaluatePath(path, subject, object, store) {
+    if (path.termType === "NamedNode") {
+      return store
+        .statementsMatching(subject, this.toRdflibTerm(path), object)
+        .map((st) => [st.subject, st.object]);
+    }
+
+    switch (path.pathType) {
+      case "/":
+        return this.evaluateSequencePath(path.items, subject, object, store);
+      case "|":
+        return this.uniquePairs(
+          path.items.flatMap((item) =>
+            this.evaluatePath(item, subject, object, store),
+          ),
+        );
+      case "^":
+        return this.evaluatePath(path.items[0], object, subject, store).map(
+          ([s, o]) => [o, s],
+        );
+      case "*":
+      case "+":
+      case "?":
+        return this.evaluateClosurePath(path, subject, object, store);
+      case "!":
+        return this.evaluateNegatedPath(path, subject, object, store);
+      default:
+        throw new SparqlQueryError(
+          `Ruta de propiedades no soportada: ${path.pathType}`,
+        );
+    }
+  }
+
+  evaluateSequencePath(items, subject, object, store) {
+    let pairs = this.evaluatePath(items[0], subject, null, store);
+
+    for (let i = 1; i < items.length; i++) {
+      const isLast = i === items.length - 1;
+      const next = [];
+      pairs.forEach(([start, middle]) => {
+        this.evaluatePath(
+          items[i],
+          middle,
+          isLast ? object : null,
+          store,
+        ).forEach(([, end]) => next.push([start, end]));
+      });
+      pairs = this.uniquePairs(next);
+    }
+
+    return pairs;
+  }
+
+  evaluateClosurePath(path, subject, object, store) {
+    const step = path.items[0];
+    const includeZero = path.pathType !== "+";
+    const single = path.pathType === "?";
+
+    const walk = (start, forward) => {
+      const reached = new Map();
+      if (includeZero) reached.set(this.termKey(start), start);
+
+      let frontier = [start];
+      let depth = 0;
+      while (frontier.length > 0 && depth < this.maxPathDepth) {
+        const next = [];
+        frontier.forEach((node) => {
+          const pairs = forward
+            ? this.evaluatePath(step, node, null, store)
+            : this.evaluatePath(step, null, node, store);
+          pairs.forEach(([s, o]) => {
+            const target = forward ? o : s;
+            const key = this.termKey(target);
+            if (!reached.has(key)) {
+              reached.set(key, target);
+              next.push(target);
+            }
+          });
+        });
+        if (single) break;
+        frontier = next;
+        depth++;
+      }
+
+      return Array.from(reached.values());
+    };
+
+    if (subject) {
+      return walk(subject, true)
+        .filter((node) => !object || this.termsEqual(node, object))
+        .map((node) => [subject, node]);
+    }
+
+    if (object) {
+      return walk(object, false).map((node) => [node, object]);
+    }
+
+    const starts = new Map();
+    this.evaluatePath(step, null, null, store).forEach(([s, o]) => {
+      starts.set(this.termKey(s), s);
+      if (includeZero) starts.set(this.termKey(o), o);
+    });
+
+    const pairs = [];
+    starts.forEach((start) => {
+      walk(start, true).forEach((node) => pairs.push([start, node]));
+    });
+    return pairs;
+  }
+
+  evaluateNegatedPath(path, subject, object, store) {
+    const forbidden = new Set();
+    const inverseForbidden = new Set();
+
+    // sparqljs agrupa !(a|^b) como un único camino "|" dentro del "!"
+    const items = path.items.flatMap((item) =>
+      item.pathType === "|" ? item.items : [item],
+    );
+    items.forEach((item) => {
+      if (item.termType === "NamedNode") {
+        forbidden.add(item.value);
+      } else if (item.pathType === "^") {
+        inverseForbidden.add(item.items[0].value);
+      }
+    });
+
+    const pairs = [];
+    if (forbidden.size > 0 || inverseForbidden.size === 0) {
+      store.statementsMatching(subject, null, object).forEach((st) => {
+        if (!forbidden.has(st.predicate.value)) {
+          pairs.push([st.subject, st.object]);
+        }
+      });
+    }
+    if (inverseForbidden.size > 0) {
+      store.statementsMatching(object, null, subject).forEach((st) => {
+        if (!inverseForbidden.has(st.predicate.value)) {
+          pairs.push([st.object, st.subject]);
+        }
+      });
+    }
+
+    return this.uniquePairs(pairs);
+  }
+
+  uniquePairs(pairs) {
+    const seen = new Map();
+    pairs.forEach((pair) => {
+      seen.set(`${this.termKey(pair[0])} ${this.termKey(pair[1])}`, pair);
+    });
+    return Array.from(seen.values());
+  }
+
+  evaluateOptional(pattern, solutions, store) {
+    const result = [];
+    solutions.forEach((solution) => {
+      const extended = this.evaluateGroup(pattern.patterns, [solution], store);
+      if (extended.length > 0) {
+        result.push(...extended);
+      } else {
+        result.push(solution);
+      }
+    });
+    return result;
+  }
+
+  evaluateUnion(pattern, solutions, store) {
+    return pattern.patterns.flatMap((branch) =>
+      this.evaluateGroup(
+        branch.type === "group" ? branch.patterns : [branch],
+        solutions,
+        store,
+      ),
+    );
+  }
+
+  evaluateMinus(pattern, solutions, store) {
+    const right = this.evaluateGroup(pattern.patterns, [{}], store);
+
+    return solutions.filter(
+      (solution) =>
+        !right.some((other) => {
+          const shared = Object.keys(other).filter((name) => solution[name]);
+          return (
+            shared.length > 0 &&
+            shared.every((name) => this.termsEqual(solution[name], other[name]))
+          );
+        }),
+    );
+  }
+
+  evaluateBind(pattern, solutions, store) {
+    const name = pattern.variable.value;
+
+    return solutions.map((solution) => {
+      if (solution[name]) {
+        throw new SparqlQueryError(`La variable ?${name} ya está ligada`);
+      }
+      try {
+        const value = this.evaluateExpression(
+          pattern.expression,
+          solution,
+          store,
+        );
+        return value ? { ...solution, [name]: value } : solution;
+      } catch (error) {
+        if (error instanceof ExpressionError) return solution;
+        throw error;
+      }
+    });
+  }
+
+  evaluateValues(pattern, solutions) {
+    const rows = pattern.values.map((row) => {
+      const solution = {};
+      Object.entries(row).forEach(([key, term]) => {
+        if (term) solution[key.replace(/^\?/, "")] = this.toRdflibTerm(term);
+      });
+      return solution;
+    });
+
+    return this.join(solutions, rows);
+  }
+
+  join(left, right) {
+    const result = [];
+    left.forEach((a) => {
+      right.forEach((b) => {
+        const compatible = Object.keys(b).every(
+          (name) => !a[name] || this.termsEqual(a[name], b[name]),
+        );
+        if (compatible) result.push({ ...a, ...b });
+      });
+    });
+    return result;
+  }
+
+  applyProjectionExpressions(query, solutions, store) {
+    const expressions = (query.variables || []).filter((v) => v.expression);
+    if (expressions.length === 0) return solutions;
+
+    return solutions.map((solution) => {
+      const extended = { ...solution };
+      expressions.forEach(({ expression, variable }) => {
+        try {
+          const value = this.evaluateExpression(expression, extended, store);
+          if (value) extended[variable.value] = value;
+        } catch (error) {
+          if (!(error instanceof ExpressionError)) throw error;
+        }
+      });
+      return extended;
+    });
+  }
+
+  projectedVariables(query, solutions) {
+    const isWildcard = (query.variables || []).some(
+      (v) => v.termType === "Wildcard",
+    );
+
+    if (!isWildcard) {
+      return query.variables.map((v) =>
+        v.expression ? v.variable.value : v.value,
+      );
+    }
+
+    const names = new Set();
+    solutions.forEach((solution) =>
+      Object.keys(solution).forEach((name) => {
+        if (!name.startsWith("_:")) names.add(name);
+      }),
+    );
+    return Array.from(names);
+  }
+
+  applyGrouping(query, solutions, store) {
+    const groupExpressions = query.group || [];
+    const groups = new Map();
+
+    solutions.forEach((solution) => {
+      const keyTerms = groupExpressions.map((g) => {
+        try {
+          return this.evaluateExpression(g.expression, solution, store);
+        } catch (error) {
+          if (error instanceof ExpressionError) return null;
+          throw error;
+        }
+      });
+      const key = keyTerms.map((t) => (t ? this.termKey(t) : "")).join("|");
+
+      if (!groups.has(key)) {
+        const base = {};
+        groupExpressions.forEach((g, index) => {
+          const name = g.variable
+            ? g.variable.value
+            : g.expression.termType === "Variable"
+              ? g.expression.value
+              : null;
+          if (name && keyTerms[index]) base[name] = keyTerms[index];
+        });
+        groups.set(key, { base, members: [] });
+      }
+      groups.get(key).members.push(solution);
+    });
+
+    // Sin GROUP BY y sin soluciones, los agregados devuelven una fila
+    if (groups.size === 0 && groupExpressions.length === 0) {
+      groups.set("", { base: {}, members: [] });
+    }
+
+    const variables = query.variables.map((v) =>
+      v.expression ? v.variable.value : v.value,
+    );
+
+    let grouped = Array.from(groups.values()).map(({ base, members }) => {
+      const row = { ...base };
+      query.variables.forEach((v) => {
+        if (!v.expression) return;
+        try {
+          const value = this.evaluateExpression(
+            v.expression,
+            row,
+            store,
+            members,
+          );
+          if (value) row[v.variable.value] = value;
+        } catch (error) {
+          if (!(error instanceof ExpressionError)) throw error;
+        }
+      });
+      return { row, members };
+    });
+
+    if (query.having && query.having.length > 0) {
+      grouped = grouped.filter(({ row, members }) =>
+        query.having.every((expression) => {
+          try {
+            return this.effectiveBoolean(
+              this.evaluateExpression(expression, row, store, members),
+            );
+          } catch (error) {
+            if (error instanceof ExpressionError) return false;
+            throw error;
+          }
+        }),
+      );
+    }
+
+    return { solutions: grouped.map(({ row }) => row), variables };
+  }
+
+  containsAggregate(expression) {
+    if (!expression || typeof expression !== "object") return false;
+    if (expression.type === "aggregate") return true;
+    return (expression.args || []).some((arg) => this.containsAggregate(arg));
+  }
+
+  applyOrder(query, solutions, store) {
+    if (!query.order || query.order.length === 0) return solutions;
+
+    const keyed = solutions.map((solution) => ({
+      solution,
+      keys: query.order.map((order) => {
+        try {
+          return this.evaluateExpression(order.expression, solution, store);
+        } catch (error) {
+          if (error instanceof ExpressionError) return null;
+          throw error;
+        }
+      }),
+    }));
+
+    keyed.sort((a, b) => {
+      for (let i = 0; i < query.order.length; i++) {
+        const comparison = this.compareForOrder(a.keys[i], b.keys[i]);
+        if (comparison !== 0) {
+          return query.order[i].descending ? -comparison : comparison;
+        }
+      }
+      return 0;
+    });
+
+    return keyed.map((item) => item.solution);
+  }
+
+  applySlice(query, solutions) {
+    const offset = query.offset || 0;
+    const end = query.limit !== undefined ? offset + query.limit : undefined;
+    return solutions.slice(offset, end);
+  }
+
+  distinct(solutions) {
+    const seen = new Set();
+    return solutions.filter((solution) => {
+      const key = Object.keys(solution)
+        .sort()
+        .map((name) => `${name}=${this.termKey(solution[name])}`)
+        .join("&");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  instantiate(term, solution, index) {
+    if (term.termType === "Variable") {
+      return solution[term.value] || null;
+    }
+    if (term.termType === "BlankNode") {
+      return $rdf.blankNode(`${term.value}_${index}`);
+    }
+    return this.toRdflibTerm(term);
+  }
+
+  /**
+   * Expresiones
+   */
+  effectiveBooleanSafe(expression, solution, store) {
+    try {
+      return this.effectiveBoolean(
+        this.evaluateExpression(expression, solution, store),
+      );
+    } catch (error) {
+      if (error instanceof ExpressionError) return false;
+      throw error;
+    }
+  }
+
+  evaluateExpression(expression, solution, store, groupMembers = null) {
+    if (expression.termType === "Variable") {
+      const value = solution[expression.value];
+      if (!value) {
+        throw new ExpressionError(`?${expression.value} sin ligar`);
+      }
+      return value;
+    }
+
+    if (expression.termType) {
+      return this.toRdflibTerm(expression);
+    }
+
+    if (expression.type === "aggregate") {
+      if (!groupMembers) {
+        throw new SparqlQueryError("Agregado fuera de una agrupación");
+      }
+      return this.evaluateAggregate(expression, groupMembers, store);
+    }
+
+    if (expression.type === "functionCall") {
+      return this.evaluateFunctionCall(
+        expression,
+        solution,
+        store,
+        groupMembers,
+      );
+    }
+
+    if (expression.type !== "operation") {
+      throw new SparqlQueryError(`Expresión no soportada: ${expression.type}`);
+    }
+
+    const operator = expression.operator.toLowerCase();
+    const args = expression.args;
+    const evaluate = (arg) =>
+      this.evaluateExpression(arg, solution, store, groupMembers);
+
+    switch (operator) {
+      case "&&": {
+        let error = null;
+        for (const arg of args) {
+          try {
+            if (!this.effectiveBoolean(evaluate(arg))) {
+              return this.booleanLiteral(false);
+            }
+          } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            error = e;
+          }
+        }
+        if (error) throw error;
+        return this.booleanLiteral(true);
+      }
+      case "||": {
+        let error = null;
+        for (const arg of args) {
+          try {
+            if (this.effectiveBoolean(evaluate(arg))) {
+              return this.booleanLiteral(true);
+            }
+          } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            error = e;
+          }
+        }
+        if (error) throw error;
+        return this.booleanLiteral(false);
+      }
+      case "!":
+        return this.booleanLiteral(!this.effectiveBoolean(evaluate(args[0])));
+      case "=":
+        return this.booleanLiteral(
+          this.valuesEqual(evaluate(args[0]), evaluate(args[1])),
+        );
+      case "!=":
+        return this.booleanLiteral(
+          !this.valuesEqual(evaluate(args[0]), evaluate(args[1])),
+        );
+      case "<":
+      case ">":
+      case "<=":
+      case ">=": {
+        const comparison = this.compareValues(
+          evaluate(args[0]),
+          evaluate(args[1]),
+        );
+        const outcome = {
+          "<": comparison < 0,
+          ">": comparison > 0,
+          "<=": comparison <= 0,
+          ">=": comparison >= 0,
+        }[operator];
+        return this.booleanLiteral(outcome);
+      }
+      case "+":
+      case "-":
+      case "*":
+      case "/": {
+        if (args.length === 1) {
+          const value = this.numericValue(evaluate(args[0]));
+          return this.numericLiteral(operator === "-" ? -value : value);
+        }
+        const left = this.numericValue(evaluate(args[0]));
+        const right = this.numericValue(evaluate(args[1]));
+        if (operator === "/" && right === 0) {
+          throw new ExpressionError("División por cero");
+        }
+        const value = {
+          "+": left + right,
+          "-": left - right,
+          "*": left * right,
+          "/": left / right,
+        }[operator];
+        return this.numericLiteral(value);
+      }
+      case "in":
+      case "notin": {
+        const needle = evaluate(args[0]);
+        const found = args[1].some((candidate) => {
+          try {
+            return this.valuesEqual(needle, evaluate(candidate));
+          } catch (e) {
+            if (e instanceof ExpressionError) return false;
+            throw e;
+          }
+        });
+        return this.booleanLiteral(operator === "in" ? found : !found);
+      }
+      case "bound":
+        return this.booleanLiteral(!!solution[args[0].value]);
+      case "if":
+        return this.effectiveBoolean(evaluate(args[0]))
+          ? evaluate(args[1])
+          : evaluate(args[2]);
+      case "coalesce":
+        for (const arg of args) {
+          try {
+            return evaluate(arg);
+          } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+          }
+        }
+        throw new ExpressionError("COALESCE sin valores");
+      case "exists":
+      case "notexists": {
+        const found =
+          this.evaluateGroup(
+            args[0].type === "group" ? args[0].patterns : [args[0]],
+            [solution],
+            store,
+          ).length > 0;
+        return this.booleanLiteral(operator === "exists" ? found : !found);
+      }
+      case "sameterm":
+        return this.booleanLiteral(
+          this.termsEqual(evaluate(args[0]), evaluate(args[1])),
+        );
+      case "isiri":
+      case "isuri":
+        return this.booleanLiteral(evaluate(args[0]).termType === "NamedNode");
+      case "isblank":
+        return this.booleanLiteral(evaluate(args[0]).termType === "BlankNode");
+      case "isliteral":
+        return this.booleanLiteral(evaluate(args[0]).termType === "Literal");
+      case "isnumeric":
+        return this.booleanLiteral(this.isNumeric(evaluate(args[0])));
+      case "str":
+        return $rdf.lit(evaluate(args[0]).value);
+      case "lang": {
+        const term = this.requireLiteral(evaluate(args[0]));
+        return $rdf.lit(term.language || "");
+      }
+      case "datatype": {
+        const term = this.requireLiteral(evaluate(args[0]));
+        return $rdf.sym(this.datatypeOf(term));
+      }
+      case "iri":
+      case "uri":
+        return $rdf.sym(evaluate(args[0]).value);
+      case "langmatches": {
+        const tag = evaluate(args[0]).value.toLowerCase();
+        const range = evaluate(args[1]).value.toLowerCase();
+        const matches =
+          range === "*"
+            ? tag !== ""
+            : tag === range || tag.startsWith(`${range}-`);
+        return this.booleanLiteral(matches);
+      }
+      case "regex": {
+        const text = this.requireLiteral(evaluate(args[0])).value;
+        const pattern = evaluate(args[1]).value;
+        const flags = args[2] ? evaluate(args[2]).value : "";
+        let regex;
+        try {
+          regex = new RegExp(
+            pattern,
+            flags.replace(/[^imsx]/g, "").replace("x", ""),
+          );
+        } catch (e) {
+          throw new ExpressionError(`Expresión regular inválida: ${pattern}`);
+        }
+        return this.booleanLiteral(regex.test(text));
+      }
+      case "contains":
+      case "strstarts":
+      case "strends": {
+        const text = this.requireLiteral(evaluate(args[0])).value;
+        const part = this.requireLiteral(evaluate(args[1])).value;
+        const outcome =
+          operator === "contains"
+            ? text.includes(part)
+            : operator === "strstarts"
+              ? text.startsWith(part)
+              : text.endsWith(part);
+        return this.booleanLiteral(outcome);
+      }
+      case "lcase":
+      case "ucase": {
+        const term = this.requireLiteral(evaluate(args[0]));
+        const text =
+          operator === "lcase"
+            ? term.value.toLowerCase()
+            : term.value.toUpperCase();
+        return $rdf.lit(text, term.language || undefined);
+      }
+      case "strlen":
+        return this.numericLiteral(
+          this.requireLiteral(evaluate(args[0])).value.length,
+          "integer",
+        );
+      case "substr": {
+        const term = this.requireLiteral(evaluate(args[0]));
+        const start = Math.round(this.numericValue(evaluate(args[1]))) - 1;
+        const length = args[2]
+          ? Math.round(this.numericValue(evaluate(args[2])))
+          : undefined;
+        const text =
+          length === undefined
+            ? term.value.substring(Math.max(start, 0))
+            : term.value.substr(Math.max(start, 0), length);
+        return $rdf.lit(text, term.language || undefined);
+      }
+      case "concat":
+        return $rdf.lit(
+          args.map((arg) => this.requireLiteral(evaluate(arg)).value).join(""),
+        );
+      case "replace": {
+        const text = this.requireLiteral(evaluate(args[0])).value;
+        const pattern = evaluate(args[1]).value;
+        const replacement = evaluate(args[2]).value.replace(/\$(\d)/g, "$$$1");
+        const flags = args[3] ? evaluate(args[3]).value : "";
+        return $rdf.lit(
+          text.replace(
+            new RegExp(pattern, `g${flags.replace(/[^ims]/g, "")}`),
+            replacement,
+          ),
+        );
+      }
+      case "abs":
+      case "round":
+      case "ceil":
+      case "floor": {
+        const value = this.numericValue(evaluate(args[0]));
+        const fn = {
+          abs: Math.abs,
+          round: Math.round,
+          ceil: Math.ceil,
+          floor: Math.floor,
+        }[operator];
+        return this.numericLiteral(fn(value));
+      }
+      default:
+        throw new SparqlQueryError(
+          `Función SPARQL no soportada: ${expression.operator}`,
+        );
+    }
+  }
+
+  evaluateFunctionCall(expression, solution, store, groupMembers) {
+    const name = expression.function.value || expression.function;
+    const args = expression.args.map((arg) =>
+      this.evaluateExpression(arg, solution, store, groupMembers),
+    );
+
+    if (typeof name === "string" && name.startsWith(XSD)) {
+      const type = name.substring(XSD.length);
+      const lexical = args[0].value;
+
+      if (NUMERIC_TYPES.has(name)) {
+        const value = Number(lexical);
+        if (Number.isNaN(value)) {
+          throw new ExpressionError(`No se puede convertir a ${type}`);
+        }
+        return this.numericLiteral(value, type);
+      }
+      if (type === "boolean") {
+        return this.booleanLiteral(lexical === "true" || lexical === "1");
+      }
+      return $rdf.lit(lexical, undefined, $rdf.sym(name));
+    }
+
+    throw new SparqlQueryError(`Función no soportada: ${name}`);
+  }
+
+  evaluateAggregate(expression, members, store) {
+    const aggregation = expression.aggregation.toLowerCase();
+
+    let values;
+    if (expression.expression.termType === "Wildcard") {
+      values = members.map(() => $rdf.lit("1"));
+    } else {
+      values = [];
+      members.forEach((member) => {
+        try {
+          values.push(
+            this.evaluateExpression(expression.expression, member, store),
+          );
+        } catch (error) {
+          if (!(error instanceof ExpressionError)) throw error;
+        }
+      });
+    }
+
+    if (expression.distinct) {
+      const seen = new Map();
+      values.forEach((value) => seen.set(this.termKey(value), value));
+      values = Array.from(seen.values());
+    }
+
+    switch (aggregation) {
+      case "count":
+        return this.numericLiteral(values.length, "integer");
+      case "sum":
+        return this.numericLiteral(
+          values.reduce((sum, value) => sum + this.numericValue(value), 0),
+        );
+      case "avg":
+        if (values.length === 0) return this.numericLiteral(0, "integer");
+        return this.numericLiteral(
+          values.reduce((sum, value) => sum + this.numericValue(value), 0) /
+            values.length,
+          "decimal",
+        );
+      case "min":
+      case "max": {
+        if (values.length === 0) {
+          throw new ExpressionError(`${aggregation} sin valores`);
+        }
+        return values.reduce((best, value) => {
+          const comparison = this.compareForOrder(value, best);
+          return (aggregation === "min" ? comparison < 0 : comparison > 0)
+            ? value
+            : best;
+        });
+      }
+      case "sample":
+        if (values.length === 0) throw new ExpressionError("SAMPLE vacío");
+        return values[0];
+      case "group_concat":
+        return $rdf.lit(
+          values
+            .map((value) => value.value)
+            .join(
+              expression.separator !== undefined ? expression.separator : " ",
+            ),
+        );
+      default:
+        throw new SparqlQueryError(`Agregado no soportado: ${aggregation}`);
+    }
+  }
+
+  /**
+   * Utilidades sobre términos
+   */
+  isVariableLike(term) {
+    return term.termType === "Variable" || term.termType === "BlankNode";
+  }
+
+  variableName(term) {
+    return term.termType === "BlankNode" ? `_:${term.value}` : term.value;
+  }
+
+  toRdflibTerm(term) {
+    switch (term.termType) {
+      case "NamedNode":
+        return $rdf.sym(term.value);
+      case "BlankNode":
+        return $rdf.blankNode(term.value);
+      case "Literal": {
+        if (term.language) return $rdf.lit(term.value, term.language);
+        const datatype =
+          term.datatype && term.datatype.value
+            ? $rdf.sym(term.datatype.value)
+            : undefined;
+        return $rdf.lit(term.value, undefined, datatype);
+      }
+      default:
+        return term;
+    }
+  }
+
+  datatypeOf(term) {
+    if (term.language) return RDF_LANG_STRING;
+    return term.datatype && term.datatype.value
+      ? term.datatype.value
+      : `${XSD}string`;
+  }
+
+  termKey(term) {
+    if (!term) return "";
+    if (term.termType === "Literal") {
+      return `"${term.value}"@${term.language || ""}^^${this.datatypeOf(term)}`;
+    }
+    return `${term.termType}:${term.value}`;
+  }
+
+  termsEqual(a, b) {
+    return this.termKey(a) === this.termKey(b);
+  }
+
+  isNumeric(term) {
+    return (
+      term.termType === "Literal" && NUMERIC_TYPES.has(this.datatypeOf(term))
+    );
+  }
+
+  numericValue(term) {
+    if (!this.isNumeric(term)) {
+      throw new ExpressionError(`Valor no numérico: ${term.value}`);
+    }
+    const value = Number(term.value);
+    if (Number.isNaN(value)) {
+      throw new ExpressionError(`Literal numérico inválido: ${term.value}`);
+    }
+    return value;
+  }
+
+  numericLiteral(value, type) {
+    const datatype = type || (Number.isInteger(value) ? "integer" : "decimal");
+    return $rdf.lit(String(value), undefined, $rdf.sym(XSD + datatype));
+  }
+
+  booleanLiteral(value) {
+    return $rdf.lit(
+      value ? "true" : "false",
+      undefined,
+      $rdf.sym(`${XSD}boolean`),
+    );
+  }
+
+  requireLiteral(term) {
+    if (term.termType !== "Literal") {
+      throw new ExpressionError(`Se esperaba un literal: ${term.value}`);
+    }
+    return term;
+  }
+
+  effectiveBoolean(term) {
+    if (term.termType !== "Literal") {
+      throw new ExpressionError("Valor booleano efectivo indefinido");
+    }
+    const datatype = this.datatypeOf(term);
+    if (datatype === `${XSD}boolean`) {
+      return term.value === "true" || term.value === "1";
+    }
+    if (NUMERIC_TYPES.has(datatype)) {
+      const value = Number(term.value);
+      return !Number.isNaN(value) && value !== 0;
+    }
+    if (datatype === `${XSD}string` || datatype === RDF_LANG_STRING) {
+      return term.value.length > 0;
+    }
+    throw new ExpressionError("Valor booleano efectivo indefinido");
+  }
+
+  valuesEqual(a, b) {
+    if (this.isNumeric(a) && this.isNumeric(b)) {
+      return this.numericValue(a) === this.numericValue(b);
+    }
+    return this.termsEqual(a, b);
+  }
+
+  compareValues(a, b) {
+    if (this.isNumeric(a) && this.isNumeric(b)) {
+      return this.numericValue(a) - this.numericValue(b);
+    }
+    if (a.termType === "Literal" && b.termType === "Literal") {
+      const typeA = this.datatypeOf(a);
+      const typeB = this.datatypeOf(b);
+      const comparable = (type) =>
+        type === `${XSD}string` ||
+        type === RDF_LANG_STRING ||
+        type === `${XSD}dateTime` ||
+        type === `${XSD}date`;
+      if (comparable(typeA) && comparable(typeB)) {
+        return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+      }
+    }
+    throw new ExpressionError("Valores no comparables");
+  }
+
+  compareForOrder(a, b) {
+    const rank = (term) => {
+      if (!term) return 0;
+      return { BlankNode: 1, NamedNode: 2, Literal: 3 }[term.termType] || 4;
+    };
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (!a) return 0;
+
+    try {
+      const comparison = this.compareValues(a, b);
+      return comparison < 0 ? -1 : comparison > 0 ? 1 : 0;
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+    }
+  }
+
+  /**
+   * Serialización de resultados
+   */
+  toJSON(result) {
+    if (result.type === "boolean") {
+      return { head: {}, boolean: result.boolean };
+    }
+
+    return {
+      head: { vars: result.variables },
+      results: {
+        bindings: result.bindings.map((solution) => {
+          const binding = {};
+          Object.entries(solution).forEach(([name, term]) => {
+            binding[name] = this.termToJSON(term);
+          });
+          return binding;
+        }),
+      },
+    };
+  }
+
+  termToJSON(term) {
+    if (term.termType === "NamedNode") {
+      return { type: "uri", value: term.value };
+    }
+    if (term.termType === "BlankNode") {
+      return { type: "bnode", value: term.value };
+    }
+
+    const json = { type: "literal", value: term.value };
+    if (term.language) {
+      json["xml:lang"] = term.language;
+    } else {
+      const datatype = this.datatypeOf(term);
+      if (datatype !== `${XSD}string`) json.datatype = datatype;
+    }
+    return json;
+  }
+
+  toXML(result) {
+    const lines = [
+      '<?xml version="1.0"?>',
+      '<sparql xmlns="http://www.w3.org/2005/sparql-results#">',
+    ];
+
+    if (result.type === "boolean") {
+      lines.push("  <head/>");
+      lines.push(`  <boolean>${result.boolean}</boolean>`);
+    } else {
+      lines.push("  <head>");
+      result.variables.forEach((name) =>
+        lines.push(`    <variable name="${this.escapeXml(name)}"/>`),
+      );
+      lines.push("  </head>");
+      lines.push("  <results>");
+      result.bindings.forEach((solution) => {
+        lines.push("    <result>");
+        Object.entries(solution).forEach(([name, term]) => {
+          lines.push(
+            `      <binding name="${this.escapeXml(name)}">${this.termToXML(term)}</binding>`,
+          );
+        });
+        lines.push("    </result>");
+      });
+      lines.push("  </results>");
+    }
+
+    lines.push("</sparql>");
+    return lines.join("\n");
+  }
+
+  termToXML(term) {
+    const value = this.escapeXml(term.value);
+    if (term.termType === "NamedNode") return `<uri>${value}</uri>`;
+    if (term.termType === "BlankNode") return `<bnode>${value}</bnode>`;
+    if (term.language) {
+      return `<literal xml:lang="${this.escapeXml(term.language)}">${value}</literal>`;
+    }
+    const datatype = this.datatypeOf(term);
+    return datatype === `${XSD}string`
+      ? `<literal>${value}</literal>`
+      : `<literal datatype="${this.escapeXml(datatype)}">${value}</literal>`;
+  }
+
+  /**
+   * Serializa el grafo de un CONSTRUCT/DESCRIBE en el formato RDF pedido
+   * @param {Object} result - Resultado de tipo "graph"
+   * @param {string} contentType - text/turtle, application/rdf+xml, application/n-triples...
+   * @returns {string} Documento RDF
+   */
+  serializeGraph(result, contentType = "text/turtle") {
+    const graph = $rdf.graph();
+    result.triples.forEach(({ subject, predicate, object }) =>
+      graph.add(subject, predicate, object),
+    );
+    return $rdf.serialize(null, graph, undefined, contentType);
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
+
+const sparqlService = new SparqlService();
+
+module.exports = sparqlService;
+module.exports.SparqlQueryError = SparqlQueryError;
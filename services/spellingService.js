@@ -0,0 +1,282 @@
+const natural = require("natural");
+const ontologyService = require("./ontologyService");
+const nlpService = require("./nlpService");
+const gameKnowledgeService = require("./gameKnowledgeService");
+const Logger = require("../utils/logger");
+
+// Palabras más cortas no se corrigen: casi cualquier cambio da otra palabra
+const MIN_WORD_LENGTH = 4;
+
+// Consultas alternativas que se devuelven como máximo
+const MAX_SUGGESTIONS = 3;
+
+// Textos de los juegos que solo sirven para reconocer palabras correctas
+const GAME_TEXT_FIELDS = [
+  "description",
+  "detailedRules",
+  "bestOdds",
+  "worstOdds",
+  "strategies",
+  "facts",
+];
+
+/**
+ * Corrección ortográfica de consultas. El vocabulario sale de los nombres
+ * locales y etiquetas de la ontología, las etiquetas y alias del dataset y
+ * los nombres de los juegos; una palabra desconocida se compara con él por
+ * distancia de edición (Damerau-Levenshtein) y por clave fonética en
+ * español y en inglés (Metaphone)
+ */
+class SpellingService {
+  constructor() {
+    this.metaphone = new natural.Metaphone();
+    this.vocabulary = new Map(); // palabra sin tildes -> { word, frequency, sources, keys }
+    this.known = new Set(); // palabras correctas que no se sugieren
+    this.signature = null;
+  }
+
+  /**
+   * @param {string} query - Texto de la consulta (sin filtros)
+   * @param {Object} options - { entries } entradas de las fuentes locales
+   * @returns {Object} { original, corrected, suggestions, corrections };
+   *   corrected es null si no hay nada que corregir
+   */
+  correct(query, { entries = [] } = {}) {
+    this.ensureVocabulary(entries);
+
+    const words = String(query || "")
+      .split(/\s+/)
+      .filter(Boolean);
+    const corrections = [];
+    const alternatives = words.map((word, index) => {
+      const candidates = this.candidates(word);
+      if (candidates.length === 0) return [word];
+
+      corrections.push({
+        word,
+        position: index,
+        suggestion: candidates[0].word,
+        distance: candidates[0].distance,
+        phonetic: candidates[0].phonetic,
+        sources: candidates[0].sources,
+      });
+      return candidates.map((candidate) => candidate.word);
+    });
+
+    const suggestions = [];
+    for (let rank = 0; rank < MAX_SUGGESTIONS; rank++) {
+      const suggestion = alternatives
+        .map((options) => options[Math.min(rank, options.length - 1)])
+        .join(" ");
+      if (corrections.length > 0 && !suggestions.includes(suggestion)) {
+        suggestions.push(suggestion);
+      }
+    }
+
+    return {
+      original: query,
+      corrected: suggestions[0] || null,
+      suggestions,
+      corrections,
+    };
+  }
+
+  /**
+   * Palabras del vocabulario parecidas a una de la consulta, de la más a la
+   * menos probable. Vacío si la palabra ya es conocida
+   */
+  candidates(word) {
+    const folded = this.fold(word);
+    if (
+      folded.length < MIN_WORD_LENGTH ||
+      !/^[a-z]+$/.test(folded) ||
+      this.vocabulary.has(folded) ||
+      this.known.has(folded)
+    ) {
+      return [];
+    }
+
+    const maxDistance = folded.length <= 5 ? 1 : 2;
+    const keys = this.phoneticKeys(folded);
+    const candidates = [];
+
+    this.vocabulary.forEach((entry, candidate) => {
+      if (Math.abs(candidate.length - folded.length) > maxDistance + 1) return;
+
+      const distance = this.distance(folded, candidate);
+      const phonetic = entry.keys.some((key, index) => key === keys[index]);
+      if (
+        distance > maxDistance &&
+        !(phonetic && distance <= maxDistance + 1)
+      ) {
+        return;
+      }
+
+      candidates.push({
+        word: entry.word,
+        distance,
+        phonetic,
+        frequency: entry.frequency,
+        sources: Array.from(entry.sources),
+        // Una coincidencia fonética vale media edición
+        score: distance - (phonetic ? 0.5 : 0),
+      });
+    });
+
+    return candidates
+      .sort((a, b) => a.score - b.score || b.frequency - a.frequency)
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Distancia de Damerau-Levenshtein (alineamiento óptimo): inserciones,
+   * borrados, sustituciones y trasposiciones de letras vecinas. No se usa
+   * la de natural porque da 0 cuando el destino repite la última letra
+   * ("tragaperas" -> "tragaperras")
+   */
+  distance(source, target) {
+    const rows = Array.from({ length: source.length + 1 }, (_, i) =>
+      Array.from({ length: target.length + 1 }, (_, j) =>
+        i === 0 ? j : j === 0 ? i : 0,
+      ),
+    );
+
+    for (let i = 1; i <= source.length; i++) {
+      for (let j = 1; j <= target.length; j++) {
+        const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(
+          rows[i - 1][j] + 1,
+          rows[i][j - 1] + 1,
+          rows[i - 1][j - 1] + cost,
+        );
+        if (
+          i > 1 &&
+          j > 1 &&
+          source[i - 1] === target[j - 2] &&
+          source[i - 2] === target[j - 1]
+        ) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[source.length][target.length];
+  }
+
+  /**
+   * Reconstruye el vocabulario si ha cambiado la ontología, el dataset o
+   * la base de conocimiento de juegos
+   */
+  ensureVocabulary(entries) {
+    const entities = ontologyService.getNamedEntities();
+    const signature = [
+      ontologyService.store ? ontologyService.store.statements.length : 0,
+      entities.length,
+      entries.length,
+      gameKnowledgeService.lastLoaded,
+    ].join("|");
+    if (signature === this.signature) return;
+
+    this.vocabulary = new Map();
+    this.known = new Set(
+      [...nlpService.stopWordsES, ...nlpService.stopWordsEN].map((word) =>
+        this.fold(word),
+      ),
+    );
+
+    entities.forEach((entity) =>
+      entity.names.forEach((name) => this.addText(name, "ontology")),
+    );
+
+    entries.forEach((entry) => {
+      this.addText(entry.label, "dataset");
+      const aliases = entry.properties?.aliases || [];
+      (Array.isArray(aliases) ? aliases : [aliases]).forEach((alias) =>
+        this.addText(alias, "dataset"),
+      );
+    });
+
+    Object.values(nlpService.gameKnowledge).forEach((game) => {
+      game.names.forEach((name) => this.addText(name, "games"));
+      Object.values(game.displayName || {}).forEach((name) =>
+        this.addText(name, "games"),
+      );
+      GAME_TEXT_FIELDS.flatMap((field) => [].concat(game[field] || [])).forEach(
+        (text) => this.words(text).forEach((word) => this.known.add(word)),
+      );
+    });
+
+    this.signature = signature;
+    Logger.info(`Spelling vocabulary: ${this.vocabulary.size} words`);
+  }
+
+  addText(text, source) {
+    this.words(text, true).forEach((word) => {
+      const folded = this.fold(word);
+      if (folded.length < MIN_WORD_LENGTH || !/^[a-z]+$/.test(folded)) return;
+
+      if (!this.vocabulary.has(folded)) {
+        this.vocabulary.set(folded, {
+          word,
+          frequency: 0,
+          sources: new Set(),
+          keys: this.phoneticKeys(folded),
+        });
+      }
+      const entry = this.vocabulary.get(folded);
+      entry.frequency++;
+      entry.sources.add(source);
+    });
+  }
+
+  /**
+   * Palabras de un texto, separando también camelCase ("ApuestaMinima").
+   * Con keepAccents se conservan las tildes para sugerir la forma escrita
+   */
+  words(text, keepAccents = false) {
+    const spaced = String(text || "").replace(/([a-z\d])([A-Z])/g, "$1 $2");
+    return (keepAccents ? spaced.toLowerCase() : this.fold(spaced))
+      .split(/[^\p{L}\d]+/u)
+      .filter(Boolean);
+  }
+
+  fold(text) {
+    return String(text).normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+  }
+
+  /**
+   * @returns {Array<string>} [clave en español, clave Metaphone en inglés]
+   */
+  phoneticKeys(word) {
+    return [this.spanishKey(word), this.metaphone.process(word)];
+  }
+
+  /**
+   * Clave fonética para español: unifica las grafías que suenan igual
+   * (b/v, c/k/q, c/s/z, g/j, ll/y, h muda) y las letras dobles
+   */
+  spanishKey(word) {
+    return word
+      .replace(/ch/g, "X")
+      .replace(/ll/g, "y")
+      .replace(/qu([ei])/g, "k$1")
+      .replace(/g([ei])/g, "j$1")
+      .replace(/gu([ei])/g, "g$1")
+      .replace(/c([ei])/g, "s$1")
+      .replace(/[cq]/g, "k")
+      .replace(/z/g, "s")
+      .replace(/[vw]/g, "b")
+      .replace(/h/g, "")
+      .replace(/y$/, "i")
+      .replace(/(.)\1+/g, "$1");
+  }
+
+  getStats() {
+    return {
+      words: this.vocabulary.size,
+      known: this.known.size,
+    };
+  }
+}
+
+module.exports = new SpellingService();
@@ -0,0 +1,227 @@
+const fs = require("fs").promises;
+const path = require("path");
+const ontologyService = require("./ontologyService");
+const Trie = require("../utils/trie");
+const Logger = require("../utils/logger");
+const { QUERY_HISTORY_FILE } = require("../config/constants");
+
+// Coincidencias del trie que se ordenan antes de recortar a `limit`
+const MAX_CANDIDATES = 200;
+
+// Consultas guardadas como máximo; se descartan las menos usadas
+const MAX_HISTORY = 500;
+
+// Espera antes de escribir el historial tras una búsqueda
+const SAVE_DELAY = 1000;
+
+// A igual coincidencia, orden de los tipos de sugerencia
+const TYPE_ORDER = ["query", "class", "individual", "label", "alias"];
+
+/**
+ * Sugerencias mientras se escribe (autocompletado). Un trie indexa los
+ * nombres de clases e individuos, las etiquetas de la ontología, las
+ * etiquetas y alias del dataset y las consultas que ya han dado
+ * resultados. Cada texto se indexa desde el principio y desde cada
+ * palabra, así "euro" sugiere "Ruleta Europea"
+ */
+class SuggestService {
+  constructor(file = QUERY_HISTORY_FILE) {
+    this.file = path.resolve(__dirname, "..", file);
+    this.trie = new Trie();
+    this.history = new Map(); // consulta normalizada -> { text, count, lastUsed }
+    this.signature = null;
+    this.saveTimer = null;
+  }
+
+  async init() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, "utf8"));
+      (data.queries || []).forEach((query) =>
+        this.history.set(this.normalize(query.text), query),
+      );
+      Logger.info(`Query history restored: ${this.history.size} queries`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        Logger.warn("Could not read query history:", error.message);
+      }
+    }
+    this.signature = null;
+  }
+
+  /**
+   * @param {string} prefix - Lo que lleva escrito el usuario
+   * @param {Object} options - { entries, limit }
+   * @returns {Array<Object>} { text, type, source, uri, count }
+   */
+  suggest(prefix, { entries = [], limit = 8 } = {}) {
+    const key = this.normalize(prefix);
+    if (!key) return [];
+
+    this.ensureIndex(entries);
+
+    const best = new Map();
+    this.trie.search(key, MAX_CANDIDATES).forEach(({ value }) => {
+      const id = `${value.type}|${this.normalize(value.text)}`;
+      const current = best.get(id);
+      const atStart = this.normalize(value.text).startsWith(key);
+      if (!current || (atStart && !current.atStart)) {
+        best.set(id, { ...value, atStart });
+      }
+    });
+
+    return Array.from(best.values())
+      .sort(
+        (a, b) =>
+          b.atStart - a.atStart ||
+          (this.history.get(this.normalize(b.text))?.count || 0) -
+            (this.history.get(this.normalize(a.text))?.count || 0) ||
+          TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) ||
+          a.text.length - b.text.length ||
+          a.text.localeCompare(b.text),
+      )
+      .slice(0, limit)
+      .map(({ text, type, source, uri }) => ({
+        text,
+        type,
+        source,
+        ...(uri ? { uri } : {}),
+        ...(type === "query"
+          ? { count: this.history.get(this.normalize(text)).count }
+          : {}),
+      }));
+  }
+
+  /**
+   * Guarda una consulta que ha devuelto resultados para sugerirla después
+   */
+  recordQuery(query) {
+    const text = String(query || "")
+      .trim()
+      .replace(/\s+/g, " ");
+    const key = this.normalize(text);
+    if (!key) return;
+
+    const entry = this.history.get(key);
+    if (entry) {
+      entry.count++;
+      entry.lastUsed = new Date().toISOString();
+    } else {
+      this.history.set(key, {
+        text,
+        count: 1,
+        lastUsed: new Date().toISOString(),
+      });
+      this.insert(text, { type: "query", source: "history" });
+    }
+
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveHistory().catch((error) =>
+        Logger.warn("Could not save query history:", error.message),
+      );
+    }, SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  async saveHistory() {
+    const queries = Array.from(this.history.values())
+      .sort((a, b) => b.count - a.count || b.lastUsed.localeCompare(a.lastUsed))
+      .slice(0, MAX_HISTORY);
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, `${JSON.stringify({ queries }, null, 2)}\n`);
+  }
+
+  /**
+   * Reconstruye el trie si ha cambiado la ontología o el dataset
+   */
+  ensureIndex(entries) {
+    const entities = ontologyService.getNamedEntities();
+    const signature = [
+      ontologyService.store ? ontologyService.store.statements.length : 0,
+      entities.length,
+      entries.length,
+    ].join("|");
+    if (signature === this.signature) return;
+
+    this.trie.clear();
+
+    const classes = new Set(
+      ontologyService.loaded
+        ? ontologyService.getClasses().map((cls) => cls.uri)
+        : [],
+    );
+    entities.forEach(({ uri, names }) => {
+      const [name, ...labels] = names;
+      const type = classes.has(uri) ? "class" : "individual";
+      this.insert(name, { type, source: "ontology", uri });
+      labels
+        .filter((label) => this.normalize(label) !== this.normalize(name))
+        .forEach((label) =>
+          this.insert(label, { type: "label", source: "ontology", uri }),
+        );
+    });
+
+    entries.forEach((entry) => {
+      if (entry.label) {
+        this.insert(entry.label, {
+          type: "label",
+          source: "local-dataset",
+          uri: entry.uri,
+        });
+      }
+      const aliases = entry.properties?.aliases || [];
+      (Array.isArray(aliases) ? aliases : [aliases]).forEach((alias) =>
+        this.insert(alias, {
+          type: "alias",
+          source: "local-dataset",
+          uri: entry.uri,
+        }),
+      );
+    });
+
+    this.history.forEach(({ text }) =>
+      this.insert(text, { type: "query", source: "history" }),
+    );
+
+    this.signature = signature;
+    Logger.info(`Suggestion index: ${this.trie.size} keys`);
+  }
+
+  /**
+   * Indexa el texto completo y cada palabra a partir de la segunda
+   */
+  insert(text, value) {
+    const normalized = this.normalize(text);
+    if (!normalized) return;
+
+    const suggestion = { ...value, text: String(text).trim() };
+    const words = normalized.split(" ");
+    words.forEach((_, index) =>
+      this.trie.insert(words.slice(index).join(" "), suggestion),
+    );
+  }
+
+  normalize(text) {
+    return String(text || "")
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  getStats() {
+    return {
+      keys: this.trie.size,
+      queries: this.history.size,
+      historyFile: this.file,
+    };
+  }
+}
+
+module.exports = new SuggestService();
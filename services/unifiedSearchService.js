@@ -1,31 +1,380 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
 const ontologyService = require("./ontologyService");
-const localDbpediaService = require("./localDbpediaService");
+const facetService = require("./facetService");
+const entityLinkService = require("./entityLinkService");
+const qaService = require("./qaService");
+const spellingService = require("./spellingService");
+const suggestService = require("./suggestService");
+const comparisonService = require("./comparisonService");
+const cacheService = require("./cacheService");
+const { createKnowledgeSources } = require("./knowledgeSources");
+const {
+  KNOWLEDGE_SOURCES,
+  SERVICE_STATE_FILE,
+  HEALTH_CHECK_INTERVAL,
+} = require("../config/constants");
 const Logger = require("../utils/logger");
 
+// El modo offline se guarda junto a los datos del proyecto, se arranque
+// desde donde se arranque
+const STATE_FILE = path.resolve(__dirname, "..", SERVICE_STATE_FILE);
+
 class UnifiedSearchService {
   constructor() {
     this.initialized = false;
-    this.cache = new Map();
+    this.knowledgeSources = [];
+    this.isOnline = true;
+    this.offlineMode = false;
+    this.lastHealthCheck = null;
   }
 
   async init() {
     try {
-      await localDbpediaService.init();
+      const sources = createKnowledgeSources(KNOWLEDGE_SOURCES);
+      this.knowledgeSources = [];
+
+      for (const source of sources) {
+        try {
+          await source.init();
+          this.knowledgeSources.push(source);
+        } catch (error) {
+          Logger.error(`Error initializing source ${source.name}:`, error);
+        }
+      }
+
+      await this.loadServiceState();
+      await entityLinkService.init();
+      await suggestService.init();
+
       this.initialized = true;
-      Logger.info("Unified Search Service initialized");
+      Logger.info(
+        `Unified Search Service initialized (sources: ${this.knowledgeSources.map((s) => s.name).join(" -> ")})`,
+      );
     } catch (error) {
       Logger.error("Error initializing Unified Search Service:", error);
     }
   }
 
+  /**
+   * Recupera el modo offline guardado en disco
+   */
+  async loadServiceState() {
+    try {
+      const state = JSON.parse(await fs.readFile(STATE_FILE, "utf8"));
+      this.offlineMode = state.offlineMode === true;
+      Logger.info(`Offline mode restored: ${this.offlineMode}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        Logger.warn("Could not read service state:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Activa o desactiva el modo offline y lo guarda para los reinicios. Al
+   * volver a online se comprueba la conexión de las fuentes remotas
+   * @param {boolean} offline
+   * @returns {Promise<Object>} Estado del modo (getModeInfo)
+   */
+  async setOfflineMode(offline) {
+    this.offlineMode = offline;
+
+    await fs.mkdir(path.dirname(STATE_FILE), { recursive: true });
+    await fs.writeFile(
+      STATE_FILE,
+      JSON.stringify(
+        { offlineMode: offline, updatedAt: new Date().toISOString() },
+        null,
+        2,
+      ),
+    );
+    Logger.info(`Offline mode ${offline ? "enabled" : "disabled"}`);
+
+    if (!offline) await this.checkHealth();
+    return this.getModeInfo();
+  }
+
+  /**
+   * Comprueba las fuentes remotas; hay conexión si alguna responde
+   * @returns {Promise<Object>} { timestamp, online, sources }
+   */
+  async checkHealth() {
+    const remoteSources = this.knowledgeSources.filter((s) => s.remote);
+    const sources = await Promise.all(remoteSources.map((s) => s.health()));
+
+    this.isOnline =
+      remoteSources.length === 0 || sources.some((result) => result.healthy);
+    this.lastHealthCheck = {
+      timestamp: Date.now(),
+      online: this.isOnline,
+      sources,
+    };
+
+    Logger.info(`Health check: ${this.isOnline ? "online" : "offline"}`);
+    return this.lastHealthCheck;
+  }
+
+  /**
+   * Las fuentes remotas se omiten en modo offline y, si se detectó que no
+   * hay conexión, hasta que toque repetir la comprobación
+   */
+  async canUseRemoteSources(preferOffline = false) {
+    if (this.offlineMode || preferOffline) return false;
+    if (this.isOnline) return true;
+
+    const lastCheck = this.lastHealthCheck ? this.lastHealthCheck.timestamp : 0;
+    if (Date.now() - lastCheck >= HEALTH_CHECK_INTERVAL) {
+      await this.checkHealth();
+    }
+    return this.isOnline;
+  }
+
+  getModeInfo() {
+    let mode = "online";
+    if (this.offlineMode) mode = "offline";
+    else if (!this.isOnline) mode = "offline-auto";
+
+    return {
+      mode,
+      offlineMode: this.offlineMode,
+      isOnline: this.isOnline,
+      lastHealthCheck: this.lastHealthCheck,
+    };
+  }
+
+  /**
+   * Recorre la cadena de fuentes de conocimiento y devuelve la primera
+   * respuesta con resultados. Lo obtenido de fuentes remotas se guarda en
+   * las fuentes de caché de la cadena
+   * @param {string} query - Término de búsqueda
+   * @param {Object} options - { preferOffline, language, topic }
+   * @returns {Promise<Object>} { english, spanish, total, source }
+   */
+  async searchKnowledgeSources(query, options = {}) {
+    let useRemote = await this.canUseRemoteSources(options.preferOffline);
+
+    for (const source of this.knowledgeSources) {
+      if (source.remote && !useRemote) continue;
+
+      try {
+        const results = await source.search(query, options);
+
+        if (results.total > 0) {
+          Logger.info(
+            `Found ${results.total} results in ${source.name} (${results.source})`,
+          );
+          if (source.remote) await this.storeInCaches(query, results);
+          return results;
+        }
+      } catch (error) {
+        Logger.warn(`Knowledge source ${source.name} failed:`, error.message);
+        if (source.remote) {
+          await this.checkHealth();
+          useRemote = this.isOnline;
+        }
+      }
+    }
+
+    Logger.info("No results found in any source");
+    return {
+      english: [],
+      spanish: [],
+      total: 0,
+      source: "empty",
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Sugerencias de owl:sameAs entre la ontología y las entradas de las
+   * fuentes que exponen su contenido (dataset local)
+   * @param {Object} options - { minScore }
+   */
+  suggestEntityLinks(options = {}) {
+    const entries = this.knowledgeSources.flatMap((source) =>
+      source.listEntries(),
+    );
+    return entityLinkService.suggestLinks(entries, options);
+  }
+
+  /**
+   * Responde una pregunta con los hechos de la ontología y de las fuentes
+   * que exponen su contenido (dataset local)
+   * @param {string} question - Pregunta en lenguaje natural
+   */
+  answerQuestion(question) {
+    const entries = this.knowledgeSources.flatMap((source) =>
+      source.listEntries(),
+    );
+    return qaService.answer(question, { entries });
+  }
+
+  async storeInCaches(query, results) {
+    for (const source of this.knowledgeSources.filter((s) => s.cache)) {
+      await source.store(query, results);
+    }
+  }
+
+  /**
+   * Detalles de un recurso externo en cada fuente de la cadena que lo
+   * conozca. Las fuentes remotas solo se consultan si no hay detalle en
+   * caché, y lo que devuelven se guarda en ella
+   * @returns {Promise<Array<Object>>} { source, detail }
+   */
+  async collectKnowledgeDetails(id, uri) {
+    let useRemote = await this.canUseRemoteSources();
+    const details = [];
+
+    for (const source of this.knowledgeSources) {
+      if (source.remote && !useRemote) continue;
+
+      try {
+        const detail = await source.getDetail(id, uri);
+        if (!detail) continue;
+
+        details.push({ source: source.name, detail });
+        if (source.cache) useRemote = false;
+
+        if (source.remote) {
+          for (const cache of this.knowledgeSources.filter((s) => s.cache)) {
+            await cache.storeDetail(id, uri, detail);
+          }
+          useRemote = false;
+        }
+      } catch (error) {
+        Logger.warn(`Detail from ${source.name} failed:`, error.message);
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * Corrige la ortografía de la consulta con el vocabulario de la ontología,
+   * el dataset local y los juegos
+   */
+  correctSpelling(query) {
+    const entries = this.knowledgeSources.flatMap((source) =>
+      source.listEntries(),
+    );
+    return spellingService.correct(query, { entries });
+  }
+
+  /**
+   * Búsqueda unificada. La respuesta incluye en `spelling` las consultas
+   * corregidas sugeridas; si la consulta no da ningún resultado se repite
+   * con la corrección (salvo con autoCorrect: false) y `spelling.applied`
+   * lo indica
+   */
   async search(query, options = {}) {
+    const { autoCorrect = true } = options;
+    const spelling = query.trim()
+      ? this.correctSpelling(query)
+      : { original: query, corrected: null, suggestions: [], corrections: [] };
+
+    const response = await this.runSearch(query, options);
+    if (
+      !autoCorrect ||
+      !response.success ||
+      response.stats.total > 0 ||
+      !spelling.corrected
+    ) {
+      if (response.stats?.total > 0) suggestService.recordQuery(query);
+      return { ...response, spelling: { ...spelling, applied: false } };
+    }
+
+    Logger.info(
+      `No results for "${query}", searching "${spelling.corrected}" instead`,
+    );
+    const corrected = await this.runSearch(spelling.corrected, options);
+    const applied = corrected.success && corrected.stats.total > 0;
+    if (applied) suggestService.recordQuery(spelling.corrected);
+
+    return {
+      ...(applied ? corrected : response),
+      spelling: { ...spelling, applied },
+    };
+  }
+
+  /**
+   * Sugerencias de autocompletado para lo que lleva escrito el usuario
+   * @param {string} prefix
+   * @param {Object} options - { limit }
+   */
+  suggest(prefix, { limit } = {}) {
+    const entries = this.knowledgeSources.flatMap((source) =>
+      source.listEntries(),
+    );
+    return suggestService.suggest(prefix, { entries, limit });
+  }
+
+  /**
+   * Compara varios juegos con las propiedades de la ontología y de las
+   * fuentes externas enlazadas (dataset local, caché, DBpedia)
+   * @param {string|Array<string>} ids - URIs, ids del dataset o nombres
+   *   locales de la ontología
+   * @returns {Promise<Object>} { games, properties, best, notFound }
+   */
+  async compare(ids) {
+    const requested = comparisonService.parseIds(ids);
+    const entries = this.knowledgeSources.flatMap((source) =>
+      source.listEntries(),
+    );
+
+    const games = [];
+    const notFound = [];
+    for (const id of requested) {
+      const uri = comparisonService.resolveUri(id, entries);
+      if (!uri) {
+        notFound.push(id);
+        continue;
+      }
+
+      const { individuals, external } = comparisonService.expandUris(uri);
+      const details = [];
+      for (const externalUri of external) {
+        const found = await this.collectKnowledgeDetails(null, externalUri);
+        found.forEach((entry) => details.push({ ...entry, uri: externalUri }));
+      }
+
+      games.push(
+        comparisonService.describe({
+          id,
+          uri,
+          individuals,
+          external: details,
+        }),
+      );
+    }
+
+    if (games.length < comparisonService.MIN_COMPARE) {
+      throw new comparisonService.ComparisonError(
+        `No se encontraron juegos suficientes para comparar: ${notFound.join(", ")}`,
+        404,
+      );
+    }
+
+    return {
+      games,
+      properties: comparisonService.getProperties(),
+      best: comparisonService.findBest(games),
+      notFound,
+    };
+  }
+
+  async runSearch(query, options = {}) {
     try {
       const {
         includeDbpedia = false,
-        maxResults = 20,
+        maxResults = 20, // tamaño de página
+        page = 1,
         language = "auto",
         preferOffline = false,
         mode = "hybrid", // "local", "dbpedia", "hybrid"
+        filters = [], // filtros de propiedades, solo aplican a la ontología
+        facets = {}, // selección de facetas (facetService.parseSelection)
       } = options;
 
       Logger.info(
@@ -35,13 +384,25 @@ class UnifiedSearchService {
       let localResults = [];
       let dbpediaResults = { english: [], spanish: [], total: 0 };
 
+      const answer = query.trim() ? this.answerQuestion(query) : null;
+
       if (mode === "local" || mode === "hybrid") {
-        localResults = await this.searchLocal(query);
+        localResults = (await this.searchLocal(query, filters)).map(
+          (result) => ({
+            ...result,
+            contextualAnswer: answer?.answer || result.contextualAnswer,
+          }),
+        );
       }
 
-      if (includeDbpedia && (mode === "dbpedia" || mode === "hybrid")) {
+      if (
+        includeDbpedia &&
+        query.trim() &&
+        filters.length === 0 &&
+        (mode === "dbpedia" || mode === "hybrid")
+      ) {
         try {
-          dbpediaResults = await localDbpediaService.searchWithFallback(query, {
+          dbpediaResults = await this.searchKnowledgeSources(query, {
             preferOffline,
             language,
           });
@@ -57,15 +418,30 @@ class UnifiedSearchService {
         query,
       );
 
-      const finalResults = combinedResults.slice(0, maxResults);
+      const faceted = facetService.apply(combinedResults, facets);
+      const totalResults = faceted.results.length;
+      const totalPages = Math.max(Math.ceil(totalResults / maxResults), 1);
+      const currentPage = Math.min(Math.max(page, 1), totalPages);
+      const finalResults = faceted.results.slice(
+        (currentPage - 1) * maxResults,
+        currentPage * maxResults,
+      );
 
       return {
         success: true,
         query,
         mode,
+        answer,
         results: finalResults,
+        facets: faceted.facets,
+        pagination: {
+          page: currentPage,
+          pageSize: maxResults,
+          total: totalResults,
+          totalPages,
+        },
         stats: {
-          total: finalResults.length,
+          total: totalResults,
           local: localResults.length,
           dbpedia: dbpediaResults ? dbpediaResults.total : 0,
           maxRelevance: finalResults.length > 0 ? finalResults[0].relevance : 0,
@@ -79,14 +455,17 @@ class UnifiedSearchService {
         success: false,
         error: error.message,
         results: [],
+        facets: [],
         stats: { total: 0, local: 0, dbpedia: 0 },
       };
     }
   }
 
-  async searchLocal(query) {
+  async searchLocal(query, filters = []) {
     try {
-      const results = ontologyService.searchByText(query);
+      const results = query.trim()
+        ? ontologyService.searchByText(query, filters)
+        : ontologyService.searchByFilters(filters);
       Logger.info(`Local search found ${results.length} results`);
 
       return results.map((result) => ({
@@ -100,36 +479,6 @@ class UnifiedSearchService {
     }
   }
 
-  async searchDbpedia(query) {
-    try {
-      const results = await dbpediaService.searchDBpedia(query);
-      Logger.info(`DBpedia search found ${results.total} results`);
-
-      const formattedResults = [
-        ...results.english.map((r) => ({
-          ...r,
-          searchType: "dbpedia",
-          displaySource: "DBpedia (EN)",
-          resultType: "dbpedia",
-        })),
-        ...results.spanish.map((r) => ({
-          ...r,
-          searchType: "dbpedia",
-          displaySource: "DBpedia (ES)",
-          resultType: "dbpedia",
-        })),
-      ];
-
-      return {
-        ...results,
-        formatted: formattedResults,
-      };
-    } catch (error) {
-      Logger.error("Error in DBpedia search:", error);
-      return { english: [], spanish: [], total: 0, formatted: [] };
-    }
-  }
-
   combineAndRankResults(localResults, dbpediaResults, query) {
     const allResults = [];
     const queryLower = query.toLowerCase();
@@ -152,7 +501,7 @@ class UnifiedSearchService {
             relevance: this.calculateDbpediaRelevance(result, queryLower),
             sourceBoost: 1.0,
             resultType: "dbpedia",
-            displaySource: "DBpedia (EN)",
+            displaySource: `${this.externalSourceName(result)} (EN)`,
             searchType: "dbpedia",
           });
         });
@@ -166,14 +515,14 @@ class UnifiedSearchService {
             relevance: this.calculateDbpediaRelevance(result, queryLower),
             sourceBoost: 1.0,
             resultType: "dbpedia",
-            displaySource: "DBpedia (ES)",
+            displaySource: `${this.externalSourceName(result)} (ES)`,
             searchType: "dbpedia",
           });
         });
       }
     }
 
-    const uniqueResults = this.removeDuplicates(allResults);
+    const uniqueResults = entityLinkService.mergeResults(allResults);
 
     return uniqueResults.sort((a, b) => {
       const scoreA = (a.relevance || 1) * (a.sourceBoost || 1);
@@ -235,46 +584,8 @@ class UnifiedSearchService {
     return score;
   }
 
-  removeDuplicates(results) {
-    const unique = [];
-    const seenNames = new Set();
-
-    for (const result of results) {
-      const name = (result.name || result.label || "").toLowerCase();
-      const normalizedName = this.normalizeName(name);
-
-      if (!seenNames.has(normalizedName)) {
-        seenNames.add(normalizedName);
-        unique.push(result);
-      } else {
-        const existingIndex = unique.findIndex(
-          (u) =>
-            this.normalizeName((u.name || u.label || "").toLowerCase()) ===
-            normalizedName,
-        );
-
-        if (existingIndex !== -1) {
-          const existing = unique[existingIndex];
-          const currentScore =
-            (result.relevance || 1) * (result.sourceBoost || 1);
-          const existingScore =
-            (existing.relevance || 1) * (existing.sourceBoost || 1);
-
-          if (currentScore > existingScore) {
-            unique[existingIndex] = result;
-          }
-        }
-      }
-    }
-
-    return unique;
-  }
-
-  normalizeName(name) {
-    return name
-      .replace(/[^a-z0-9]/g, "")
-      .replace(/\s+/g, "")
-      .substring(0, 20); 
+  externalSourceName(result) {
+    return result.source === "Wikidata" ? "Wikidata" : "DBpedia";
   }
 
   getSourceInfo(localResults, dbpediaResults) {
@@ -301,32 +612,167 @@ class UnifiedSearchService {
     return sources;
   }
 
+  /**
+   * Ficha fusionada de un resultado: propiedades de la ontología, datos del
+   * dataset local, detalle en caché u online y enlaces externos de todas las
+   * URIs enlazadas por owl:sameAs. Cada campo indica su fuente
+   * @param {string} id - Identificador del resultado
+   * @param {string} type - "local" o "dbpedia"
+   * @param {string} uri - URI del recurso
+   * @returns {Promise<Object|null>} Ficha fusionada; null si ninguna fuente
+   *   tiene datos de la URI
+   */
   async getResultDetails(id, type, uri) {
     try {
       Logger.info(`Getting details for ${type} result: ${id}`);
 
-      if (type === "local") {
-        return await this.getLocalDetails(id);
-      } else if (type === "dbpedia") {
-        return await this.getDbpediaDetails(id, uri);
+      if (type !== "local" && type !== "dbpedia") {
+        throw new Error(`Unknown result type: ${type}`);
+      }
+
+      const target = uri || id;
+      const linked = entityLinkService.getLinkedUris(target);
+      const localUri = linked.find((linkedUri) =>
+        ontologyService.hasResource(linkedUri),
+      );
+      const local = localUri ? await this.getLocalDetails(localUri) : null;
+
+      const external = [];
+      for (const linkedUri of linked.filter((u) => u !== localUri)) {
+        const details = await this.collectKnowledgeDetails(
+          linkedUri === target ? id : null,
+          linkedUri,
+        );
+        details.forEach((entry) => external.push({ ...entry, uri: linkedUri }));
       }
 
-      throw new Error(`Unknown result type: ${type}`);
+      if (!local && external.length === 0) return null;
+
+      return this.fuseDetails({ type, uri: target, linked, local, external });
     } catch (error) {
       Logger.error("Error getting result details:", error);
       return null;
     }
   }
 
+  /**
+   * Combina la ficha local y los detalles externos. Precedencia de la
+   * descripción: la de la ontología, la externa y por último la generada
+   */
+  fuseDetails({ type, uri, linked, local, external }) {
+    const fields = {};
+    const setField = (name, value, source) => {
+      if (value && !fields[name]) fields[name] = { value, source };
+    };
+
+    if (local) {
+      setField("name", local.name, "ontology");
+      if (!local.generatedDescription) {
+        setField("description", local.fullDescription, "ontology");
+      }
+      setField("summary", local.summary, "ontology");
+      setField("category", local.category, "ontology");
+    }
+
+    external.forEach(({ source, detail }) => {
+      setField("name", detail.label, source);
+      setField("abstract", detail.abstract, source);
+      setField("description", detail.description, source);
+    });
+
+    if (local) {
+      setField("description", local.fullDescription, "generated");
+    }
+
+    const properties = {};
+    const addProperty = (key, item) => {
+      if (!properties[key]) properties[key] = [];
+      properties[key].push(item);
+    };
+
+    if (local) {
+      Object.entries(local.properties).forEach(([key, values]) =>
+        values.forEach((item) =>
+          addProperty(key, {
+            ...item,
+            source: "ontology",
+            sourceUri: local.uri,
+          }),
+        ),
+      );
+    }
+
+    external.forEach(({ source, detail, uri: sourceUri }) => {
+      Object.entries(detail.properties || {}).forEach(([key, value]) =>
+        (Array.isArray(value) ? value : [value]).forEach((item) =>
+          addProperty(key, {
+            value: item,
+            lexical: String(item),
+            isLiteral: !/^https?:\/\//.test(String(item)),
+            datatype: null,
+            language: null,
+            source,
+            sourceUri,
+          }),
+        ),
+      );
+    });
+
+    const externalLinks = [];
+    const addLink = (link, source) => {
+      if (!externalLinks.some((existing) => existing.url === link.url)) {
+        externalLinks.push({ ...link, source });
+      }
+    };
+
+    external.forEach(({ source, detail }) =>
+      (detail.external_links || []).forEach((link) => addLink(link, source)),
+    );
+    linked
+      .filter((linkedUri) => !local || linkedUri !== local.uri)
+      .forEach((linkedUri) =>
+        this.generateExternalLinks(linkedUri).forEach((link) =>
+          addLink(link, "uri"),
+        ),
+      );
+
+    const sources = [
+      ...(local ? [{ name: "ontology", uri: local.uri }] : []),
+      ...external.map(({ source, detail, uri: sourceUri }) => ({
+        name: source,
+        uri: sourceUri,
+        detailSource: detail.source,
+      })),
+    ];
+
+    return {
+      ...(local || {}),
+      type,
+      uri,
+      name: fields.name ? fields.name.value : "",
+      sameAs: linked.filter((linkedUri) => linkedUri !== uri),
+      source: sources.length > 0 ? sources[0].name : "none",
+      sources,
+      fields,
+      properties,
+      fullDescription: fields.description ? fields.description.value : "",
+      externalLinks,
+    };
+  }
+
   async getLocalDetails(uri) {
     try {
-      const instance = ontologyService.getPropertiesOfInstance({ value: uri });
+      const properties = ontologyService.getPropertiesOfInstance({
+        value: uri,
+      });
+      const instance = ontologyService.summarizeProperties(properties);
       const name = ontologyService.extractLocalName(uri);
 
       const enrichedDescription = this.generateEnrichedDescription(
         name,
         instance,
       );
+      const generatedDescription = !this.findMainDescription(instance);
 
       return {
         type: "local",
@@ -334,9 +780,12 @@ class UnifiedSearchService {
         name: ontologyService.formatDisplayName
           ? ontologyService.formatDisplayName(name)
           : name,
-        properties: instance,
+        properties,
         source: "Local Ontology",
+        sourceFiles: ontologyService.getEntitySources(uri),
+        types: ontologyService.getTypesOfInstance(uri),
         fullDescription: enrichedDescription.full,
+        generatedDescription,
         summary: enrichedDescription.summary,
         contextualInfo: enrichedDescription.context,
         relatedConcepts: this.findRelatedConcepts(uri),
@@ -349,23 +798,6 @@ class UnifiedSearchService {
     }
   }
 
-  async getDbpediaDetails(uri) {
-    try {
-      return {
-        type: "dbpedia",
-        uri,
-        properties: {},
-        source: "DBpedia",
-        fullDescription:
-          "Información disponible en DBpedia. Accede al enlace externo para más detalles.",
-        externalLinks: this.generateExternalLinks(uri),
-      };
-    } catch (error) {
-      Logger.error("Error getting DBpedia details:", error);
-      throw error;
-    }
-  }
-
   generateFullDescription(properties) {
     const descriptions = [];
 
@@ -618,6 +1050,14 @@ class UnifiedSearchService {
       }
     }
 
+    if (uri.includes("wikidata.org")) {
+      links.push({
+        title: "Ver en Wikidata",
+        url: uri,
+        type: "wikidata",
+      });
+    }
+
     return links;
   }
 
@@ -636,19 +1076,29 @@ class UnifiedSearchService {
     return labels[prop] || prop.charAt(0).toUpperCase() + prop.slice(1);
   }
 
-  async cleanup() {
-    try {
-      this.cache.clear();
-      await localDbpediaService.cleanExpiredCache();
-      Logger.info("Unified Search Service cleanup completed");
-    } catch (error) {
-      Logger.error("Error during cleanup:", error);
+  /**
+   * Limpia la caché: sin selector borra las entradas caducadas; con
+   * { key } o { prefix } invalida las entradas indicadas
+   * @returns {Promise<number>} Entradas eliminadas
+   */
+  async cleanup(selector = {}) {
+    if (selector.key !== undefined || selector.prefix !== undefined) {
+      return cacheService.invalidate(selector);
+    }
+
+    let removed = 0;
+    for (const source of this.knowledgeSources.filter((s) => s.cache)) {
+      removed += await source.cleanExpired();
     }
+    Logger.info("Unified Search Service cleanup completed");
+    return removed;
   }
 
   async reloadLocalDataset() {
     try {
-      await localDbpediaService.reloadLocalDataset();
+      for (const source of this.knowledgeSources) {
+        if (typeof source.reload === "function") await source.reload();
+      }
       Logger.info("Local dataset reloaded successfully");
     } catch (error) {
       Logger.error("Error reloading local dataset:", error);
@@ -659,17 +1109,26 @@ class UnifiedSearchService {
     return {
       unified: {
         initialized: this.initialized,
-        cacheSize: this.cache.size,
       },
-      dbpedia: localDbpediaService.getStats(),
+      cache: cacheService.getStats(),
+      spelling: spellingService.getStats(),
+      suggest: suggestService.getStats(),
+      dbpedia: {
+        ...this.getModeInfo(),
+        chain: this.knowledgeSources.map((source) => source.name),
+        sources: this.knowledgeSources.map((source) => source.getStats()),
+      },
     };
   }
 
+  /**
+   * Mismo formato que los ids de ontologyService y de las fuentes
+   */
   generateId(text) {
-    return Buffer.from(text || "default")
-      .toString("base64")
-      .replace(/[^a-zA-Z0-9]/g, "")
-      .substring(0, 12);
+    return crypto
+      .createHash("sha1")
+      .update(text || "default")
+      .digest("hex");
   }
 }
 
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const gameKnowledgeService = require("../services/gameKnowledgeService");
+const betCalculatorService = require("../services/betCalculatorService");
+
+test.before(async () => {
+  await gameKnowledgeService.init();
+  gameKnowledgeService.unwatch();
+});
+
+// Ventajas de la casa (%) publicadas para cada apuesta
+const HOUSE_EDGES = [
+  ["ruleta", "straight", "european", 2.7],
+  ["ruleta", "split", "european", 2.7],
+  ["ruleta", "dozen", "european", 2.7],
+  ["ruleta", "red", "european", 2.7],
+  ["ruleta", "straight", "american", 5.26],
+  ["ruleta", "corner", "american", 5.26],
+  ["ruleta", "red", "american", 5.26],
+  ["ruleta", "fiveNumber", "american", 7.89],
+  ["baccarat", "banker", undefined, 1.06],
+  ["baccarat", "player", undefined, 1.24],
+  ["baccarat", "tie", undefined, 14.36],
+  ["dados", "pass", undefined, 1.41],
+  ["dados", "dontPass", undefined, 1.36],
+  ["dados", "field", undefined, 5.56],
+  ["dados", "any7", undefined, 16.67],
+  ["dados", "anyCraps", undefined, 11.11],
+  ["blackjack", "insurance", undefined, 7.69],
+  ["blackjack", "perfectPairs", undefined, 6.11],
+];
+
+test("ventaja de la casa de cada apuesta", () => {
+  HOUSE_EDGES.forEach(([game, bet, variant, houseEdge]) => {
+    const result = betCalculatorService.calculate(game, bet, { variant });
+    assert.strictEqual(
+      result.houseEdge,
+      houseEdge,
+      `${game} ${bet} ${variant || ""}`,
+    );
+    assert.strictEqual(result.rtp, Number((100 - houseEdge).toFixed(2)));
+  });
+});
+
+test("las probabilidades de cada apuesta suman 1", () => {
+  ["ruleta", "baccarat", "dados", "blackjack"].forEach((game) =>
+    betCalculatorService.listBets(game).forEach(({ bet, outcomes }) => {
+      const total = outcomes.reduce((sum, o) => sum + o.probability, 0);
+      assert.ok(Math.abs(total - 1) < 1e-3, `${game} ${bet}: ${total}`);
+    }),
+  );
+});
+
+test("el valor esperado escala con la cantidad apostada", () => {
+  const result = betCalculatorService.calculate("dados", "pass", {
+    stake: 100,
+  });
+
+  assert.strictEqual(result.expectedValue, -1.4141);
+  assert.strictEqual(result.probability, 0.4929);
+});
+
+test("apuestas, juegos y variantes desconocidos", () => {
+  assert.throws(() => betCalculatorService.calculate("dados", "hardway"), {
+    statusCode: 404,
+  });
+  assert.throws(() => betCalculatorService.calculate("poker", "ante"), {
+    statusCode: 404,
+  });
+  assert.throws(
+    () =>
+      betCalculatorService.calculate("ruleta", "fiveNumber", {
+        variant: "european",
+      }),
+    { statusCode: 400 },
+  );
+  assert.throws(
+    () => betCalculatorService.calculate("ruleta", "red", { stake: -1 }),
+    { statusCode: 400 },
+  );
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const intentClassifierService = require("../services/intentClassifierService");
+const { INTENT_MIN_CONFIDENCE } = require("../config/constants");
+
+test.before(() => intentClassifierService.init());
+
+test("intención de las preguntas por un término", () => {
+  [
+    ["cual es el RTP de la ruleta", "payout"],
+    ["rtp del blackjack", "payout"],
+    ["valor esperado de apostar al caballo en la ruleta", "expectedValue"],
+    ["ev of the pass line in craps", "expectedValue"],
+    ["que es el rtp", "definition"],
+    ["quien invento la ruleta", "definition"],
+    ["que es el poker", "definition"],
+  ].forEach(([text, intent]) =>
+    assert.strictEqual(
+      intentClassifierService.predict(text).intent,
+      intent,
+      text,
+    ),
+  );
+});
+
+test("predict y classify coinciden por encima de la confianza mínima", () => {
+  ["cual es el RTP de la ruleta", "consejos para el blackjack"].forEach(
+    (text) => {
+      const [best] = intentClassifierService.classify(text, { limit: 1 });
+      assert.ok(best.confidence >= INTENT_MIN_CONFIDENCE);
+      assert.deepStrictEqual(intentClassifierService.predict(text), best);
+    },
+  );
+});
+
+test("las búsquedas de una palabra sin intención clara son search", () => {
+  ["ruleta", "apuestas", "jackpot", "bets"].forEach((text) => {
+    const { intent, confidence } = intentClassifierService.predict(text);
+    assert.strictEqual(intent, "search", `${text} (${confidence})`);
+  });
+});
+
+test("precisión sobre el conjunto reservado", async () => {
+  const { test: testSet } = await intentClassifierService.loadUtterances();
+  const report = intentClassifierService.evaluate(testSet);
+
+  assert.ok(report.accuracy >= 0.85, `accuracy ${report.accuracy}`);
+});
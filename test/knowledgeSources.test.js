@@ -0,0 +1,349 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const path = require("path");
+const SparqlEndpointSource = require("../services/knowledgeSources/sparqlEndpointSource");
+const WikidataSource = require("../services/knowledgeSources/wikidataSource");
+
+// Respuestas SPARQL JSON con la forma de las de DBpedia y Wikidata
+const fixture = (name) => require(path.join(__dirname, "fixtures", name));
+
+/**
+ * Endpoint SPARQL local. `handler(request, res)` responde a cada petición;
+ * `requests` guarda la ruta, la consulta y la cabecera Accept recibidas
+ */
+const startEndpoint = (handler) =>
+  new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      const request = {
+        path: url.pathname,
+        query: url.searchParams.get("query"),
+        accept: req.headers.accept,
+      };
+      requests.push(request);
+      handler(request, res);
+    });
+
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      }),
+    );
+  });
+
+const reply = (res, body, status = 200) => {
+  res.writeHead(status, { "Content-Type": "application/sparql-results+json" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+};
+
+const EMPTY = { head: { vars: [] }, results: { bindings: [] } };
+
+test("SparqlEndpointSource", async (t) => {
+  let respond = () => {};
+  const endpoint = await startEndpoint((request, res) => respond(request, res));
+  t.after(() => endpoint.close());
+
+  const source = new SparqlEndpointSource({
+    endpoints: { en: `${endpoint.url}/en`, es: `${endpoint.url}/es` },
+    timeout: 200,
+  });
+
+  await t.test("search consulta cada idioma y une los resultados", async () => {
+    endpoint.requests.length = 0;
+    respond = (request, res) =>
+      reply(
+        res,
+        fixture(`dbpedia-search${request.path.replace("/", "-")}.json`),
+      );
+
+    const result = await source.search("ruleta");
+
+    assert.deepStrictEqual(endpoint.requests.map((r) => r.path).sort(), [
+      "/en",
+      "/es",
+    ]);
+    assert.ok(
+      endpoint.requests.every(
+        (r) =>
+          r.accept === "application/sparql-results+json" &&
+          /VALUES \(\?term \?pattern\) \{ \("ruleta" "ruleta"\) \}/.test(
+            r.query,
+          ),
+      ),
+    );
+    assert.strictEqual(result.source, "online");
+    assert.strictEqual(result.total, 3);
+
+    // Filas repetidas del mismo recurso se unen; primero las más completas
+    assert.deepStrictEqual(
+      result.english.map((r) => [r.label, r.relevance]),
+      [
+        ["Roulette", 4],
+        ["Russian roulette", 2],
+      ],
+    );
+    const [roulette] = result.english;
+    assert.strictEqual(roulette.uri, "http://dbpedia.org/resource/Roulette");
+    assert.strictEqual(roulette.language, "en");
+    assert.strictEqual(roulette.source, "DBpedia");
+    assert.strictEqual(roulette.description, roulette.abstract);
+    assert.match(roulette.thumbnail, /Roulette_wheel\.jpg$/);
+    assert.match(roulette.id, /^[0-9a-f]{40}$/);
+    assert.strictEqual(
+      result.english[1].description,
+      result.english[1].comment,
+    );
+
+    assert.deepStrictEqual(
+      result.spanish.map((r) => [r.label, r.language]),
+      [["Ruleta", "es"]],
+    );
+  });
+
+  await t.test("topic casino-game usa la consulta de juegos", async () => {
+    endpoint.requests.length = 0;
+    respond = (request, res) => reply(res, EMPTY);
+
+    const result = await source.search("ruleta", { topic: "casino-game" });
+
+    assert.strictEqual(result.total, 0);
+    assert.ok(endpoint.requests.every((r) => /\?origin/.test(r.query)));
+  });
+
+  await t.test("si falla un idioma se devuelven los del otro", async () => {
+    respond = (request, res) =>
+      request.path === "/es"
+        ? reply(res, "error", 503)
+        : reply(res, fixture("dbpedia-search-en.json"));
+
+    const result = await source.search("ruleta");
+
+    assert.strictEqual(result.english.length, 2);
+    assert.strictEqual(result.spanish.length, 0);
+  });
+
+  await t.test("si fallan todos los idiomas se lanza el error", async () => {
+    respond = (request, res) => reply(res, "error", 503);
+
+    await assert.rejects(source.search("ruleta"), {
+      message: /dbpedia-sparql (en|es) unavailable: HTTP 503/,
+    });
+  });
+
+  await t.test("una respuesta que no es JSON es un error", async () => {
+    respond = (request, res) => reply(res, "<html>mantenimiento</html>");
+
+    await assert.rejects(source.execute("ASK { ?s ?p ?o }", "en"), {
+      message: /^dbpedia-sparql en unavailable: /,
+    });
+  });
+
+  await t.test("timeout", async () => {
+    // No responde: la petición se aborta al pasar `timeout`
+    respond = () => {};
+
+    const started = Date.now();
+    await assert.rejects(source.execute("ASK { ?s ?p ?o }", "es"), {
+      message: "dbpedia-sparql es: timeout - no connection",
+    });
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  await t.test("idioma sin endpoint", async () => {
+    await assert.rejects(source.execute("ASK { ?s ?p ?o }", "fr"), {
+      message: /No hay endpoint SPARQL configurado para "fr"/,
+    });
+  });
+
+  await t.test("getDetail elige el endpoint por la URI", async () => {
+    endpoint.requests.length = 0;
+    respond = (request, res) => reply(res, fixture("dbpedia-detail.json"));
+
+    const detail = await source.getDetail(
+      "id",
+      "http://dbpedia.org/resource/Roulette",
+    );
+    await source.getDetail("id", "http://es.dbpedia.org/resource/Ruleta");
+
+    assert.deepStrictEqual(
+      endpoint.requests.map((r) => r.path),
+      ["/en", "/es"],
+    );
+    assert.match(
+      endpoint.requests[0].query,
+      /<http:\/\/dbpedia.org\/resource\/Roulette> \?property \?value/,
+    );
+    assert.match(endpoint.requests[1].query, /LANG\(\?value\) = "es"/);
+
+    assert.strictEqual(detail.uri, "http://dbpedia.org/resource/Roulette");
+    assert.strictEqual(detail.label, "Roulette");
+    assert.match(detail.abstract, /^Roulette is a casino game/);
+    assert.strictEqual(detail.description, detail.abstract);
+    assert.strictEqual(detail.source, "dbpedia-detailed");
+    // Valores repetidos en lista; los vacíos se descartan
+    assert.deepStrictEqual(detail.properties.type, [
+      "http://dbpedia.org/ontology/Game",
+      "http://www.w3.org/2002/07/owl#Thing",
+    ]);
+    assert.strictEqual(detail.properties.players, undefined);
+  });
+
+  await t.test("getDetail sin resultados o de otra fuente", async () => {
+    endpoint.requests.length = 0;
+    respond = (request, res) => reply(res, EMPTY);
+
+    assert.strictEqual(
+      await source.getDetail("id", "http://dbpedia.org/resource/Nada"),
+      null,
+    );
+    assert.strictEqual(
+      await source.getDetail("id", "http://www.wikidata.org/entity/Q1"),
+      null,
+    );
+    assert.strictEqual(endpoint.requests.length, 1);
+  });
+
+  await t.test("health", async () => {
+    respond = (request, res) => reply(res, { head: {}, boolean: true });
+    const healthy = await source.health();
+    assert.strictEqual(healthy.healthy, true);
+    assert.strictEqual(healthy.source, "dbpedia-sparql");
+
+    respond = (request, res) => reply(res, "error", 500);
+    const unhealthy = await source.health();
+    assert.strictEqual(unhealthy.healthy, false);
+    assert.match(unhealthy.message, /HTTP 500/);
+  });
+});
+
+test("WikidataSource", async (t) => {
+  let respond = () => {};
+  const endpoint = await startEndpoint((request, res) => respond(request, res));
+  t.after(() => endpoint.close());
+
+  const source = new WikidataSource({
+    endpoint: `${endpoint.url}/sparql`,
+    timeout: 200,
+  });
+
+  // El mismo endpoint sirve los dos idiomas; el idioma va en la consulta
+  const byLanguage = (request, res) =>
+    /mwapi:language "es"/.test(request.query)
+      ? reply(res, fixture("wikidata-search-es.json"))
+      : reply(res, EMPTY);
+
+  await t.test("search busca por etiqueta o alias en cada idioma", async () => {
+    endpoint.requests.length = 0;
+    respond = byLanguage;
+
+    const result = await source.search("Ruleta");
+
+    assert.strictEqual(endpoint.requests.length, 2);
+    assert.ok(
+      endpoint.requests.every((r) => /mwapi:search "Ruleta"/.test(r.query)),
+    );
+    assert.ok(
+      endpoint.requests.some((r) =>
+        /<https:\/\/en\.wikipedia\.org\/>/.test(r.query),
+      ),
+    );
+    assert.strictEqual(result.english.length, 0);
+    assert.deepStrictEqual(
+      result.spanish.map((r) => r.id),
+      ["Q1000001", "Q1000002"],
+    );
+
+    const [roulette, russian] = result.spanish;
+    assert.strictEqual(roulette.source, "Wikidata");
+    assert.strictEqual(roulette.relevance, 4);
+    assert.deepStrictEqual(roulette.properties, {
+      inventor: "Blaise Pascal",
+      origin: "Francia",
+      equipment: "rueda de ruleta, bola",
+      players: "1+",
+      aliases: ["ruleta francesa", "ruleta europea"],
+    });
+    assert.deepStrictEqual(roulette.external_links, [
+      {
+        title: "ruleta - Wikipedia",
+        url: "https://es.wikipedia.org/wiki/Ruleta",
+        type: "wikipedia",
+      },
+    ]);
+    assert.deepStrictEqual(russian.properties, { players: "2-6" });
+    assert.deepStrictEqual(russian.external_links, []);
+  });
+
+  await t.test("idioma no soportado usa el inglés", async () => {
+    const query = source.buildSearchQuery("ruleta", "xx-!!");
+    assert.match(query, /mwapi:language "en"/);
+    assert.match(query, /FILTER \(LANG\(\?label\) = "en"\)/);
+  });
+
+  await t.test("si falla un idioma se devuelven los del otro", async () => {
+    respond = (request, res) =>
+      /mwapi:language "es"/.test(request.query)
+        ? reply(res, fixture("wikidata-search-es.json"))
+        : reply(res, "error", 429);
+
+    const result = await source.search("ruleta");
+    assert.strictEqual(result.spanish.length, 2);
+  });
+
+  await t.test("errores y timeout", async () => {
+    respond = (request, res) => reply(res, "error", 500);
+    await assert.rejects(source.search("ruleta"), {
+      message: /^wikidata (es|en) unavailable: HTTP 500$/,
+    });
+
+    respond = () => {};
+    await assert.rejects(source.search("ruleta"), {
+      message: /^wikidata (es|en): timeout - no connection$/,
+    });
+  });
+
+  await t.test("getDetail", async () => {
+    endpoint.requests.length = 0;
+    respond = (request, res) => reply(res, fixture("wikidata-search-es.json"));
+
+    const uri = "http://www.wikidata.org/entity/Q1000001";
+    const detail = await source.getDetail("Q1000001", uri);
+
+    assert.match(
+      endpoint.requests[0].query,
+      /VALUES \(\?item\) \{ \(<http:\/\/www\.wikidata\.org\/entity\/Q1000001>\) \}/,
+    );
+    assert.deepStrictEqual(
+      {
+        uri: detail.uri,
+        label: detail.label,
+        description: detail.description,
+        source: detail.source,
+        inventor: detail.properties.inventor,
+      },
+      {
+        uri,
+        label: "ruleta",
+        description: "juego de azar de casino",
+        source: "wikidata-detailed",
+        inventor: "Blaise Pascal",
+      },
+    );
+    assert.strictEqual(detail.external_links.length, 1);
+
+    respond = (request, res) => reply(res, EMPTY);
+    assert.strictEqual(await source.getDetail("Q1", `${uri}9`), null);
+    assert.strictEqual(
+      await source.getDetail("x", "http://dbpedia.org/resource/Roulette"),
+      null,
+    );
+    assert.strictEqual(endpoint.requests.length, 2);
+  });
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const $rdf = require("rdflib");
+const ontologyService = require("../services/ontologyService");
+const { OntologyParseError } = require("../services/ontologyService");
+
+const rdf = (body, { close = true } = {}) =>
+  [
+    '<?xml version="1.0"?>',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:ex="http://example.org/">',
+    ...body,
+    ...(close ? ["</rdf:RDF>"] : []),
+    "",
+  ].join("\n");
+
+const parseError = (content) => {
+  try {
+    ontologyService.checkXml(content, "casino.owl");
+  } catch (error) {
+    assert.ok(error instanceof OntologyParseError);
+    assert.strictEqual(error.file, "casino.owl");
+    assert.strictEqual(error.format, "application/rdf+xml");
+    return error;
+  }
+  assert.fail("el XML debería ser rechazado");
+};
+
+test("XML bien formado", () => {
+  assert.doesNotThrow(() =>
+    ontologyService.checkXml(
+      rdf([
+        '  <rdf:Description rdf:about="http://example.org/ruleta">',
+        "    <ex:nombre>Ruleta &amp; bola</ex:nombre>",
+        "  </rdf:Description>",
+      ]),
+      "casino.owl",
+    ),
+  );
+});
+
+test("etiqueta que se cierra con otro nombre", () => {
+  const error = parseError(
+    rdf([
+      '  <rdf:Description rdf:about="http://example.org/ruleta">',
+      "    <ex:p>x</ex:q>",
+      "  </rdf:Description>",
+    ]),
+  );
+
+  assert.strictEqual(error.line, 4);
+  assert.strictEqual(error.column, 5);
+  assert.match(error.message, /<ex:p> no tiene etiqueta de cierre/);
+});
+
+test("falta </rdf:RDF>", () => {
+  const error = parseError(
+    rdf(['  <rdf:Description rdf:about="http://example.org/ruleta"/>'], {
+      close: false,
+    }),
+  );
+
+  assert.strictEqual(error.line, 2);
+  assert.strictEqual(error.column, 1);
+  assert.match(error.message, /<rdf:RDF> no tiene etiqueta de cierre/);
+  assert.doesNotMatch(error.message, /Hierarchy request error/);
+});
+
+test("elemento después del elemento raíz", () => {
+  const error = parseError(`${rdf([])}<ex:extra/>\n`);
+
+  assert.strictEqual(error.line, 4);
+  assert.match(error.message, /fuera del elemento raíz/);
+});
+
+test("atributos mal escritos", () => {
+  const unquoted = parseError(
+    rdf(["  <rdf:Description rdf:about=http://example.org/ruleta/>"]),
+  );
+  assert.strictEqual(unquoted.line, 3);
+  assert.match(unquoted.message, /missed quot/);
+
+  const repeated = parseError(
+    rdf(['  <rdf:Description rdf:about="a" rdf:about="b"/>']),
+  );
+  assert.strictEqual(repeated.line, 3);
+  assert.match(repeated.message, /redefined/);
+});
+
+const parseTurtle = async (lines) => {
+  try {
+    await ontologyService.parseContent(
+      lines.join("\n"),
+      $rdf.graph(),
+      "http://example.org/",
+      "text/turtle",
+      "casino.ttl",
+    );
+  } catch (error) {
+    assert.ok(error instanceof OntologyParseError);
+    assert.strictEqual(error.format, "text/turtle");
+    return error;
+  }
+  assert.fail("el Turtle debería ser rechazado");
+};
+
+test("literal Turtle sin comilla de cierre", async () => {
+  const prefix = "@prefix ex: <http://example.org/> .";
+
+  const unclosed = await parseTurtle([
+    prefix,
+    "",
+    'ex:ruleta ex:nombre "Ruleta <europea> # sin cerrar ;',
+    "  ex:tipo ex:Juego .",
+  ]);
+  assert.strictEqual(unclosed.line, 3);
+  assert.strictEqual(unclosed.column, 21);
+  assert.match(unclosed.message, /línea 3, columna 21/);
+
+  // Los literales cerrados antes en la línea no cuentan
+  const second = await parseTurtle([
+    prefix,
+    'ex:ruleta ex:nombre "Ruleta \\"europea\\"", "Roulette ;',
+    "  ex:tipo ex:Juego .",
+  ]);
+  assert.strictEqual(second.line, 2);
+  assert.strictEqual(second.column, 43);
+
+  const long = await parseTurtle([
+    prefix,
+    '# comentario con "comillas"',
+    'ex:ruleta ex:descripcion """Juego de',
+    "azar .",
+  ]);
+  assert.strictEqual(long.line, 3);
+  assert.strictEqual(long.column, 26);
+});
+
+test("otros errores Turtle señalan el token siguiente", async () => {
+  const error = await parseTurtle([
+    "@prefix ex: <http://example.org/> .",
+    'ex:a ex:b "x"',
+    'ex:c ex:d "y" .',
+  ]);
+  assert.strictEqual(error.line, 3);
+  assert.strictEqual(error.column, 1);
+});
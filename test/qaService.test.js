@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const gameKnowledgeService = require("../services/gameKnowledgeService");
+const intentClassifierService = require("../services/intentClassifierService");
+const ontologyService = require("../services/ontologyService");
+const qaService = require("../services/qaService");
+
+test.before(async () => {
+  await gameKnowledgeService.init();
+  gameKnowledgeService.unwatch();
+  await intentClassifierService.init();
+  await ontologyService.loadOntology();
+});
+
+test("una apuesta calculable responde con el cálculo y lo cita", () => {
+  [
+    ["valor esperado de apostar al caballo en la ruleta", "ruleta", "split"],
+    ["ev of pass line in craps", "dados", "pass"],
+  ].forEach(([question, game, bet]) => {
+    const result = qaService.answer(question);
+
+    assert.strictEqual(result.game, game);
+    assert.strictEqual(result.grounded, true);
+    assert.match(result.answer, /^🧮/);
+    assert.deepStrictEqual(result.sources, ["bet-calculator"]);
+    assert.deepStrictEqual(
+      result.citations.map(({ property }) => property),
+      ["probability", "payout", "expectedValue", "houseEdge"],
+    );
+    assert.ok(
+      result.citations.every(({ subject }) =>
+        subject.startsWith(`/api/games/${game}/bets/${bet}/ev?`),
+      ),
+    );
+  });
+});
+
+test("el cálculo cita la variante y la cantidad apostada", () => {
+  const result = qaService.answer(
+    "valor esperado del rojo en ruleta americana con 10€",
+  );
+  const expected = result.citations.find(
+    ({ property }) => property === "expectedValue",
+  );
+
+  assert.strictEqual(
+    expected.subject,
+    "/api/games/ruleta/bets/red/ev?stake=10&variant=american",
+  );
+  assert.strictEqual(Number(expected.object), -0.5263);
+});
+
+test("sin hechos ni conocimiento integrado no hay respuesta", () => {
+  const result = qaService.answer("hola");
+
+  assert.strictEqual(result.grounded, false);
+  assert.strictEqual(result.answer, null);
+  assert.deepStrictEqual(result.sources, []);
+});
+
+test("una comparación que nombra el blackjack cita los hechos de todos los juegos", () => {
+  const result = qaService.answer("compara blackjack y ruleta");
+
+  assert.strictEqual(result.intent, "comparison");
+  assert.strictEqual(result.specificQuery, null);
+  assert.strictEqual(result.grounded, true);
+  assert.deepStrictEqual(result.sources, ["ontology"]);
+  assert.ok(
+    ["blackjack", "ruleta"].every((game) =>
+      result.citations.some(({ subject }) =>
+        subject.toLowerCase().includes(game),
+      ),
+    ),
+  );
+});
+
+test("negro e impar en la ruleta siguen siendo apuestas concretas", () => {
+  assert.strictEqual(
+    qaService.answer("probabilidad de negro en la ruleta").specificQuery,
+    "blackRoulette",
+  );
+  assert.strictEqual(
+    qaService.answer("probabilidad de impar en la ruleta").specificQuery,
+    "oddRoulette",
+  );
+});
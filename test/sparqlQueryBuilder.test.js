@@ -0,0 +1,199 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Parser } = require("sparqljs");
+const SparqlQueryBuilder = require("../utils/sparqlQueryBuilder");
+const SparqlEndpointSource = require("../services/knowledgeSources/sparqlEndpointSource");
+const WikidataSource = require("../services/knowledgeSources/wikidataSource");
+
+// Términos que romperían la consulta si se pegaran sin escapar
+const HOSTILE_TERMS = [
+  'O"Brien',
+  "d'Alembert",
+  'x" } ?s ?p ?o . FILTER("1"="1',
+  "} UNION { ?s ?p ?o } #",
+  "{ ?s ?p ?o }",
+  "back\\slash\\",
+  'ends with \\"',
+  "line\nbreak\r\ttab",
+  "# comentario",
+  "ruleta # } DROP ALL",
+  ".*+?^$()[]{}|-",
+  "(a|b)+ [^x] \\d{2}",
+  "\u0000\b\f",
+  "ruleta española ñ €",
+];
+
+const parse = (query) => new Parser().parse(query);
+
+const regexEscape = (text) => text.replace(/[\\.*+?^$()[\]{}|-]/g, "\\$&");
+
+/**
+ * AST de sparqljs con los literales cuyo valor está en `values` cambiados
+ * por un marcador: dos consultas con el mismo esqueleto solo difieren en
+ * esos datos
+ */
+const skeleton = (query, values) =>
+  JSON.parse(
+    JSON.stringify(parse(query), (key, value) =>
+      value && value.termType === "Literal" && values.includes(value.value)
+        ? { ...value, value: "<term>" }
+        : value,
+    ),
+  );
+
+// Valores que los constructores de consultas derivan de un término
+const derived = (term) => {
+  const trimmed = String(term).trim();
+  const lower = trimmed.toLowerCase();
+  return [trimmed, lower, regexEscape(lower)];
+};
+
+test("literal() produce un literal con el texto exacto", () => {
+  HOSTILE_TERMS.forEach((term) => {
+    const query = parse(
+      `SELECT * WHERE { ?s ?p ${SparqlQueryBuilder.literal(term)} }`,
+    );
+    const [triple] = query.where[0].triples;
+
+    assert.strictEqual(query.where.length, 1);
+    assert.strictEqual(query.where[0].triples.length, 1);
+    assert.strictEqual(triple.object.termType, "Literal");
+    assert.strictEqual(triple.object.value, term);
+  });
+});
+
+test("literal() con idioma o tipo de dato", () => {
+  const tagged = parse(
+    `ASK { ?s ?p ${SparqlQueryBuilder.literal('a"b', { language: "es-ES" })} }`,
+  ).where[0].triples[0].object;
+  assert.strictEqual(tagged.value, 'a"b');
+  assert.strictEqual(tagged.language, "es-es");
+
+  const hostileTag = SparqlQueryBuilder.literal("x", {
+    language: 'en" } ?s ?p ?o #',
+  });
+  assert.strictEqual(hostileTag, '"x"@en');
+
+  const typed = parse(
+    `ASK { ?s ?p ${SparqlQueryBuilder.literal(5, {
+      datatype: "http://www.w3.org/2001/XMLSchema#integer",
+    })} }`,
+  ).where[0].triples[0].object;
+  assert.strictEqual(typed.value, "5");
+  assert.strictEqual(
+    typed.datatype.value,
+    "http://www.w3.org/2001/XMLSchema#integer",
+  );
+});
+
+test("regexLiteral() busca el texto tal cual", () => {
+  HOSTILE_TERMS.forEach((term) => {
+    const query = parse(
+      `SELECT * WHERE { ?s ?p ?o FILTER(REGEX(?o, ${SparqlQueryBuilder.regexLiteral(term)})) }`,
+    );
+    const [, pattern] = query.where[1].expression.args;
+
+    assert.strictEqual(pattern.termType, "Literal");
+    assert.strictEqual(pattern.value, regexEscape(term));
+    // Las secuencias \x de XPath coinciden con las de JavaScript
+    assert.ok(new RegExp(`^${pattern.value}$`).test(term), term);
+  });
+});
+
+test("values() enlaza los términos como datos", () => {
+  HOSTILE_TERMS.forEach((term) => {
+    const query = parse(
+      `SELECT * WHERE { ${SparqlQueryBuilder.values({
+        term: SparqlQueryBuilder.literal(term),
+        pattern: SparqlQueryBuilder.regexLiteral(term),
+      })} ?s ?p ?term }`,
+    );
+    const [values, bgp] = query.where;
+
+    assert.strictEqual(query.where.length, 2);
+    assert.strictEqual(values.type, "values");
+    assert.strictEqual(values.values.length, 1);
+    assert.strictEqual(values.values[0]["?term"].value, term);
+    assert.strictEqual(values.values[0]["?pattern"].value, regexEscape(term));
+    assert.strictEqual(bgp.triples.length, 1);
+  });
+});
+
+test("values() rechaza nombres de variable no válidos", () => {
+  ["", "1term", "term) } ?s ?p ?o {", "te rm", "?term"].forEach((name) =>
+    assert.throws(() =>
+      SparqlQueryBuilder.values({ [name]: SparqlQueryBuilder.literal("x") }),
+    ),
+  );
+});
+
+test("iri() rechaza IRIs que cierran el término", () => {
+  [
+    "",
+    "http://dbpedia.org/resource/A> ?p ?o . <x",
+    'http://dbpedia.org/resource/"quoted"',
+    "http://dbpedia.org/resource/{x}",
+    "http://dbpedia.org/resource/a b",
+    "http://dbpedia.org/resource/a\nb",
+    "http://dbpedia.org/resource/a\\b",
+  ].forEach((uri) => assert.throws(() => SparqlQueryBuilder.iri(uri)));
+
+  const uri = "http://dbpedia.org/resource/Texas_hold_'em_(poker)";
+  const query = parse(`DESCRIBE ${SparqlQueryBuilder.iri(uri)}`);
+  assert.strictEqual(query.variables[0].value, uri);
+});
+
+test("las consultas de los adaptadores SPARQL solo cambian en los datos", async (t) => {
+  const dbpedia = new SparqlEndpointSource();
+  const wikidata = new WikidataSource();
+  const builders = [
+    ["dbpedia search", (term) => dbpedia.buildSearchQuery(term, "es")],
+    ["dbpedia casino-game", (term) => dbpedia.buildCasinoGameQuery(term, "en")],
+    ["wikidata search", (term) => wikidata.buildSearchQuery(term, "es")],
+    [
+      "wikidata casino-game",
+      (term) => wikidata.buildCasinoGameQuery(term, "en"),
+    ],
+  ];
+
+  for (const [name, build] of builders) {
+    await t.test(name, () => {
+      const expected = skeleton(build("ruleta"), derived("ruleta"));
+      HOSTILE_TERMS.forEach((term) =>
+        assert.deepStrictEqual(
+          skeleton(build(term), derived(term)),
+          expected,
+          JSON.stringify(term),
+        ),
+      );
+    });
+  }
+
+  await t.test("idioma hostil", () => {
+    const hostile = 'es") } ?s ?p ?o #';
+    assert.deepStrictEqual(
+      skeleton(dbpedia.buildSearchQuery("ruleta", hostile), []),
+      skeleton(dbpedia.buildSearchQuery("ruleta", "en"), []),
+    );
+    assert.deepStrictEqual(
+      skeleton(wikidata.buildSearchQuery("ruleta", hostile), []),
+      skeleton(wikidata.buildSearchQuery("ruleta", "en"), []),
+    );
+  });
+
+  await t.test("detalle", () => {
+    const uri = "http://dbpedia.org/resource/Roulette";
+    const [triple] = parse(dbpedia.buildDetailQuery(uri, "en")).where[0]
+      .triples;
+    assert.strictEqual(triple.subject.value, uri);
+
+    const entity = "http://www.wikidata.org/entity/Q10749";
+    const [values] = parse(wikidata.buildDetailQuery(entity, "es")).where;
+    assert.strictEqual(values.values[0]["?item"].value, entity);
+
+    assert.throws(() => dbpedia.buildDetailQuery(`${uri}> ?p ?o } #`, "en"));
+    assert.throws(() =>
+      wikidata.buildDetailQuery(`${entity}> ?p ?o } #`, "es"),
+    );
+  });
+});
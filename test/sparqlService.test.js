@@ -0,0 +1,336 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const $rdf = require("rdflib");
+const sparqlService = require("../services/sparqlService");
+const { SparqlQueryError } = require("../services/sparqlService");
+
+const EX = "http://example.org/casino#";
+
+const TURTLE = `
+@prefix ex: <${EX}> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+
+ex:JuegoDeMesa rdfs:subClassOf ex:Juego .
+ex:Ruleta rdfs:subClassOf ex:JuegoDeMesa .
+ex:Blackjack rdfs:subClassOf ex:JuegoDeMesa .
+ex:Tragamonedas rdfs:subClassOf ex:Juego .
+
+ex:ruleta a ex:Ruleta ;
+  rdfs:label "Ruleta"@es, "Roulette"@en ;
+  ex:ventajaCasa "0.027"^^xsd:decimal ;
+  ex:jugadores 8 ;
+  ex:seJuegaEn ex:granCasino .
+ex:blackjack a ex:Blackjack ;
+  rdfs:label "Blackjack"@es ;
+  ex:ventajaCasa "0.005"^^xsd:decimal ;
+  ex:jugadores 7 ;
+  ex:seJuegaEn ex:granCasino .
+ex:slots a ex:Tragamonedas ;
+  rdfs:label "Tragamonedas"@es ;
+  ex:ventajaCasa "0.08"^^xsd:decimal ;
+  ex:jugadores 1 .
+ex:granCasino rdfs:label "Gran Casino" .
+`;
+
+const PREFIXES = `PREFIX ex: <${EX}>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+`;
+
+const store = $rdf.graph();
+$rdf.parse(TURTLE, store, EX, "text/turtle");
+
+const run = (query) => sparqlService.execute(PREFIXES + query, store);
+
+// Filas como objetos { variable: valor } para comparar sin términos rdflib
+const rows = (result) =>
+  result.bindings.map((solution) =>
+    Object.fromEntries(
+      Object.entries(solution).map(([name, term]) => [name, term.value]),
+    ),
+  );
+
+const local = (uri) => uri.replace(EX, "");
+
+test("SELECT con ORDER BY, LIMIT y OFFSET", () => {
+  const result = run(`
+    SELECT ?game ?edge WHERE { ?game ex:ventajaCasa ?edge }
+    ORDER BY DESC(?edge) LIMIT 2 OFFSET 1`);
+
+  assert.deepStrictEqual(result.variables, ["game", "edge"]);
+  assert.deepStrictEqual(
+    rows(result).map(({ game }) => local(game)),
+    ["ruleta", "blackjack"],
+  );
+});
+
+test("agregados con GROUP BY y HAVING", () => {
+  const result = run(`
+    SELECT ?casino (COUNT(?game) AS ?games) (SUM(?players) AS ?total)
+           (AVG(?players) AS ?average) (MIN(?players) AS ?min)
+           (MAX(?players) AS ?max)
+           (GROUP_CONCAT(?label; separator=", ") AS ?labels)
+    WHERE {
+      ?game ex:seJuegaEn ?casino ; ex:jugadores ?players ;
+            rdfs:label ?label .
+      FILTER(lang(?label) = "es")
+    }
+    GROUP BY ?casino
+    HAVING (COUNT(?game) > 1)`);
+
+  assert.strictEqual(result.bindings.length, 1);
+  const [row] = result.bindings;
+  assert.strictEqual(local(row.casino.value), "granCasino");
+  assert.strictEqual(Number(row.games.value), 2);
+  assert.strictEqual(Number(row.total.value), 15);
+  assert.strictEqual(Number(row.average.value), 7.5);
+  assert.strictEqual(Number(row.min.value), 7);
+  assert.strictEqual(Number(row.max.value), 8);
+  assert.deepStrictEqual(row.labels.value.split(", ").sort(), [
+    "Blackjack",
+    "Ruleta",
+  ]);
+});
+
+test("COUNT(*) y COUNT(DISTINCT) sin GROUP BY", () => {
+  const [row] = run(`
+    SELECT (COUNT(*) AS ?all) (COUNT(DISTINCT ?casino) AS ?casinos)
+    WHERE { ?game ex:seJuegaEn ?casino }`).bindings;
+
+  assert.strictEqual(Number(row.all.value), 2);
+  assert.strictEqual(Number(row.casinos.value), 1);
+});
+
+test("rutas de propiedades", async (t) => {
+  await t.test("cierre transitivo * y +", () => {
+    const star = run(`
+      SELECT ?class WHERE { ex:Ruleta rdfs:subClassOf* ?class }`);
+    assert.deepStrictEqual(
+      rows(star)
+        .map(({ class: c }) => local(c))
+        .sort(),
+      ["Juego", "JuegoDeMesa", "Ruleta"],
+    );
+
+    const plus = run(`
+      SELECT ?game WHERE { ?game a/rdfs:subClassOf+ ex:Juego }`);
+    assert.deepStrictEqual(
+      rows(plus)
+        .map(({ game }) => local(game))
+        .sort(),
+      ["blackjack", "ruleta", "slots"],
+    );
+  });
+
+  await t.test("inversa, alternativa y ?", () => {
+    const inverse = run(`
+      SELECT ?game WHERE { ex:granCasino ^ex:seJuegaEn ?game }`);
+    assert.strictEqual(inverse.bindings.length, 2);
+
+    const alternative = run(`
+      SELECT ?value WHERE { ex:slots (ex:jugadores|ex:ventajaCasa) ?value }`);
+    assert.deepStrictEqual(
+      rows(alternative)
+        .map(({ value }) => value)
+        .sort(),
+      ["0.08", "1"],
+    );
+
+    const optional = run(`
+      SELECT ?class WHERE { ex:JuegoDeMesa rdfs:subClassOf? ?class }`);
+    assert.strictEqual(optional.bindings.length, 2);
+  });
+
+  await t.test("negada", () => {
+    const result = run(`
+      SELECT DISTINCT ?p WHERE { ex:slots !(rdfs:label|ex:jugadores) ?o .
+                                 ex:slots ?p ?o }`);
+    assert.deepStrictEqual(
+      rows(result)
+        .map(({ p }) => local(p))
+        .sort(),
+      ["http://www.w3.org/1999/02/22-rdf-syntax-ns#type", "ventajaCasa"],
+    );
+  });
+});
+
+test("subconsulta unida con el patrón exterior", () => {
+  const result = run(`
+    SELECT ?game ?label WHERE {
+      { SELECT ?game WHERE { ?game ex:ventajaCasa ?edge }
+        ORDER BY ?edge LIMIT 1 }
+      ?game rdfs:label ?label
+    }`);
+
+  assert.deepStrictEqual(rows(result), [
+    { game: `${EX}blackjack`, label: "Blackjack" },
+  ]);
+});
+
+test("OPTIONAL deja sin ligar lo que no encaja", () => {
+  const result = run(`
+    SELECT ?game ?casino WHERE {
+      ?game ex:jugadores ?players .
+      OPTIONAL { ?game ex:seJuegaEn ?casino }
+    } ORDER BY ?players`);
+
+  assert.deepStrictEqual(rows(result), [
+    { game: `${EX}slots` },
+    { game: `${EX}blackjack`, casino: `${EX}granCasino` },
+    { game: `${EX}ruleta`, casino: `${EX}granCasino` },
+  ]);
+});
+
+test("OPTIONAL con FILTER solo filtra la parte opcional", () => {
+  const result = run(`
+    SELECT ?game ?label WHERE {
+      ?game ex:seJuegaEn ex:granCasino .
+      OPTIONAL { ?game rdfs:label ?label FILTER(lang(?label) = "en") }
+    }`);
+
+  assert.deepStrictEqual(
+    rows(result).sort((a, b) => a.game.localeCompare(b.game)),
+    [{ game: `${EX}blackjack` }, { game: `${EX}ruleta`, label: "Roulette" }],
+  );
+});
+
+test("MINUS y FILTER NOT EXISTS", () => {
+  const minus = run(`
+    SELECT ?game WHERE {
+      ?game ex:jugadores ?players
+      MINUS { ?game ex:seJuegaEn ?casino }
+    }`);
+  assert.deepStrictEqual(rows(minus), [{ game: `${EX}slots` }]);
+
+  // Sin variables compartidas MINUS no elimina nada
+  const disjoint = run(`
+    SELECT ?game WHERE {
+      ?game ex:jugadores ?players
+      MINUS { ?other ex:seJuegaEn ?casino }
+    }`);
+  assert.strictEqual(disjoint.bindings.length, 3);
+
+  const notExists = run(`
+    SELECT ?game WHERE {
+      ?game ex:jugadores ?players
+      FILTER NOT EXISTS { ?game ex:seJuegaEn ?casino }
+    }`);
+  assert.deepStrictEqual(rows(notExists), [{ game: `${EX}slots` }]);
+});
+
+test("UNION, BIND y VALUES", () => {
+  const result = run(`
+    SELECT ?game ?percent WHERE {
+      VALUES ?game { ex:ruleta ex:slots }
+      { ?game a ex:Ruleta } UNION { ?game a ex:Tragamonedas }
+      ?game ex:ventajaCasa ?edge
+      BIND(?edge * 100 AS ?percent)
+    } ORDER BY ?percent`);
+
+  assert.deepStrictEqual(
+    rows(result).map(({ game, percent }) => [local(game), Number(percent)]),
+    [
+      ["ruleta", 2.7],
+      ["slots", 8],
+    ],
+  );
+});
+
+test("ASK", () => {
+  assert.deepStrictEqual(run(`ASK { ex:ruleta a ex:Ruleta }`), {
+    type: "boolean",
+    boolean: true,
+  });
+  assert.strictEqual(run(`ASK { ex:slots ex:seJuegaEn ?c }`).boolean, false);
+});
+
+test("CONSTRUCT instancia la plantilla sin duplicados", () => {
+  const result = run(`
+    CONSTRUCT { ?casino ex:ofrece ?game . ?casino a ex:Casino }
+    WHERE { ?game ex:seJuegaEn ?casino }`);
+
+  assert.strictEqual(result.type, "graph");
+  assert.strictEqual(result.triples.length, 3);
+
+  const turtle = sparqlService.serializeGraph(result, "text/turtle");
+  const parsed = $rdf.graph();
+  $rdf.parse(turtle, parsed, EX, "text/turtle");
+  assert.strictEqual(
+    parsed.statementsMatching(
+      $rdf.sym(`${EX}granCasino`),
+      $rdf.sym(`${EX}ofrece`),
+      null,
+    ).length,
+    2,
+  );
+});
+
+test("DESCRIBE devuelve las tripletas del recurso", () => {
+  const result = run(`DESCRIBE ex:slots`);
+
+  assert.strictEqual(result.type, "graph");
+  assert.strictEqual(result.triples.length, 4);
+  assert.ok(
+    result.triples.every(({ subject }) => subject.value === `${EX}slots`),
+  );
+
+  const described = run(`DESCRIBE ?casino WHERE { ?g ex:seJuegaEn ?casino }`);
+  assert.deepStrictEqual(
+    described.triples.map(({ object }) => object.value),
+    ["Gran Casino"],
+  );
+});
+
+test("formatos de resultados JSON y XML", () => {
+  const result = run(`
+    SELECT ?label ?edge WHERE {
+      ex:ruleta rdfs:label ?label ; ex:ventajaCasa ?edge
+      FILTER(lang(?label) = "en")
+    }`);
+
+  assert.deepStrictEqual(sparqlService.toJSON(result), {
+    head: { vars: ["label", "edge"] },
+    results: {
+      bindings: [
+        {
+          label: { type: "literal", value: "Roulette", "xml:lang": "en" },
+          edge: {
+            type: "literal",
+            value: "0.027",
+            datatype: "http://www.w3.org/2001/XMLSchema#decimal",
+          },
+        },
+      ],
+    },
+  });
+  assert.deepStrictEqual(sparqlService.toJSON(run(`ASK { ?s ?p ?o }`)), {
+    head: {},
+    boolean: true,
+  });
+
+  const xml = sparqlService.toXML(result);
+  assert.match(xml, /<variable name="label"\/>/);
+  assert.match(
+    xml,
+    /<binding name="label"><literal xml:lang="en">Roulette<\/literal><\/binding>/,
+  );
+  assert.match(
+    xml,
+    /<literal datatype="http:\/\/www.w3.org\/2001\/XMLSchema#decimal">0.027<\/literal>/,
+  );
+  assert.match(
+    sparqlService.toXML(run(`ASK { ex:slots ex:seJuegaEn ?c }`)),
+    /<boolean>false<\/boolean>/,
+  );
+});
+
+test("consultas inválidas y de actualización", () => {
+  assert.throws(() => run(`SELECT ?s WHERE { ?s ?p }`), SparqlQueryError);
+  assert.throws(
+    () => run(`INSERT DATA { ex:a ex:b ex:c }`),
+    (error) =>
+      error instanceof SparqlQueryError &&
+      error.statusCode === 400 &&
+      /Update/.test(error.message),
+  );
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const ontologyService = require("../services/ontologyService");
+const unifiedRoutes = require("../routes/unified");
+
+const RULETA =
+  "http://www.semanticweb.org/dzeba/ontologies/2025/8/untitled-ontology-2#JuegoRuleta";
+
+test("GET /api/unified/detail", async (t) => {
+  await ontologyService.loadOntology();
+
+  // Sin fuentes remotas: solo responden la ontología y los enlaces guardados
+  const app = express().use("/api/unified", unifiedRoutes);
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((done) => server.close(done)));
+
+  const detail = async (uri) => {
+    const params = new URLSearchParams({ id: "x", type: "local", uri });
+    const res = await fetch(
+      `http://127.0.0.1:${server.address().port}/api/unified/detail?${params}`,
+    );
+    return { status: res.status, body: await res.json() };
+  };
+
+  await t.test("URI de la ontología", async () => {
+    const { status, body } = await detail(RULETA);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.uri, RULETA);
+    assert.strictEqual(body.data.source, "ontology");
+  });
+
+  await t.test("URI sin datos en ninguna fuente", async () => {
+    const { status, body } = await detail("http://example.org/desconocido");
+
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.message, "Detalles no encontrados");
+  });
+
+  await t.test("parámetros requeridos", async () => {
+    const { status } = await detail("");
+    assert.strictEqual(status, 400);
+  });
+});
@@ -0,0 +1,141 @@
+const TYPE_NAMES = {
+  string: "texto",
+  number: "número",
+  integer: "entero",
+  boolean: "booleano",
+  array: "lista",
+  object: "objeto",
+  null: "null",
+};
+
+/**
+ * Validador de un subconjunto de JSON Schema (draft-07): type, enum,
+ * required, properties, additionalProperties, items, minItems, minLength,
+ * pattern, minimum, maximum y $ref a #/definitions
+ */
+class JsonSchema {
+  /**
+   * @param {Object} schema - Esquema raíz
+   * @param {*} value - Valor a validar
+   * @returns {Array<string>} Errores con la ruta del valor ("/names/0: ...");
+   *   vacío si el valor es válido
+   */
+  static validate(schema, value) {
+    const errors = [];
+    JsonSchema.check(schema, value, "", schema, errors);
+    return errors;
+  }
+
+  static check(schema, value, path, root, errors) {
+    if (schema.$ref) {
+      schema = JsonSchema.resolveRef(schema.$ref, root);
+    }
+
+    const at = path || "/";
+    const type = JsonSchema.typeOf(value);
+
+    if (schema.type) {
+      const allowed = [].concat(schema.type);
+      const matches = allowed.some(
+        (expected) =>
+          expected === type || (expected === "number" && type === "integer"),
+      );
+      if (!matches) {
+        const names = allowed.map((name) => TYPE_NAMES[name] || name);
+        errors.push(`${at}: debe ser de tipo ${names.join(" o ")}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${at}: debe ser uno de ${schema.enum.join(", ")}`);
+    }
+
+    if (type === "string") {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(
+          `${at}: debe tener al menos ${schema.minLength} caracteres`,
+        );
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+        errors.push(`${at}: no cumple el patrón ${schema.pattern}`);
+      }
+    }
+
+    if (type === "number" || type === "integer") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: debe ser >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${at}: debe ser <= ${schema.maximum}`);
+      }
+    }
+
+    if (type === "array") {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${at}: debe tener al menos ${schema.minItems} elementos`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) =>
+          JsonSchema.check(
+            schema.items,
+            item,
+            `${path}/${index}`,
+            root,
+            errors,
+          ),
+        );
+      }
+    }
+
+    if (type === "object") {
+      (schema.required || []).forEach((name) => {
+        if (value[name] === undefined) {
+          errors.push(`${path}/${name}: es obligatorio`);
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.entries(value).forEach(([name, child]) => {
+        const childPath = `${path}/${name}`;
+        if (properties[name]) {
+          JsonSchema.check(properties[name], child, childPath, root, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${childPath}: propiedad no permitida`);
+        } else if (typeof schema.additionalProperties === "object") {
+          JsonSchema.check(
+            schema.additionalProperties,
+            child,
+            childPath,
+            root,
+            errors,
+          );
+        }
+      });
+    }
+  }
+
+  static resolveRef(ref, root) {
+    if (!ref.startsWith("#/")) {
+      throw new Error(`Referencia de esquema no soportada: ${ref}`);
+    }
+
+    const target = ref
+      .slice(2)
+      .split("/")
+      .reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!target) {
+      throw new Error(`Referencia de esquema no encontrada: ${ref}`);
+    }
+    return target;
+  }
+
+  static typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+  }
+}
+
+module.exports = JsonSchema;
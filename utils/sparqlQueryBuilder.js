@@ -0,0 +1,105 @@
+// Caracteres que REGEX de SPARQL (sintaxis XPath) interpreta
+const REGEX_METACHARACTERS = /[\\.*+?^$()[\]{}|-]/g;
+
+// Escapes de cadena de SPARQL 1.1 (ECHAR)
+const STRING_ESCAPES = {
+  "\\": "\\\\",
+  '"': '\\"',
+  "'": "\\'",
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+  "\b": "\\b",
+  "\f": "\\f",
+};
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i;
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FORBIDDEN_IRI_CHARACTERS = /[\u0000- <>"{}|^`\\]/;
+
+class SparqlQueryBuilder {
+  /**
+   * Literal de cadena con comillas y caracteres de control escapados
+   * @param {*} value - Valor (se convierte a texto)
+   * @param {Object} options - { language } o { datatype } opcionales
+   * @returns {string} p.ej. "O\"Brien"@en
+   */
+  static literal(value, { language, datatype } = {}) {
+    const escaped = String(value).replace(
+      /[\\"'\n\r\t\b\f]/g,
+      (char) => STRING_ESCAPES[char],
+    );
+
+    if (language) {
+      return `"${escaped}"@${SparqlQueryBuilder.languageTag(language)}`;
+    }
+    if (datatype) {
+      return `"${escaped}"^^${SparqlQueryBuilder.iri(datatype)}`;
+    }
+    return `"${escaped}"`;
+  }
+
+  /**
+   * Literal para usar como patrón de REGEX que busca el texto tal cual
+   */
+  static regexLiteral(value) {
+    return SparqlQueryBuilder.literal(
+      String(value).replace(REGEX_METACHARACTERS, "\\$&"),
+    );
+  }
+
+  /**
+   * IRI entre ángulos. Lanza un error si contiene caracteres no permitidos
+   */
+  static iri(value) {
+    const text = String(value);
+    if (!text || FORBIDDEN_IRI_CHARACTERS.test(text)) {
+      throw new Error(`IRI no válida para SPARQL: ${text}`);
+    }
+    return `<${text}>`;
+  }
+
+  /**
+   * Etiqueta de idioma validada; si no es válida se usa la de reserva
+   */
+  static languageTag(language, fallback = "en") {
+    const tag = String(language || "").trim();
+    return LANGUAGE_TAG.test(tag) ? tag.toLowerCase() : fallback;
+  }
+
+  /**
+   * Bloque VALUES que enlaza variables con valores ya escapados, para que
+   * la consulta use ?variable en lugar de pegar el texto del usuario
+   * @param {Object<string, string>} bindings - Variable -> término SPARQL
+   *   (resultado de literal(), regexLiteral() o iri())
+   * @returns {string} p.ej. VALUES (?term ?pattern) { ("ruleta" "ruleta") }
+   */
+  static values(bindings) {
+    const names = Object.keys(bindings);
+    names.forEach((name) => {
+      if (!VARIABLE_NAME.test(name)) {
+        throw new Error(`Nombre de variable SPARQL no válido: ${name}`);
+      }
+    });
+
+    const variables = names.map((name) => `?${name}`).join(" ");
+    const terms = names.map((name) => bindings[name]).join(" ");
+    return `VALUES (${variables}) { (${terms}) }`;
+  }
+
+  /**
+   * Enlaces habituales de una búsqueda de texto: ?term (texto en
+   * minúsculas para CONTAINS) y ?pattern (el mismo texto como REGEX)
+   */
+  static searchTermValues(searchTerm) {
+    const term = String(searchTerm || "")
+      .trim()
+      .toLowerCase();
+    return SparqlQueryBuilder.values({
+      term: SparqlQueryBuilder.literal(term),
+      pattern: SparqlQueryBuilder.regexLiteral(term),
+    });
+  }
+}
+
+module.exports = SparqlQueryBuilder;
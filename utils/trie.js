@@ -0,0 +1,54 @@
+/**
+ * Árbol de prefijos. Cada clave puede guardar varios valores; search
+ * devuelve los de todas las claves que empiezan por el prefijo
+ */
+class Trie {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.root = { children: new Map(), values: [] };
+    this.size = 0;
+  }
+
+  insert(key, value) {
+    let node = this.root;
+    for (const char of key) {
+      if (!node.children.has(char)) {
+        node.children.set(char, { children: new Map(), values: [] });
+      }
+      node = node.children.get(char);
+    }
+    node.values.push(value);
+    this.size++;
+  }
+
+  /**
+   * @param {string} prefix
+   * @param {number} limit - Máximo de valores a recorrer
+   * @returns {Array<Object>} { key, value } de las claves con ese prefijo,
+   *   de la más corta a la más larga
+   */
+  search(prefix, limit = Infinity) {
+    let node = this.root;
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return [];
+    }
+
+    const matches = [];
+    const queue = [[prefix, node]];
+    while (queue.length > 0 && matches.length < limit) {
+      const [key, current] = queue.shift();
+      current.values.forEach((value) => matches.push({ key, value }));
+      current.children.forEach((child, char) =>
+        queue.push([key + char, child]),
+      );
+    }
+
+    return matches.slice(0, limit);
+  }
+}
+
+module.exports = Trie;
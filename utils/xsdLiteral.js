@@ -0,0 +1,87 @@
+const XSD = "http://www.w3.org/2001/XMLSchema#";
+
+const INTEGER_TYPES = new Set([
+  "integer",
+  "int",
+  "long",
+  "short",
+  "byte",
+  "nonNegativeInteger",
+  "positiveInteger",
+  "negativeInteger",
+  "nonPositiveInteger",
+  "unsignedInt",
+  "unsignedLong",
+  "unsignedShort",
+  "unsignedByte",
+]);
+
+const DECIMAL_TYPES = new Set(["decimal", "float", "double"]);
+
+const DATE_TYPES = new Set(["dateTime", "dateTimeStamp", "date"]);
+
+class XsdLiteral {
+  /**
+   * Convierte el valor léxico de un literal a un valor nativo según su
+   * datatype XSD. Si el tipo no se reconoce o el valor no es válido se
+   * devuelve el texto tal cual
+   * @param {string} lexical - Forma léxica del literal
+   * @param {string|null} datatype - URI del datatype
+   * @returns {number|boolean|Date|string}
+   */
+  static toNative(lexical, datatype) {
+    if (!datatype || !datatype.startsWith(XSD)) return lexical;
+
+    const type = datatype.substring(XSD.length);
+    const text = lexical.trim();
+
+    if (INTEGER_TYPES.has(type)) {
+      const number = Number(text);
+      return text !== "" && Number.isInteger(number) ? number : lexical;
+    }
+
+    if (DECIMAL_TYPES.has(type)) {
+      if (text === "INF" || text === "+INF") return Infinity;
+      if (text === "-INF") return -Infinity;
+      const number = Number(text);
+      return text !== "" && !Number.isNaN(number) ? number : lexical;
+    }
+
+    if (type === "boolean") {
+      if (text === "true" || text === "1") return true;
+      if (text === "false" || text === "0") return false;
+      return lexical;
+    }
+
+    if (DATE_TYPES.has(type)) {
+      const date = XsdLiteral.parseDate(text);
+      return date || lexical;
+    }
+
+    return lexical;
+  }
+
+  /**
+   * Fechas ISO 8601. Sin zona horaria se interpretan como UTC para que el
+   * resultado no dependa de la zona del servidor
+   * @returns {Date|null}
+   */
+  static parseDate(text) {
+    const match = text.match(
+      /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:\d{2})?$/,
+    );
+    if (!match) return null;
+
+    const [, day, time = "T00:00:00", , , zone = "Z"] = match;
+    const date = new Date(`${day}${time}${zone}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  static isNumericType(datatype) {
+    if (!datatype || !datatype.startsWith(XSD)) return false;
+    const type = datatype.substring(XSD.length);
+    return INTEGER_TYPES.has(type) || DECIMAL_TYPES.has(type);
+  }
+}
+
+module.exports = XsdLiteral;